@@ -0,0 +1,194 @@
+// lib/authTokens.js
+// Short-lived access tokens (JWT) plus rotating refresh tokens backed by
+// models/AuthSession.js. A refresh token is "<sessionId>.<secret>"; only a
+// hash of the secret is stored and every refresh replaces it.
+// Bumping User.tokenVersion (revokeUserTokens) kills access and refresh
+// tokens issued before, which middleware/auth.js checks on every request.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import { checkRefreshDevice, deviceRuleForUser } from './devicePolicy.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10);
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function parseRefreshToken(value) {
+  if (typeof value !== 'string') return null;
+  const [sid, secret, extra] = value.split('.');
+  if (extra !== undefined || !secret || !mongoose.isValidObjectId(sid)) return null;
+  return { sid, secret };
+}
+
+function signAccessToken(user, session) {
+  const payload = {
+    id: user._id,
+    role: user.role,
+    username: user.username || null,
+    allowedDatabaseIds: Array.isArray(user.allowedDatabaseIds) ? user.allowedDatabaseIds : [],
+    deviceIdBound: user.deviceIdBound || null,
+    sid: String(session._id),
+    tv: user.tokenVersion || 0,
+  };
+  if (session.deviceId) payload.deviceId = session.deviceId;
+
+  const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const { exp } = jwt.decode(token);
+  return { token, expiresIn: exp - Math.floor(Date.now() / 1000) };
+}
+
+/** Response fields for a new or rotated session */
+function tokenResponse(access, session, secret) {
+  return {
+    token: access.token,
+    expiresIn: access.expiresIn,
+    refreshToken: `${session._id}.${secret}`,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Start a session after a successful login.
+ * Returns { token, expiresIn, refreshToken, refreshExpiresAt }.
+ */
+export async function issueTokens(user, { deviceId = null, method = null, req = null } = {}) {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    userId: String(user._id),
+    deviceId: deviceId || null,
+    refreshHash: hashSecret(secret),
+    tokenVersion: user.tokenVersion || 0,
+    method,
+    ip: req?.ip || null,
+    userAgent: req?.headers?.['user-agent'] || null,
+    expiresAt: refreshExpiry(),
+  });
+  return tokenResponse(signAccessToken(user, session), session, secret);
+}
+
+/**
+ * Swap a refresh token for a new access + refresh token pair. The user's
+ * device rule applies as on every request: under strict / max the device ID
+ * is required and must be an allowed device.
+ * Returns { user, tokens } or { error, status? } with REFRESH_INVALID,
+ * REFRESH_REUSED, TOKEN_REVOKED, USER_DISABLED, DEVICE_MISMATCH,
+ * DEVICE_REQUIRED, DEVICE_NOT_BOUND or ACCOUNT_LOCKED_DIFFERENT_DEVICE.
+ */
+export async function rotateRefreshToken(refreshToken, { deviceId = null } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'REFRESH_INVALID' };
+
+  const session = await AuthSession.findById(parsed.sid);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'REFRESH_INVALID' };
+  }
+
+  const hash = hashSecret(parsed.secret);
+  if (hash !== session.refreshHash) {
+    // an already rotated token came back: whoever holds it is not the app
+    if (hash === session.previousRefreshHash) {
+      await revokeSession(session._id, 'refresh_reuse');
+      return { error: 'REFRESH_REUSED' };
+    }
+    return { error: 'REFRESH_INVALID' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) return { error: 'REFRESH_INVALID' };
+  if (user.enabled === false) return { error: 'USER_DISABLED' };
+  if ((user.tokenVersion || 0) !== session.tokenVersion) return { error: 'TOKEN_REVOKED' };
+
+  const deviceRefusal = checkRefreshDevice(user, session.deviceId, deviceId, await deviceRuleForUser(user));
+  if (deviceRefusal) return deviceRefusal;
+
+  const secret = newSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshHash: hashSecret(secret),
+        previousRefreshHash: hash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  // a parallel refresh with the same token won the race
+  if (!rotated) return { error: 'REFRESH_INVALID' };
+
+  return { user, tokens: tokenResponse(signAccessToken(user, rotated), rotated, secret) };
+}
+
+export async function revokeSession(sessionId, reason) {
+  await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Invalidate every access and refresh token of these users
+ * (disable, password change, device reset, role or database access change).
+ */
+export async function revokeUserTokens(userIds, reason) {
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).map(String);
+  if (!ids.length) return;
+  await User.updateMany({ _id: { $in: ids } }, { $inc: { tokenVersion: 1 } });
+  await AuthSession.updateMany(
+    { userId: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/** Revoke a user's sessions from devices other than `deviceIds` (device rule tightened) */
+export async function revokeSessionsExceptDevices(userId, deviceIds, reason) {
+  await AuthSession.updateMany(
+    { userId: String(userId), deviceId: { $nin: deviceIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/** Revoke the sessions a user opened from one device (device removed by an admin) */
+export async function revokeDeviceSessions(userId, deviceId, reason) {
+  await AuthSession.updateMany(
+    { userId: String(userId), deviceId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Why a verified access token may no longer be used, or null when it is fine.
+ * Tokens from before sessions existed carry no `sid` and are only checked
+ * against the user's enabled flag and token version.
+ */
+export async function tokenRejection(decoded) {
+  const [user, session] = await Promise.all([
+    mongoose.isValidObjectId(decoded?.id)
+      ? User.findById(decoded.id).select('enabled tokenVersion').lean()
+      : null,
+    decoded?.sid && mongoose.isValidObjectId(decoded.sid)
+      ? AuthSession.findById(decoded.sid).select('revokedAt').lean()
+      : null,
+  ]);
+
+  if (!user) return 'TOKEN_REVOKED';
+  if (user.enabled === false) return 'USER_DISABLED';
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return 'TOKEN_REVOKED';
+  if (decoded.sid && (!session || session.revokedAt)) return 'TOKEN_REVOKED';
+  return null;
+}
@@ -0,0 +1,291 @@
+// lib/cloneRebase.js
+// Refresh a per-user clone (u_<userKey>_<master>) from its master roll after
+// the master was updated (e.g. a supplementary roll import):
+// - voters new in the master are copied in (unless the team deleted them)
+// - voters gone from the master are flagged with `removedFromMaster`, not deleted
+// - other fields take the master's value unless the team edited them
+// Clone documents keep the master's _id (the clone was made with $out), so
+// records are matched by _id. Each rebased voter records the master's field
+// versions under `__masterVersions`; a clone field whose version moved away
+// from that record was edited by the team.
+//
+// A rebase scans both collections, so it runs in the background; its state
+// is tracked in memory per clone (startRebase / getRebaseState).
+
+import { getVoterModel } from '../models/Voter.js';
+import { getFieldProfile, profilePaths } from './fieldProfiles.js';
+import { FIELD_VERSIONS_ROOT, MASTER_VERSIONS_ROOT, sameValue, topLevelField } from './fieldVersions.js';
+import { SEARCH_ROOT, buildSearchFields } from './searchFields.js';
+import { tombstonedIds } from './tombstones.js';
+import { createdVoterIds, deletedVoterIds, editedFieldsByVoter, recordHistory } from './voterHistory.js';
+
+export const REMOVED_FLAG = 'removedFromMaster';
+
+const BATCH_SIZE = 500;
+
+// Never copied from the master
+const SKIP_FIELDS = new Set([
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  SEARCH_ROOT,
+  FIELD_VERSIONS_ROOT,
+  MASTER_VERSIONS_ROOT,
+  REMOVED_FLAG,
+]);
+
+// cloneId -> { state, masterId, dryRun, startedAt, finishedAt, summary, error }
+const rebaseStates = new Map();
+
+// Fields the campaign team owns; the master never overwrites them
+const TEAM_FIELDS = ['support', 'supportHistory', 'tags', 'phones', 'notes'];
+
+/** Default protected fields: team fields plus every top-level mobile field of the profile */
+export function defaultProtectedFields(profile) {
+  const mobile = profilePaths(profile, 'mobile').map(topLevelField);
+  return Array.from(new Set([...TEAM_FIELDS, ...mobile]));
+}
+
+function versionOf(doc, field, root = FIELD_VERSIONS_ROOT) {
+  const v = doc?.[root]?.[field];
+  return v ? new Date(v).getTime() : null;
+}
+
+/**
+ * Whether the clone's version of `field` shows a team edit. Once rebased, the
+ * clone is compared with the master version recorded then; before its first
+ * rebase it only has the versions copied at clone time, so a version newer
+ * than the master's current one counts as an edit.
+ */
+function versionEdited(master, clone, field) {
+  const cloneVersion = versionOf(clone, field);
+  if (clone[MASTER_VERSIONS_ROOT]) return cloneVersion !== versionOf(clone, field, MASTER_VERSIONS_ROOT);
+  if (cloneVersion === null) return false;
+  const masterVersion = versionOf(master, field);
+  return masterVersion === null || cloneVersion > masterVersion;
+}
+
+/**
+ * Fields of `master` to copy onto `clone`. A field is kept when it is
+ * protected, was edited in the clone (history or field versions), or
+ * already matches.
+ * Returns { set, kept } where kept lists team-edited fields that differ.
+ */
+function mergeFromMaster(master, clone, { protectedFields, editedFields }) {
+  const set = {};
+  const kept = [];
+  for (const [field, value] of Object.entries(master)) {
+    if (SKIP_FIELDS.has(field)) continue;
+    if (sameValue(clone[field], value)) continue;
+
+    const teamEdited = protectedFields.has(field)
+      || editedFields.has(field)
+      || versionEdited(master, clone, field);
+    if (teamEdited) {
+      kept.push(field);
+      continue;
+    }
+
+    set[field] = value;
+    const masterVersion = master[FIELD_VERSIONS_ROOT]?.[field];
+    if (masterVersion) set[`${FIELD_VERSIONS_ROOT}.${field}`] = masterVersion;
+  }
+  return { set, kept };
+}
+
+/**
+ * Rebase `cloneId` onto `masterId`.
+ * options: { protectedFields?: string[], dryRun?: boolean, actor? }
+ * Returns a summary:
+ * { added, merged, unchanged, removed, restored, skippedDeleted, keptFields: { field: count }, ... }
+ */
+export async function rebaseClone(cloneId, masterId, { protectedFields, dryRun = false, actor = {} } = {}) {
+  const MasterModel = getVoterModel(masterId);
+  const CloneModel = getVoterModel(cloneId);
+  const profile = await getFieldProfile(cloneId);
+  const protectedSet = new Set(protectedFields?.length ? protectedFields : defaultProtectedFields(profile));
+
+  const summary = {
+    cloneId,
+    masterId,
+    dryRun,
+    protectedFields: Array.from(protectedSet),
+    scanned: 0,
+    added: 0,
+    merged: 0,
+    unchanged: 0,
+    removed: 0,
+    restored: 0,
+    skippedDeleted: 0,
+    keptFields: {},
+    startedAt: new Date(),
+    finishedAt: null,
+  };
+
+  const audit = { databaseId: cloneId, source: 'rebase', actor };
+  const now = new Date();
+
+  // Pass 1: master -> clone (additions and merges)
+  const applyMasterBatch = async (masters) => {
+    const ids = masters.map((m) => m._id);
+    const [clones, tombstoned, deletedInHistory, edited] = await Promise.all([
+      CloneModel.find({ _id: { $in: ids } }).lean(),
+      tombstonedIds(cloneId, ids),
+      deletedVoterIds(cloneId, ids), // tombstones are purged after the retention window
+      editedFieldsByVoter(cloneId, ids, { excludeSource: 'rebase' }),
+    ]);
+    const cloneById = new Map(clones.map((c) => [String(c._id), c]));
+    const deletedByTeam = new Set([...tombstoned, ...deletedInHistory]);
+
+    for (const master of masters) {
+      const key = String(master._id);
+      const clone = cloneById.get(key);
+
+      if (!clone) {
+        if (deletedByTeam.has(key)) {
+          summary.skippedDeleted += 1;
+          continue;
+        }
+        summary.added += 1;
+        if (dryRun) continue;
+        const fresh = {};
+        for (const [field, value] of Object.entries(master)) {
+          if (field !== SEARCH_ROOT && field !== REMOVED_FLAG) fresh[field] = value;
+        }
+        fresh.updatedAt = now;
+        fresh[MASTER_VERSIONS_ROOT] = master[FIELD_VERSIONS_ROOT] || {};
+        fresh[SEARCH_ROOT] = buildSearchFields(fresh, profile);
+        await CloneModel.collection.insertOne(fresh);
+        await recordHistory({ ...audit, voterId: master._id, before: null, after: fresh });
+        continue;
+      }
+
+      const { set, kept } = mergeFromMaster(master, clone, {
+        protectedFields: protectedSet,
+        editedFields: edited.get(key) || new Set(),
+      });
+      for (const field of kept) summary.keptFields[field] = (summary.keptFields[field] || 0) + 1;
+
+      const masterVersions = master[FIELD_VERSIONS_ROOT] || {};
+      const baseMoved = !sameValue(clone[MASTER_VERSIONS_ROOT], masterVersions);
+      const wasRemoved = clone[REMOVED_FLAG] != null;
+      if (!Object.keys(set).length && !wasRemoved) {
+        summary.unchanged += 1;
+        if (!dryRun && baseMoved) {
+          // record the new base only; the voter's data did not change
+          await CloneModel.updateOne(
+            { _id: clone._id },
+            { $set: { [MASTER_VERSIONS_ROOT]: masterVersions } },
+            { timestamps: false }
+          );
+        }
+        continue;
+      }
+      if (Object.keys(set).length) summary.merged += 1;
+      if (wasRemoved) summary.restored += 1;
+      if (dryRun) continue;
+
+      const update = { $set: { ...set, [MASTER_VERSIONS_ROOT]: masterVersions, updatedAt: now } };
+      if (wasRemoved) update.$unset = { [REMOVED_FLAG]: '' };
+      const after = await CloneModel.findOneAndUpdate({ _id: clone._id }, update, {
+        new: true,
+        lean: true,
+        timestamps: false,
+      });
+      if (after) {
+        const search = buildSearchFields(after, profile);
+        await CloneModel.updateOne({ _id: after._id }, { $set: { [SEARCH_ROOT]: search } }, { timestamps: false });
+        await recordHistory({ ...audit, voterId: after._id, before: clone, after });
+      }
+    }
+  };
+
+  let batch = [];
+  for await (const master of MasterModel.find({}).lean().cursor()) {
+    summary.scanned += 1;
+    batch.push(master);
+    if (batch.length >= BATCH_SIZE) {
+      await applyMasterBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await applyMasterBatch(batch);
+
+  // Pass 2: clone voters the master no longer has. Voters the team created
+  // themselves were never in the master and are left alone.
+  const flagRemovedBatch = async (clones) => {
+    const ids = clones.map((c) => c._id);
+    const [inMaster, teamCreated] = await Promise.all([
+      MasterModel.find({ _id: { $in: ids } }).select('_id').lean(),
+      createdVoterIds(cloneId, ids),
+    ]);
+    const present = new Set(inMaster.map((m) => String(m._id)));
+
+    for (const clone of clones) {
+      const key = String(clone._id);
+      if (present.has(key) || teamCreated.has(key)) continue;
+      summary.removed += 1;
+      if (dryRun) continue;
+      const after = await CloneModel.findOneAndUpdate(
+        { _id: clone._id },
+        { $set: { [REMOVED_FLAG]: now, updatedAt: now } },
+        { new: true, lean: true, timestamps: false }
+      );
+      if (after) await recordHistory({ ...audit, voterId: clone._id, before: clone, after });
+    }
+  };
+
+  batch = [];
+  const notFlagged = { [REMOVED_FLAG]: null };
+  for await (const clone of CloneModel.find(notFlagged).lean().cursor()) {
+    batch.push(clone);
+    if (batch.length >= BATCH_SIZE) {
+      await flagRemovedBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await flagRemovedBatch(batch);
+
+  summary.finishedAt = new Date();
+  return summary;
+}
+
+/** Last tracked rebase of a clone */
+export function getRebaseState(cloneId) {
+  return rebaseStates.get(cloneId) || { state: 'idle' };
+}
+
+/**
+ * Start rebaseClone in the background. Returns the tracked state, or null when
+ * a rebase of this clone is already running.
+ */
+export function startRebase(cloneId, masterId, options = {}) {
+  if (rebaseStates.get(cloneId)?.state === 'running') return null;
+
+  const status = {
+    state: 'running',
+    masterId,
+    dryRun: options.dryRun === true,
+    startedAt: new Date(),
+    finishedAt: null,
+    summary: null,
+    error: null,
+  };
+  rebaseStates.set(cloneId, status);
+
+  rebaseClone(cloneId, masterId, options)
+    .then((summary) => {
+      status.state = 'done';
+      status.summary = summary;
+    })
+    .catch((err) => {
+      console.error('REBASE_CLONE_ERROR', cloneId, err);
+      status.state = 'failed';
+      status.error = err?.message || String(err);
+    })
+    .finally(() => {
+      status.finishedAt = new Date();
+    });
+  return status;
+}
@@ -0,0 +1,201 @@
+// lib/collectionDiff.js
+// Compare two voter collections (typically a per-user clone against its
+// master) and report records that were added, removed or modified, with
+// field-level differences. Records are paired by _id, by EPIC, or by _id
+// first and EPIC second.
+//
+// The scan walks the left collection by _id (added / modified), then the
+// right one (removed), so a report can be paged with an opaque cursor.
+
+import { getVoterModel } from '../models/Voter.js';
+import { getFieldProfile, profilePaths, readProfileValues } from './fieldProfiles.js';
+import { decodeId, encodeId, idAfter } from './syncCursor.js';
+import { diffDocuments } from './voterHistory.js';
+
+export const DIFF_TYPES = ['added', 'removed', 'modified'];
+export const MATCH_MODES = ['id', 'epic', 'both'];
+
+export const DIFF_CSV_COLUMNS = ['type', '_id', 'epic', 'matchedBy', 'otherId', 'field', 'value', 'otherValue'];
+
+const BATCH_SIZE = 500;
+
+export function encodeDiffCursor(position) {
+  return Buffer.from(JSON.stringify({ p: position.phase, i: encodeId(position.lastId) })).toString('base64url');
+}
+
+/** null for an empty token; throws on a malformed one */
+export function decodeDiffCursor(token) {
+  if (!token) return null;
+  let raw;
+  try {
+    raw = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  const lastId = decodeId(raw?.i);
+  if (!lastId || (raw?.p !== 1 && raw?.p !== 2)) throw new Error('Invalid cursor');
+  return { phase: raw.p, lastId };
+}
+
+function epicOf(doc, profile) {
+  const value = readProfileValues(doc, profile, 'epic')[0];
+  return value ? String(value).trim().toUpperCase() : null;
+}
+
+async function byEpic(Model, profile, epics) {
+  const map = new Map();
+  if (!epics.length) return map;
+  const paths = profilePaths(profile, 'epic');
+  const docs = await Model.find({ $or: paths.map((p) => ({ [p]: { $in: epics } })) }).lean();
+  for (const doc of docs) {
+    const epic = epicOf(doc, profile);
+    if (epic && !map.has(epic)) map.set(epic, doc);
+  }
+  return map;
+}
+
+/** Pair each doc of `docs` with its counterpart in OtherModel */
+async function findCounterparts(docs, { profile, OtherModel, otherProfile, matchBy }) {
+  const ids = docs.map((d) => d._id);
+  const useId = matchBy !== 'epic';
+  const useEpic = matchBy !== 'id';
+
+  const byIdMap = new Map();
+  if (useId) {
+    const others = await OtherModel.find({ _id: { $in: ids } }).lean();
+    for (const doc of others) byIdMap.set(String(doc._id), doc);
+  }
+
+  const epics = useEpic ? docs.map((d) => epicOf(d, profile)).filter(Boolean) : [];
+  const byEpicMap = await byEpic(OtherModel, otherProfile, epics);
+
+  return docs.map((doc) => {
+    const viaId = useId ? byIdMap.get(String(doc._id)) : null;
+    if (viaId) return { doc, other: viaId, matchedBy: 'id' };
+    const epic = useEpic ? epicOf(doc, profile) : null;
+    const viaEpic = epic ? byEpicMap.get(epic) : null;
+    if (viaEpic) return { doc, other: viaEpic, matchedBy: 'epic' };
+    return { doc, other: null, matchedBy: null };
+  });
+}
+
+async function* scan(Model, lastId) {
+  let after = lastId;
+  for (;;) {
+    const filter = after ? idAfter(after) : {};
+    const docs = await Model.find(filter).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+    if (!docs.length) return;
+    yield docs;
+    if (docs.length < BATCH_SIZE) return;
+    after = decodeId(encodeId(docs[docs.length - 1]._id));
+  }
+}
+
+/**
+ * Yield { item, position } for every difference between `leftId` and `rightId`.
+ * item: { type, _id, epic, matchedBy, otherId, changes: [{ field, before?, after? }] }
+ *   added    - only in left;  removed - only in right (reported with the right _id)
+ *   modified - in both; before = right (master) value, after = left (clone) value
+ * options: { matchBy: 'id' | 'epic' | 'both', types: [...], start: decoded cursor }
+ */
+export async function* diffCollections(leftId, rightId, { matchBy = 'both', types = DIFF_TYPES, start = null } = {}) {
+  const Left = getVoterModel(leftId);
+  const Right = getVoterModel(rightId);
+  const [leftProfile, rightProfile] = await Promise.all([getFieldProfile(leftId), getFieldProfile(rightId)]);
+  const wanted = new Set(types);
+
+  if ((!start || start.phase === 1) && (wanted.has('added') || wanted.has('modified'))) {
+    for await (const docs of scan(Left, start?.phase === 1 ? start.lastId : null)) {
+      const pairs = await findCounterparts(docs, {
+        profile: leftProfile, OtherModel: Right, otherProfile: rightProfile, matchBy,
+      });
+      for (const { doc, other, matchedBy } of pairs) {
+        const position = { phase: 1, lastId: doc._id };
+        const epic = epicOf(doc, leftProfile);
+        if (!other) {
+          if (wanted.has('added')) yield { item: { type: 'added', _id: doc._id, epic, matchedBy: null, otherId: null, changes: [] }, position };
+          continue;
+        }
+        if (!wanted.has('modified')) continue;
+        const changes = diffDocuments(other, doc);
+        if (changes.length) {
+          yield { item: { type: 'modified', _id: doc._id, epic, matchedBy, otherId: other._id, changes }, position };
+        }
+      }
+    }
+  }
+
+  if (!wanted.has('removed')) return;
+  for await (const docs of scan(Right, start?.phase === 2 ? start.lastId : null)) {
+    const pairs = await findCounterparts(docs, {
+      profile: rightProfile, OtherModel: Left, otherProfile: leftProfile, matchBy,
+    });
+    for (const { doc, other } of pairs) {
+      if (other) continue;
+      yield {
+        item: { type: 'removed', _id: doc._id, epic: epicOf(doc, rightProfile), matchedBy: null, otherId: null, changes: [] },
+        position: { phase: 2, lastId: doc._id },
+      };
+    }
+  }
+}
+
+/**
+ * One page of the report: { items, hasMore, nextCursor }.
+ * Reads one item past the page to know whether more follow.
+ */
+export async function diffPage(leftId, rightId, { matchBy, types, cursor, limit }) {
+  const start = decodeDiffCursor(cursor);
+  const iterator = diffCollections(leftId, rightId, { matchBy, types, start });
+  const items = [];
+  let lastPosition = null;
+  let hasMore = false;
+  try {
+    for await (const { item, position } of iterator) {
+      if (items.length === limit) {
+        hasMore = true;
+        break;
+      }
+      items.push(item);
+      lastPosition = position;
+    }
+  } finally {
+    await iterator.return();
+  }
+  return { items, hasMore, nextCursor: hasMore ? encodeDiffCursor(lastPosition) : null };
+}
+
+/** Counts per type over the whole comparison */
+export async function diffSummary(leftId, rightId, { matchBy, types }) {
+  const counts = Object.fromEntries(types.map((t) => [t, 0]));
+  for await (const { item } of diffCollections(leftId, rightId, { matchBy, types })) counts[item.type] += 1;
+  return counts;
+}
+
+/**
+ * Flat CSV rows (one per changed field; one per added/removed record) as a
+ * closable async iterable for streamVoters().
+ */
+export function diffCsvRows(leftId, rightId, { matchBy, types }) {
+  const iterator = diffCollections(leftId, rightId, { matchBy, types });
+  async function* rows() {
+    for await (const { item } of iterator) {
+      const base = { type: item.type, _id: item._id, epic: item.epic, matchedBy: item.matchedBy, otherId: item.otherId };
+      if (!item.changes.length) {
+        yield base;
+        continue;
+      }
+      for (const change of item.changes) {
+        yield { ...base, field: change.field, value: change.after, otherValue: change.before };
+      }
+    }
+  }
+  const generator = rows();
+  return {
+    [Symbol.asyncIterator]: () => generator,
+    close: async () => {
+      await generator.return();
+      await iterator.return();
+    },
+  };
+}
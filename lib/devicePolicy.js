@@ -0,0 +1,293 @@
+// lib/devicePolicy.js
+// Device rules for every login path (/login, /pin-login, /otp/verify), the
+// requireSameDevice guard and the admin device routes. Each role has a rule
+// (stored in settings under `auth.devicePolicy`) and a user may override it
+// (User.devicePolicy):
+//   off     - device IDs are ignored
+//   track   - the latest device is recorded, nothing is blocked
+//   strict  - the account is locked to the first device until an admin reset
+//   max     - up to `maxDevices` different devices; others are refused
+
+import { getSetting, setSetting } from './settings.js';
+
+const POLICY_SETTING = 'auth.devicePolicy';
+const MIN_DEVICE_ID_LENGTH = 6;
+const MAX_DEVICES_LIMIT = 20;
+// "track" keeps this many recent devices on the user
+const TRACKED_DEVICES = 20;
+
+export const DEVICE_MODES = ['off', 'track', 'strict', 'max'];
+export const DEVICE_POLICY_ROLES = ['admin', 'operator', 'candidate', 'volunteer', 'user'];
+
+// what the app did before policies were configurable
+export const DEFAULT_DEVICE_POLICY = Object.freeze({
+  roles: {
+    admin: { mode: 'off' },
+    operator: { mode: 'off' },
+    candidate: { mode: 'strict' },
+    volunteer: { mode: 'track' },
+    user: { mode: 'off' },
+  },
+});
+
+/** { mode, maxDevices? } from input like "strict" or { mode: 'max', maxDevices: 2 }; returns { rule } or { error } */
+export function normalizeDeviceRule(input) {
+  const raw = typeof input === 'string' ? { mode: input } : input;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Device rule must be a mode or { mode, maxDevices }.' };
+  }
+  const mode = typeof raw.mode === 'string' ? raw.mode.trim().toLowerCase() : '';
+  if (!DEVICE_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${DEVICE_MODES.join(', ')}.` };
+  }
+  if (mode !== 'max') return { rule: { mode } };
+
+  const n = Number(raw.maxDevices);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_DEVICES_LIMIT) {
+    return { error: `maxDevices must be a whole number between 1 and ${MAX_DEVICES_LIMIT}.` };
+  }
+  return { rule: { mode, maxDevices: n } };
+}
+
+/** Validate { roles: { <role>: rule } }; missing roles keep their default. Returns { policy } or { error } */
+export function normalizeDevicePolicy(input) {
+  const roles = input?.roles;
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    return { error: 'Device policy must be { roles: { <role>: { mode, maxDevices? } } }.' };
+  }
+
+  const policy = { roles: { ...DEFAULT_DEVICE_POLICY.roles } };
+  for (const [role, value] of Object.entries(roles)) {
+    if (!DEVICE_POLICY_ROLES.includes(role)) return { error: `Unknown role "${role}".` };
+    const { rule, error } = normalizeDeviceRule(value);
+    if (error) return { error: `${role}: ${error}` };
+    policy.roles[role] = rule;
+  }
+  return { policy };
+}
+
+export async function getDevicePolicy() {
+  const stored = await getSetting(POLICY_SETTING, null);
+  if (!stored) return { roles: { ...DEFAULT_DEVICE_POLICY.roles } };
+  const { policy } = normalizeDevicePolicy(stored);
+  return policy || { roles: { ...DEFAULT_DEVICE_POLICY.roles } };
+}
+
+export async function saveDevicePolicy(policy, updatedBy) {
+  return setSetting(POLICY_SETTING, policy, updatedBy);
+}
+
+/** Roles whose rule differs between two normalized policies */
+export function changedDeviceRoles(before, after) {
+  return DEVICE_POLICY_ROLES.filter((role) => {
+    const a = before.roles[role] || { mode: 'off' };
+    const b = after.roles[role] || { mode: 'off' };
+    return a.mode !== b.mode || (a.maxDevices ?? null) !== (b.maxDevices ?? null);
+  });
+}
+
+/** The rule that applies to this user: { mode, maxDevices?, source: 'user' | 'role' } */
+export function resolveDeviceRule(user, policy) {
+  if (user?.devicePolicy) {
+    const { rule } = normalizeDeviceRule(user.devicePolicy);
+    if (rule) return { ...rule, source: 'user' };
+  }
+  const rule = policy.roles[user?.role] || { mode: 'off' };
+  return { ...rule, source: 'role' };
+}
+
+export async function deviceRuleForUser(user) {
+  return resolveDeviceRule(user, await getDevicePolicy());
+}
+
+function validDeviceId(deviceId) {
+  return typeof deviceId === 'string' && deviceId.length >= MIN_DEVICE_ID_LENGTH;
+}
+
+/** Device IDs a "max" rule accepts (accounts bound before the device list existed count their bound device) */
+export function knownDeviceIds(user) {
+  const ids = (user.devices || []).map((d) => d.deviceId).filter(Boolean);
+  if (!ids.length && user.deviceIdBound) ids.push(user.deviceIdBound);
+  return ids;
+}
+
+function pushHistory(user, entry) {
+  if (!Array.isArray(user.deviceHistory)) user.deviceHistory = [];
+  user.deviceHistory.push(entry);
+}
+
+function touchDevice(user, deviceId, now) {
+  if (!Array.isArray(user.devices)) user.devices = [];
+  const known = user.devices.find((d) => d.deviceId === deviceId);
+  if (known) {
+    known.lastSeenAt = now;
+    return;
+  }
+  user.devices.push({ deviceId, firstSeenAt: now, lastSeenAt: now });
+  if (user.devices.length > TRACKED_DEVICES) {
+    const sorted = [...user.devices].sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    user.devices = sorted.slice(0, TRACKED_DEVICES);
+  }
+}
+
+function lockedElsewhere(user) {
+  return {
+    status: 423,
+    body: {
+      error: 'ACCOUNT_LOCKED_DIFFERENT_DEVICE',
+      message:
+        'This account is already activated on another device. Ask an admin to reset your device binding.',
+      boundAt: user.deviceBoundAt,
+    },
+  };
+}
+
+/**
+ * Apply the rule to a login from `deviceId`. Updates the user's binding,
+ * device list and history (caller saves) and returns { status, body } to
+ * refuse the login, else null.
+ * actions: deviceHistory names { bound, track, switch } and `label` for messages.
+ */
+export function applyLoginDevice(user, deviceId, rule, actions) {
+  if (rule.mode === 'off') return null;
+  const now = new Date();
+
+  if (rule.mode === 'track') {
+    if (!validDeviceId(deviceId)) return null;
+    // if previously bound to a different device, log the switch but allow it
+    if (user.deviceIdBound && user.deviceIdBound !== deviceId) {
+      pushHistory(user, { deviceId: user.deviceIdBound, action: actions.switch, by: 'system' });
+    }
+    user.deviceIdBound = deviceId;
+    user.deviceBoundAt = now;
+    touchDevice(user, deviceId, now);
+    pushHistory(user, { deviceId, action: actions.track, by: 'system' });
+    return null;
+  }
+
+  if (!validDeviceId(deviceId)) {
+    return {
+      status: 400,
+      body: {
+        error: 'Missing or invalid device ID',
+        message: `Device ID required for ${actions.label}.`,
+      },
+    };
+  }
+
+  if (rule.mode === 'strict') {
+    if (user.deviceIdBound && user.deviceIdBound !== deviceId) return lockedElsewhere(user);
+    if (!user.deviceIdBound) {
+      user.deviceIdBound = deviceId;
+      user.deviceBoundAt = now;
+      pushHistory(user, { deviceId, action: actions.bound, by: 'system' });
+    }
+    touchDevice(user, deviceId, now);
+    return null;
+  }
+
+  // max N
+  const known = knownDeviceIds(user);
+  if (!known.includes(deviceId)) {
+    if (known.length >= rule.maxDevices) {
+      return {
+        status: 423,
+        body: {
+          error: 'DEVICE_LIMIT_REACHED',
+          message: `This account is already active on ${known.length} device(s), the most allowed. Ask an admin to remove one.`,
+          maxDevices: rule.maxDevices,
+        },
+      };
+    }
+    // carry over a binding made before the device list existed
+    if (!(user.devices || []).length && user.deviceIdBound) touchDevice(user, user.deviceIdBound, user.deviceBoundAt || now);
+    pushHistory(user, { deviceId, action: actions.bound, by: 'system' });
+  }
+  touchDevice(user, deviceId, now);
+  user.deviceIdBound = deviceId;
+  user.deviceBoundAt = now;
+  return null;
+}
+
+/** Device IDs the rule lets the user work from, or null when any device will do (off / track) */
+export function allowedDeviceIds(user, rule) {
+  if (rule.mode === 'off' || rule.mode === 'track') return null;
+  if (rule.mode === 'strict') return user.deviceIdBound ? [user.deviceIdBound] : [];
+  return knownDeviceIds(user);
+}
+
+/**
+ * Whether a refresh token bound to `sessionDeviceId` may be used from
+ * `deviceId`. Under strict / max the device ID is required and must be one the
+ * rule allows. Returns an error code (DEVICE_REQUIRED, DEVICE_MISMATCH, or
+ * the checkRequestDevice one) with its status, else null.
+ */
+export function checkRefreshDevice(user, sessionDeviceId, deviceId, rule) {
+  if (sessionDeviceId && deviceId && sessionDeviceId !== deviceId) return { status: 401, error: 'DEVICE_MISMATCH' };
+  if (rule.mode === 'off' || rule.mode === 'track') return null;
+  if (!validDeviceId(deviceId)) return { status: 401, error: 'DEVICE_REQUIRED' };
+  const refusal = checkRequestDevice(user, deviceId, rule);
+  return refusal ? { status: refusal.status, error: refusal.body.error } : null;
+}
+
+/**
+ * Whether an authenticated request from `deviceId` is allowed (requireSameDevice).
+ * Returns { status, body } to refuse it, else null.
+ */
+export function checkRequestDevice(user, deviceId, rule) {
+  const known = allowedDeviceIds(user, rule);
+  if (!known) return null;
+
+  if (!known.length) {
+    return {
+      status: 423,
+      body: {
+        error: 'DEVICE_NOT_BOUND',
+        message: 'Account not yet activated on any device.',
+      },
+    };
+  }
+  if (!deviceId || !known.includes(deviceId)) return lockedElsewhere(user);
+  return null;
+}
+
+/**
+ * Bring the user's devices within a (possibly tightened) rule: a "max" rule
+ * keeps the most recently seen devices. Caller saves. Returns the device IDs
+ * still allowed, or null when the rule allows any device.
+ */
+export function enforceDeviceRule(user, rule, by) {
+  if (rule.mode === 'max') {
+    const devices = [...(user.devices || [])].sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    for (const dropped of devices.slice(rule.maxDevices)) {
+      removeDevice(user, dropped.deviceId, by);
+    }
+  }
+  return allowedDeviceIds(user, rule);
+}
+
+/** Forget every device of the user (caller saves) */
+export function resetDevices(user, by) {
+  if (user.deviceIdBound) {
+    pushHistory(user, { deviceId: user.deviceIdBound, action: 'RESET', by });
+  } else {
+    pushHistory(user, { action: 'RESET', by });
+  }
+  user.deviceIdBound = null;
+  user.deviceBoundAt = null;
+  user.devices = [];
+}
+
+/** Forget one device (caller saves); returns false when the user does not have it */
+export function removeDevice(user, deviceId, by) {
+  const listed = (user.devices || []).some((d) => d.deviceId === deviceId);
+  if (!listed && user.deviceIdBound !== deviceId) return false;
+
+  user.devices = (user.devices || []).filter((d) => d.deviceId !== deviceId);
+  if (user.deviceIdBound === deviceId) {
+    user.deviceIdBound = null;
+    user.deviceBoundAt = null;
+  }
+  pushHistory(user, { deviceId, action: 'REMOVED', by });
+  return true;
+}
@@ -0,0 +1,13 @@
+// lib/epic.js
+// EPIC (voter ID card number) helpers shared by the roll importer and the
+// write policy.
+
+// Current EPIC format (3 letters + 7 digits) and the older state-issued one
+const EPIC_PATTERNS = [/^[A-Z]{3}\d{7}$/, /^[A-Z]{2}\/\d{2}\/\d{3}\/\d{6}$/];
+
+/** Uppercased EPIC without spaces, or null when it matches neither format */
+export function normalizeEpic(value) {
+  const epic = String(value ?? '').replace(/\s+/g, '').toUpperCase();
+  if (!epic) return null;
+  return EPIC_PATTERNS.some((rx) => rx.test(epic)) ? epic : null;
+}
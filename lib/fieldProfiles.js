@@ -0,0 +1,231 @@
+// lib/fieldProfiles.js
+// Resolve which document paths hold a voter's name / EPIC / mobile / booth
+// (and address / house / surname, gender / age) for a given voter
+// collection. Rolls from different districts use different column headers,
+// so the mapping lives in Mongo (FieldProfile) and falls back to the
+// variants we have historically seen in imports.
+
+import FieldProfile from '../models/FieldProfile.js';
+
+/**
+ * Built-in mapping used when a collection has no stored profile, or when a
+ * stored profile leaves a logical field out.
+ * NOTE: raw import columns are addressed with dot-paths ("__raw.नाव").
+ */
+export const DEFAULT_FIELD_PROFILE = Object.freeze({
+  name: ['name', 'Name', '__raw.Name', '__raw.नाव', '__raw.नाव + मोबा/ ईमेल नं.'],
+  epic: ['voter_id', 'EPIC', '__raw.EPIC', '__raw.voter_id', '__raw.कार्ड नं'],
+  mobile: [
+    'mobile', 'Mobile',
+    'phone', 'Phone',
+    'contact', 'Contact',
+    '__raw.Mobile', '__raw.Mobile No', '__raw.मोबाइल', '__raw.Contact',
+  ],
+  booth: ['Booth', '__raw.Booth'],
+  // household grouping
+  address: ['address', 'Address', '__raw.Address', '__raw.पत्ता'],
+  house: ['house_no', 'HouseNo', '__raw.House No', '__raw.घर क्रमांक', '__raw.घर नं'],
+  surname: ['surname', 'Surname', '__raw.Surname', '__raw.आडनाव'],
+  // demographics (stats)
+  gender: ['gender', 'Gender', 'sex', 'Sex', '__raw.Gender', '__raw.लिंग'],
+  age: ['age', 'Age', '__raw.Age', '__raw.वय'],
+});
+
+/** Logical fields an admin may map */
+export const PROFILE_FIELDS = Object.freeze(Object.keys(DEFAULT_FIELD_PROFILE));
+
+// Logical fields included in the free-text `q` search
+const SEARCH_FIELDS = ['name', 'epic', 'mobile', 'booth'];
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { at: 0, byId: null };
+
+function sanitizePath(path) {
+  const value = typeof path === 'string' ? path.trim() : '';
+  if (!value) return '';
+  if (value.startsWith('$') || value.includes('\0')) return '';
+  if (value.startsWith('.') || value.includes('..')) return '';
+  return value;
+}
+
+/**
+ * Validate an admin-supplied { field: [paths] } object.
+ * Returns { fields } on success or { error } with a user-facing message.
+ */
+export function normalizeProfileFields(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'fields must be an object of { field: [paths] }.' };
+  }
+
+  const fields = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!PROFILE_FIELDS.includes(key)) {
+      return { error: `Unknown field "${key}". Allowed: ${PROFILE_FIELDS.join(', ')}.` };
+    }
+    const list = Array.isArray(value) ? value : [value];
+    const paths = [];
+    for (const raw of list) {
+      const path = sanitizePath(raw);
+      if (!path) return { error: `Invalid path for "${key}".` };
+      if (!paths.includes(path)) paths.push(path);
+    }
+    if (paths.length) fields[key] = paths;
+  }
+  return { fields };
+}
+
+async function loadProfiles() {
+  const now = Date.now();
+  if (cache.byId && now - cache.at < CACHE_TTL_MS) return cache.byId;
+
+  const docs = await FieldProfile.find({}).lean();
+  const byId = new Map();
+  for (const doc of docs) {
+    byId.set(doc.databaseId, doc.fields || {});
+  }
+  cache = { at: now, byId };
+  return byId;
+}
+
+export function invalidateFieldProfileCache() {
+  cache = { at: 0, byId: null };
+}
+
+/**
+ * Find the stored per-collection entry in a Map keyed by databaseId.
+ * Per-user clones ("u_<userKey>_<master>") inherit their master's entry
+ * unless they have one of their own. Returns { value, source }.
+ */
+export function findInheritedEntry(byId, databaseId) {
+  if (byId.has(databaseId)) {
+    return { value: byId.get(databaseId), source: databaseId };
+  }
+  if (databaseId.startsWith('u_')) {
+    let best = null;
+    for (const masterId of byId.keys()) {
+      if (!databaseId.endsWith(`_${masterId.replace(/\s+/g, '')}`)) continue;
+      if (!best || masterId.length > best.length) best = masterId;
+    }
+    if (best) return { value: byId.get(best), source: best };
+  }
+  return { value: null, source: null };
+}
+
+/**
+ * Resolve the effective profile for a voter collection.
+ * Always returns every logical field, filled from defaults where unmapped.
+ */
+export async function getFieldProfile(databaseId) {
+  let stored = { fields: null, source: null };
+  try {
+    const byId = await loadProfiles();
+    const entry = findInheritedEntry(byId, String(databaseId || ''));
+    stored = { fields: entry.value, source: entry.source };
+  } catch (e) {
+    console.error('FIELD_PROFILE_LOAD_ERROR', e);
+  }
+
+  const fields = {};
+  for (const key of PROFILE_FIELDS) {
+    const custom = stored.fields?.[key];
+    fields[key] = Array.isArray(custom) && custom.length
+      ? [...custom]
+      : [...DEFAULT_FIELD_PROFILE[key]];
+  }
+
+  return { databaseId, source: stored.source, isDefault: !stored.source, fields };
+}
+
+export async function saveFieldProfile(databaseId, fields, updatedBy = null) {
+  const doc = await FieldProfile.findOneAndUpdate(
+    { databaseId },
+    { $set: { fields, updatedBy } },
+    { new: true, upsert: true, lean: true }
+  );
+  invalidateFieldProfileCache();
+  return doc;
+}
+
+export async function deleteFieldProfile(databaseId) {
+  const result = await FieldProfile.deleteOne({ databaseId });
+  invalidateFieldProfileCache();
+  return result.deletedCount > 0;
+}
+
+/** Paths for one logical field (empty array if unknown) */
+export function profilePaths(profile, key) {
+  return Array.isArray(profile?.fields?.[key]) ? profile.fields[key] : [];
+}
+
+/** Paths searched by the free-text `q` parameter, de-duplicated */
+export function searchPaths(profile) {
+  const out = [];
+  for (const key of SEARCH_FIELDS) {
+    for (const path of profilePaths(profile, key)) {
+      if (!out.includes(path)) out.push(path);
+    }
+  }
+  return out;
+}
+
+/**
+ * Aggregation expression for the first non-null of several document paths
+ * ($ifNull chain). Paths ending in "." cannot be referenced and are skipped.
+ */
+export function coalescePathsExpr(paths) {
+  const usable = paths.filter((p) => !p.endsWith('.'));
+  if (!usable.length) return null;
+  return usable
+    .slice(0, -1)
+    .reduceRight((acc, path) => ({ $ifNull: [`$${path}`, acc] }), `$${usable[usable.length - 1]}`);
+}
+
+/**
+ * Read a dot-path from a plain voter document. Raw import headers may
+ * themselves contain dots ("नं."), so an exact key match wins at each level.
+ */
+export function readPath(doc, path) {
+  let node = doc;
+  let rest = String(path || '');
+  while (node && typeof node === 'object' && rest) {
+    if (Object.prototype.hasOwnProperty.call(node, rest)) return node[rest];
+    const dot = rest.indexOf('.');
+    if (dot < 0) return undefined;
+    node = node[rest.slice(0, dot)];
+    rest = rest.slice(dot + 1);
+  }
+  return undefined;
+}
+
+/**
+ * Where a write to top-level `field` lands on this voter: when the field is a
+ * logical profile field (or one of its paths), the first of its paths that
+ * holds a value on `doc` ("__raw.पत्ता" for an imported address), else
+ * `field` itself.
+ */
+export function profileWritePath(doc, profile, field) {
+  const key = PROFILE_FIELDS.includes(field)
+    ? field
+    : PROFILE_FIELDS.find((k) => profilePaths(profile, k).includes(field));
+  if (!key) return field;
+  // a trailing "." is not a writable Mongo path
+  const found = profilePaths(profile, key)
+    .filter((path) => !path.endsWith('.'))
+    .find((path) => {
+      const value = readPath(doc, path);
+      return value !== undefined && value !== null && String(value).trim() !== '';
+    });
+  return found || field;
+}
+
+/** All distinct non-empty values of a logical field on a voter document */
+export function readProfileValues(doc, profile, key) {
+  const out = [];
+  for (const path of profilePaths(profile, key)) {
+    const value = readPath(doc, path);
+    if (value === undefined || value === null) continue;
+    const text = String(value).trim();
+    if (text && !out.includes(text)) out.push(text);
+  }
+  return out;
+}
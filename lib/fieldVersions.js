@@ -0,0 +1,125 @@
+// lib/fieldVersions.js
+// Per-field version stamps for offline sync. Every write records, under
+// "__fieldVersions.<field>", when that top-level field was last changed, so
+// bulk-upsert can merge edits to different fields of the same voter and
+// report the fields where a client edit lost to a newer server value.
+
+import { SEARCH_ROOT } from './searchFields.js';
+
+export const FIELD_VERSIONS_ROOT = '__fieldVersions';
+
+// On clone voters: the master's field versions at the last rebase (lib/cloneRebase.js)
+export const MASTER_VERSIONS_ROOT = '__masterVersions';
+
+// Server-managed fields a client payload may not write
+const RESERVED_FIELDS = new Set([
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  SEARCH_ROOT,
+  FIELD_VERSIONS_ROOT,
+  MASTER_VERSIONS_ROOT,
+]);
+
+/** Keys a client may not write: server-managed, operators, or dotted paths */
+export function isReservedField(field) {
+  return RESERVED_FIELDS.has(field) || field.startsWith('$') || field.includes('.');
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function comparable(value) {
+  if (value === undefined) return null;
+  return JSON.stringify(value, (_key, v) => (v && typeof v === 'object' && typeof v.toHexString === 'function' ? v.toHexString() : v));
+}
+
+/** Deep equality for plain document values (ObjectIds compare by hex) */
+export function sameValue(a, b) {
+  return comparable(a) === comparable(b);
+}
+
+/** Top-level field a document path belongs to ("support.tags" -> "support") */
+export function topLevelField(path) {
+  return String(path).split('.')[0];
+}
+
+/**
+ * $set entries stamping the given paths (or their top-level fields) as changed at `at`.
+ * Merge into the $set of any server-side write that changes voter fields.
+ */
+export function fieldVersionsUpdate(paths, at = new Date()) {
+  const $set = {};
+  for (const path of paths) {
+    const field = topLevelField(path);
+    if (field && !RESERVED_FIELDS.has(field)) $set[`${FIELD_VERSIONS_ROOT}.${field}`] = at;
+  }
+  return $set;
+}
+
+/**
+ * Merge one client change into the current server document (lean object).
+ *
+ * change: { payload, updatedAt, fieldVersions? }
+ *   fieldVersions  optional { field: ISO } for the fields the client actually
+ *                  edited; other payload fields use the change's updatedAt.
+ *
+ * A field is applied when the client version is at least the server's version
+ * of that field. Fields the server never versioned (written by import, rebase
+ * or older code) use the document's updatedAt instead, i.e. last write wins.
+ * A differing client value with an older version becomes a conflict.
+ *
+ * With no server document (a create) every field is accepted.
+ *
+ * Returns { values, versions, conflicts, ignored }: the fields to write, their
+ * new version stamps, the losing fields and any reserved/invalid keys skipped.
+ */
+export function mergeFieldChanges(doc, { payload, updatedAt, fieldVersions } = {}) {
+  const values = {};
+  const versions = {};
+  const conflicts = [];
+  const ignored = [];
+  const serverVersions = (doc && doc[FIELD_VERSIONS_ROOT]) || {};
+  const clientVersions = fieldVersions && typeof fieldVersions === 'object' ? fieldVersions : {};
+  const changeTime = toTime(updatedAt);
+
+  for (const [field, value] of Object.entries(payload || {})) {
+    if (isReservedField(field)) {
+      ignored.push(field);
+      continue;
+    }
+
+    const current = doc ? doc[field] : undefined;
+    if (sameValue(current, value)) continue;
+
+    const clientTime = toTime(clientVersions[field]) ?? changeTime;
+    const serverTime = toTime(serverVersions[field]) ?? toTime(doc?.updatedAt);
+
+    if (doc && (clientTime === null || (serverTime !== null && clientTime < serverTime))) {
+      conflicts.push({
+        field,
+        serverValue: current === undefined ? null : current,
+        clientValue: value,
+        serverVersion: serverTime === null ? null : new Date(serverTime).toISOString(),
+        clientVersion: clientTime === null ? null : new Date(clientTime).toISOString(),
+      });
+      continue;
+    }
+
+    values[field] = value;
+    versions[field] = clientTime === null ? new Date() : new Date(clientTime);
+  }
+
+  return { values, versions, conflicts, ignored };
+}
+
+/** $set for merged values and their version stamps */
+export function mergedSetUpdate({ values, versions }) {
+  const $set = { ...values };
+  for (const [field, at] of Object.entries(versions)) $set[`${FIELD_VERSIONS_ROOT}.${field}`] = at;
+  return $set;
+}
@@ -0,0 +1,199 @@
+// lib/fuzzySearch.js
+// `mode=fuzzy` for /api/voters/search: pull a bounded candidate set from
+// Mongo (regex + stored phonetic keys + token prefixes), then score each
+// candidate in memory and return them ordered by relevance.
+// Candidates are fetched strongest first (exact name words, then regex /
+// phonetic hits, then spelling variants), so when the cap cuts a broad query
+// short it drops the weakest ones; `total` is then flagged approximate.
+
+import { profilePaths, readPath } from './fieldProfiles.js';
+import { SEARCH_ROOT } from './searchFields.js';
+import { editDistance, maxEditsFor, nameTokens, phoneticKey } from './phonetic.js';
+
+const esc = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Upper bound of documents scored per request (lift via env if needed)
+function candidateLimit() {
+  const n = parseInt(process.env.VOTERS_FUZZY_CANDIDATES || '2000', 10);
+  return Number.isFinite(n) && n > 0 ? n : 2000;
+}
+
+// weaker reasons rank later in this list
+const REASON_ORDER = ['exact', 'prefix', 'contains', 'phonetic', 'edit'];
+
+function scoreToken(qt, tokens) {
+  let best = { score: 0, reason: null, token: null };
+  const qKey = phoneticKey(qt);
+  const maxEdits = maxEditsFor(qt.length);
+
+  for (const vt of tokens) {
+    let hit = null;
+    if (vt === qt) hit = { score: 1, reason: 'exact' };
+    else if (qt.length >= 3 && vt.startsWith(qt)) hit = { score: 0.9, reason: 'prefix' };
+    else if (qKey && qKey === phoneticKey(vt)) hit = { score: 0.8, reason: 'phonetic' };
+    else if (maxEdits > 0) {
+      const d = editDistance(qt, vt, maxEdits);
+      if (d <= maxEdits) hit = { score: 0.75 - 0.1 * (d - 1), reason: 'edit' };
+    }
+    if (hit && hit.score > best.score) best = { ...hit, token: vt };
+  }
+  return best;
+}
+
+function scoreName(q, qTokens, value) {
+  const text = String(value);
+  if (text.toLowerCase() === q.toLowerCase()) return { score: 100, reason: 'exact' };
+  if (text.toLowerCase().includes(q.toLowerCase())) return { score: 85, reason: 'contains' };
+  if (!qTokens.length) return null;
+
+  const tokens = nameTokens(text);
+  let sum = 0;
+  let worst = 0;
+  for (const qt of qTokens) {
+    const hit = scoreToken(qt, tokens);
+    if (!hit.reason) return null; // every typed word must match something
+    sum += hit.score;
+    worst = Math.max(worst, REASON_ORDER.indexOf(hit.reason));
+  }
+  return { score: Math.round((sum / qTokens.length) * 80), reason: REASON_ORDER[worst] };
+}
+
+function scoreIdentifier(q, value) {
+  const v = String(value).trim().toLowerCase();
+  const needle = q.toLowerCase();
+  if (!v) return null;
+  if (v === needle) return { score: 100, reason: 'exact' };
+  if (v.startsWith(needle)) return { score: 90, reason: 'prefix' };
+  if (v.includes(needle)) return { score: 75, reason: 'contains' };
+  return null;
+}
+
+/**
+ * Best match of the query on one voter:
+ * { score, field, path, value, reason } or null when nothing matches.
+ */
+export function scoreVoter(doc, q, profile) {
+  const qTokens = nameTokens(q);
+  let best = null;
+
+  const consider = (field, path, value, hit) => {
+    if (!hit) return;
+    if (!best || hit.score > best.score) {
+      best = { score: hit.score, field, path, value, reason: hit.reason };
+    }
+  };
+
+  for (const field of ['epic', 'mobile', 'booth']) {
+    for (const path of profilePaths(profile, field)) {
+      const value = readPath(doc, path);
+      if (value === undefined || value === null || typeof value === 'object') continue;
+      consider(field, path, value, scoreIdentifier(q, value));
+    }
+  }
+
+  for (const path of profilePaths(profile, 'name')) {
+    const value = readPath(doc, path);
+    if (value === undefined || value === null || typeof value === 'object') continue;
+    if (!String(value).trim()) continue;
+    consider('name', path, value, scoreName(q, qTokens, value));
+  }
+
+  return best;
+}
+
+/** Projection that still carries everything scoreVoter reads */
+function scoringProjection(projection, profile) {
+  if (!projection) return '-__v';
+  const out = { ...projection, [SEARCH_ROOT]: 1 };
+  for (const field of ['name', 'epic', 'mobile', 'booth']) {
+    for (const path of profilePaths(profile, field)) {
+      out[path.split('.')[0]] = 1;
+    }
+  }
+  // a parent path and its children cannot both be projected
+  for (const key of Object.keys(out)) {
+    const root = key.split('.')[0];
+    if (key !== root && out[root]) delete out[key];
+  }
+  return out;
+}
+
+/** A scored document cut down to the requested `fields=` projection */
+function projectResult(doc, projection) {
+  const out = { _id: doc._id };
+  for (const key of Object.keys(projection)) {
+    const value = readPath(doc, key);
+    if (value === undefined) continue;
+    const root = key.split('.')[0];
+    if (key === root || Object.prototype.hasOwnProperty.call(doc, key)) {
+      out[key] = value;
+    } else if (!projection[root]) {
+      // nested path: rebuild its parents (a projected parent already carries it)
+      const parts = key.split('.');
+      let node = out;
+      for (const part of parts.slice(0, -1)) {
+        if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+        node = node[part];
+      }
+      node[parts[parts.length - 1]] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Run a fuzzy search.
+ * baseQuery: the regular search query (filters + regex $or) for this q.
+ * Returns { results, total, totalApproximate } with `_score` / `_match` on
+ * every result; totalApproximate is true when the candidate cap was reached.
+ */
+export async function fuzzySearchVoters(VoterModel, { q, baseQuery, profile, projection, skip, limit }) {
+  const cap = candidateLimit();
+  const select = scoringProjection(projection, profile);
+  // everything except the regex $or narrows every candidate query
+  const { $or: baseOr = [], ...scope } = baseQuery;
+
+  const qTokens = nameTokens(q);
+  const phonetic = Array.from(new Set(qTokens.map((t) => phoneticKey(t)).filter(Boolean)));
+  const prefixes = Array.from(new Set(qTokens.filter((t) => t.length >= 4).map((t) => t.slice(0, 2))));
+
+  // strongest tier first; each tier fills what the earlier ones left of the cap
+  const tiers = [];
+  // 1) a typed word is a whole name word (indexed equality)
+  if (qTokens.length) tiers.push({ [`${SEARCH_ROOT}.tokens`]: { $in: qTokens } });
+  // 2) plain regex hits or same phonetic key
+  const strongOr = [...baseOr];
+  if (phonetic.length) strongOr.push({ [`${SEARCH_ROOT}.phonetic`]: { $in: phonetic } });
+  if (strongOr.length) tiers.push({ $or: strongOr });
+  // 3) spelling variants: same first two letters, scored by edit distance
+  if (prefixes.length) {
+    tiers.push({ [`${SEARCH_ROOT}.tokens`]: { $in: prefixes.map((p) => new RegExp(`^${esc(p)}`)) } });
+  }
+
+  const candidates = [];
+  let capped = false;
+  for (const tier of tiers) {
+    const room = cap - candidates.length;
+    if (room <= 0) {
+      capped = true;
+      break;
+    }
+    const query = { ...scope, ...tier };
+    if (candidates.length) query._id = { $nin: candidates.map((d) => d._id) };
+    const docs = await VoterModel.find(query).select(select).limit(room).lean();
+    candidates.push(...docs);
+    if (docs.length === room) capped = true;
+  }
+
+  const scored = [];
+  for (const doc of candidates) {
+    const match = scoreVoter(doc, q, profile);
+    if (!match) continue;
+    const { score, ...matched } = match;
+    const shaped = projection ? projectResult(doc, projection) : doc;
+    scored.push({ ...shaped, _score: score, _match: matched });
+  }
+
+  scored.sort((a, b) => b._score - a._score);
+  return { results: scored.slice(skip, skip + limit), total: scored.length, totalApproximate: capped };
+}
@@ -0,0 +1,43 @@
+// lib/households.js
+// Derive a household key for each voter from booth, address, house number
+// and surname (all resolved through the collection's field profile).
+// The key is stored as "__search.household" so grouping is a plain $group.
+
+import crypto from 'node:crypto';
+import { readProfileValues } from './fieldProfiles.js';
+import { looseLatinKey } from './transliterate.js';
+
+/**
+ * Surname of a voter: the mapped surname column, else the first word of the
+ * name (Marathi rolls list names as "आडनाव नाव वडिलांचे नाव").
+ */
+export function surnameOf(doc, profile) {
+  const [surname] = readProfileValues(doc, profile, 'surname');
+  if (surname) return surname;
+  const [name] = readProfileValues(doc, profile, 'name');
+  return name ? name.split(/\s+/)[0] : '';
+}
+
+/** Display parts of a voter's household */
+export function householdParts(doc, profile) {
+  return {
+    booth: readProfileValues(doc, profile, 'booth')[0] || '',
+    address: readProfileValues(doc, profile, 'address')[0] || '',
+    house: readProfileValues(doc, profile, 'house')[0] || '',
+    surname: surnameOf(doc, profile),
+  };
+}
+
+/**
+ * Stable household id, or null when neither house number nor address is
+ * known (grouping on surname alone would merge unrelated families).
+ */
+export function householdKey(doc, profile) {
+  const parts = householdParts(doc, profile);
+  if (!parts.house && !parts.address) return null;
+
+  const normalized = [parts.booth, parts.address, parts.house, parts.surname]
+    .map((p) => looseLatinKey(p))
+    .join('|');
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 20);
+}
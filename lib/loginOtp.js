@@ -0,0 +1,166 @@
+// lib/loginOtp.js
+// OTP login for users with a registered mobile number: a random code is
+// sent through lib/sms.js and only its salted hash is stored. Codes expire,
+// allow a few wrong guesses, and resends are throttled per user.
+
+import crypto from 'crypto';
+import LoginOtp from '../models/LoginOtp.js';
+import { sendSms } from './sms.js';
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = envInt('OTP_TTL_SECONDS', 300) * 1000;
+const MAX_ATTEMPTS = envInt('OTP_MAX_ATTEMPTS', 5);
+const RESEND_INTERVAL_MS = envInt('OTP_RESEND_SECONDS', 60) * 1000;
+const MAX_SENDS_PER_WINDOW = envInt('OTP_MAX_SENDS_PER_HOUR', 5);
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+// lost compare-and-swap races before a request gives up as too soon
+const CLAIM_RETRIES = 10;
+
+function hashCode(code, salt) {
+  return crypto.createHmac('sha256', salt).update(code).digest('hex');
+}
+
+function sameHash(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function seconds(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
+
+/** { expiresIn, resendAfter } in seconds, the same for every /otp/request reply */
+export function otpTiming() {
+  return { expiresIn: seconds(OTP_TTL_MS), resendAfter: seconds(RESEND_INTERVAL_MS) };
+}
+
+// Take the next send for `userId`: the row was read as `existing` (null when
+// missing) and `fields` is the new code. Compare-and-swap on the send
+// counters so that parallel requests cannot both pass the resend interval or
+// the hourly limit. false when another request got there first.
+async function claimSend(userId, existing, fields) {
+  if (!existing) {
+    try {
+      await LoginOtp.create({ userId, ...fields });
+      return true;
+    } catch (e) {
+      if (e.code !== 11000) throw e; // created by a parallel request
+      return false;
+    }
+  }
+  const { modifiedCount } = await LoginOtp.updateOne(
+    {
+      _id: existing._id,
+      sentAt: existing.sentAt ?? null,
+      sendCount: existing.sendCount,
+      windowStartedAt: existing.windowStartedAt ?? null,
+    },
+    { $set: fields }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * Send a new code to the user's mobile.
+ * Returns { expiresIn, resendAfter } (seconds), or { error, retryAfter? } with
+ * OTP_RESEND_TOO_SOON, OTP_SEND_LIMIT or OTP_SEND_FAILED.
+ */
+export async function requestOtp(user, { deviceId = null, ip = null } = {}) {
+  const userId = String(user._id);
+
+  for (let tries = 0; tries < CLAIM_RETRIES; tries++) {
+    const now = Date.now();
+    const existing = await LoginOtp.findOne({ userId }).lean();
+
+    if (existing?.sentAt && now - existing.sentAt.getTime() < RESEND_INTERVAL_MS) {
+      return {
+        error: 'OTP_RESEND_TOO_SOON',
+        retryAfter: seconds(existing.sentAt.getTime() + RESEND_INTERVAL_MS - now),
+      };
+    }
+
+    const windowOpen = existing?.windowStartedAt && now - existing.windowStartedAt.getTime() < SEND_WINDOW_MS;
+    const windowStartedAt = windowOpen ? existing.windowStartedAt : new Date(now);
+    const sendCount = windowOpen ? existing.sendCount + 1 : 1;
+    if (sendCount > MAX_SENDS_PER_WINDOW) {
+      return {
+        error: 'OTP_SEND_LIMIT',
+        retryAfter: seconds(windowStartedAt.getTime() + SEND_WINDOW_MS - now),
+      };
+    }
+
+    const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const codeHash = hashCode(code, salt);
+    const expiresAt = new Date(now + OTP_TTL_MS);
+
+    const claimed = await claimSend(userId, existing, {
+      mobile: user.mobile,
+      codeHash,
+      salt,
+      expiresAt,
+      attempts: 0,
+      sentAt: new Date(now),
+      sendCount,
+      windowStartedAt,
+      consumedAt: null,
+      deviceId,
+      ip,
+      // keep the row for the send window even after the code expires
+      purgeAt: new Date(Math.max(expiresAt.getTime(), windowStartedAt.getTime() + SEND_WINDOW_MS)),
+    });
+    if (!claimed) continue;
+
+    try {
+      await sendSms(user.mobile, `Your login OTP is ${code}. It expires in ${Math.round(OTP_TTL_MS / 60000)} minutes. Do not share it.`);
+    } catch (e) {
+      console.error('OTP_SEND_ERROR', e);
+      await LoginOtp.updateOne({ userId, codeHash }, { $set: { codeHash: null, sentAt: null } });
+      return { error: 'OTP_SEND_FAILED' };
+    }
+
+    return otpTiming();
+  }
+  return { error: 'OTP_RESEND_TOO_SOON', retryAfter: seconds(RESEND_INTERVAL_MS) };
+}
+
+/**
+ * Check a code and use it up when it matches.
+ * Returns { ok: true } or { error, attemptsLeft? } with OTP_NOT_REQUESTED,
+ * OTP_EXPIRED, OTP_ATTEMPTS_EXCEEDED or OTP_INVALID.
+ */
+export async function verifyOtp(user, code) {
+  const userId = String(user._id);
+  const entry = await LoginOtp.findOne({ userId, codeHash: { $ne: null } }).lean();
+  if (!entry) return { error: 'OTP_NOT_REQUESTED' };
+  if (entry.expiresAt <= new Date()) return { error: 'OTP_EXPIRED' };
+
+  // count the guess before comparing so parallel requests cannot exceed the limit
+  const counted = await LoginOtp.findOneAndUpdate(
+    { _id: entry._id, codeHash: entry.codeHash, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true, lean: true }
+  );
+  if (!counted) return { error: 'OTP_ATTEMPTS_EXCEEDED' };
+
+  const candidate = hashCode(String(code || '').trim(), entry.salt);
+  if (!sameHash(candidate, entry.codeHash)) {
+    const attemptsLeft = MAX_ATTEMPTS - counted.attempts;
+    return attemptsLeft > 0
+      ? { error: 'OTP_INVALID', attemptsLeft }
+      : { error: 'OTP_ATTEMPTS_EXCEEDED' };
+  }
+
+  const used = await LoginOtp.updateOne(
+    { _id: entry._id, codeHash: entry.codeHash },
+    { $set: { codeHash: null, consumedAt: new Date() } }
+  );
+  if (!used.modifiedCount) return { error: 'OTP_NOT_REQUESTED' };
+  return { ok: true };
+}
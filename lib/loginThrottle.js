@@ -0,0 +1,268 @@
+// lib/loginThrottle.js
+// Brute-force protection for /api/auth/login and /pin-login. Failed attempts
+// are counted per account, client IP and account + device
+// (models/LoginAttempt.js).
+// After a few failures each further attempt has to wait a growing delay;
+// reaching the limit locks that account / IP / device for a while, doubling
+// with every lockout until the counters go idle for a day.
+// An attempt is counted before the credentials are checked
+// (reserveLoginAttempt) and settled afterwards, so parallel guesses cannot
+// all slip through before the first failure is written.
+
+import LoginAttempt from '../models/LoginAttempt.js';
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// failures before a lockout; IPs get more room since users can share one (NAT)
+const MAX_FAILURES = {
+  account: envInt('LOGIN_MAX_FAILURES_ACCOUNT', 5),
+  device: envInt('LOGIN_MAX_FAILURES_DEVICE', 10),
+  ip: envInt('LOGIN_MAX_FAILURES_IP', 30),
+};
+// failures before the progressive delay starts
+const DELAY_AFTER = 3;
+const MAX_DELAY_MS = 30 * 1000;
+const LOCK_BASE_MS = envInt('LOGIN_LOCK_MINUTES', 15) * 60 * 1000;
+// stays under the 24h idle expiry of LoginAttempt rows
+const LOCK_MAX_MS = 12 * 60 * 60 * 1000;
+// failures older than this no longer count toward the next lockout
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+// lost compare-and-swap races before a reservation gives up as throttled
+const RESERVE_RETRIES = 10;
+
+/**
+ * Counters touched by a login request: [{ scope, value }]. The device ID is
+ * whatever the client sends, so it is only counted together with the account
+ * ("user:device"): guesses against other accounts cannot lock a device out.
+ * A `knownDevice` (one this account already logged in from) skips the IP
+ * counter, so a locked shared IP (carrier NAT) does not shut out its users.
+ */
+export function loginAttemptKeys({ username, ip, deviceId, knownDevice = false }) {
+  const keys = [];
+  const account = username ? String(username).toLowerCase() : '';
+  if (account) keys.push({ scope: 'account', value: account });
+  if (account && deviceId) keys.push({ scope: 'device', value: `${account}:${deviceId}` });
+  if (ip && !knownDevice) keys.push({ scope: 'ip', value: String(ip) });
+  return keys;
+}
+
+/** Filter for every counter of one account: its own and its "user:device" ones (not IPs) */
+export function accountAttemptsFilter(username) {
+  const account = String(username || '').toLowerCase();
+  const prefix = `${account}:`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    $or: [
+      { scope: 'account', value: account },
+      { scope: 'device', value: { $regex: `^${prefix}` } },
+    ],
+  };
+}
+
+function retryAfterSeconds(until, now) {
+  return Math.max(1, Math.ceil((until.getTime() - now) / 1000));
+}
+
+function lockDuration(lockCount) {
+  return Math.min(LOCK_BASE_MS * 2 ** lockCount, LOCK_MAX_MS);
+}
+
+function progressiveDelay(failures) {
+  if (failures < DELAY_AFTER) return 0;
+  return Math.min(1000 * 2 ** (failures - DELAY_AFTER), MAX_DELAY_MS);
+}
+
+function blockOf(row, now) {
+  if (row.lockedUntil && row.lockedUntil.getTime() > now) {
+    return {
+      error: 'LOGIN_LOCKED',
+      scope: row.scope,
+      retryAfter: retryAfterSeconds(row.lockedUntil, now),
+      lockedUntil: row.lockedUntil,
+    };
+  }
+  if (row.nextAttemptAt && row.nextAttemptAt.getTime() > now) {
+    return { error: 'LOGIN_THROTTLED', scope: row.scope, retryAfter: retryAfterSeconds(row.nextAttemptAt, now) };
+  }
+  return null;
+}
+
+/**
+ * Whether a login may be attempted now, without counting it. Returns null, or
+ * { error: 'LOGIN_LOCKED' | 'LOGIN_THROTTLED', scope, retryAfter, lockedUntil? }.
+ */
+export async function checkLoginAllowed(keys) {
+  if (!keys.length) return null;
+  const rows = await LoginAttempt.find({ $or: keys }).lean();
+  const now = Date.now();
+
+  let throttled = null;
+  for (const row of rows) {
+    const block = blockOf(row, now);
+    if (block?.error === 'LOGIN_LOCKED') return block;
+    if (block && (!throttled || block.retryAfter > throttled.retryAfter)) throttled = block;
+  }
+  return throttled;
+}
+
+// Count one attempt on a counter, compare-and-swap on its failure count so
+// that two parallel attempts never both read the same count.
+async function reserveKey({ scope, value }, { ip, deviceId, method }) {
+  for (let tries = 0; tries < RESERVE_RETRIES; tries++) {
+    const row = await LoginAttempt.findOne({ scope, value }).lean();
+    if (!row) {
+      try {
+        await LoginAttempt.create({ scope, value });
+      } catch (e) {
+        if (e.code !== 11000) throw e; // created by a parallel attempt
+      }
+      continue;
+    }
+
+    const now = Date.now();
+    const block = blockOf(row, now);
+    if (block) return block;
+
+    // idle counters start over (the lockout escalation is kept until the row expires)
+    const idle = !row.lastFailureAt || row.lastFailureAt.getTime() < now - FAILURE_WINDOW_MS;
+    const failures = idle ? 1 : row.failures + 1;
+    // the attempt that reached the limit is still being checked
+    if (failures > MAX_FAILURES[scope]) return { error: 'LOGIN_THROTTLED', scope, retryAfter: 1 };
+
+    const delay = progressiveDelay(failures);
+    const { modifiedCount } = await LoginAttempt.updateOne(
+      { _id: row._id, failures: row.failures, lockCount: row.lockCount },
+      {
+        $set: {
+          failures,
+          lastFailureAt: new Date(now),
+          nextAttemptAt: delay ? new Date(now + delay) : null,
+          lastIp: ip || null,
+          lastDeviceId: deviceId || null,
+          lastMethod: method || null,
+        },
+      }
+    );
+    if (modifiedCount) return null;
+  }
+  return { error: 'LOGIN_THROTTLED', scope, retryAfter: 1 };
+}
+
+async function refund(keys) {
+  for (const { scope, value } of keys) {
+    await LoginAttempt.updateOne({ scope, value, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+  }
+}
+
+/**
+ * Count a login attempt on every key before its credentials are checked.
+ * Returns null when it may go ahead (then settle it with recordLoginFailure,
+ * recordLoginSuccess or releaseLoginAttempt), else the block as for
+ * checkLoginAllowed, with nothing counted.
+ */
+export async function reserveLoginAttempt(keys, { ip = null, deviceId = null, method = null } = {}) {
+  const blocked = await checkLoginAllowed(keys);
+  if (blocked) return blocked;
+
+  const reserved = [];
+  for (const key of keys) {
+    const block = await reserveKey(key, { ip, deviceId, method });
+    if (block) {
+      await refund(reserved);
+      return block;
+    }
+    reserved.push(key);
+  }
+  return null;
+}
+
+/**
+ * Settle a reserved attempt as failed: a counter that reached its limit is
+ * locked. Returns the lockout this failure triggered ({ error: 'LOGIN_LOCKED', ... })
+ * or null.
+ */
+export async function recordLoginFailure(keys) {
+  const now = Date.now();
+  let lock = null;
+  for (const { scope, value } of keys) {
+    const row = await LoginAttempt.findOne({ scope, value }).lean();
+    if (!row || row.failures < MAX_FAILURES[scope]) continue;
+
+    const lockedUntil = new Date(now + lockDuration(row.lockCount || 0));
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { _id: row._id, failures: { $gte: MAX_FAILURES[scope] } },
+      { $set: { failures: 0, nextAttemptAt: null, lockedUntil }, $inc: { lockCount: 1 } },
+      { new: true, lean: true }
+    );
+    if (locked && (!lock || locked.lockedUntil > lock.lockedUntil)) {
+      lock = {
+        error: 'LOGIN_LOCKED',
+        scope,
+        retryAfter: retryAfterSeconds(locked.lockedUntil, now),
+        lockedUntil: locked.lockedUntil,
+      };
+    }
+  }
+  return lock;
+}
+
+/**
+ * Settle a reserved attempt as successful: the account and device counters
+ * are cleared. The IP counter only gets this attempt back, so one valid
+ * account cannot reset guessing from that IP.
+ */
+export async function recordLoginSuccess(keys) {
+  const cleared = keys.filter((k) => k.scope !== 'ip');
+  if (cleared.length) await LoginAttempt.deleteMany({ $or: cleared });
+  await refund(keys.filter((k) => k.scope === 'ip'));
+}
+
+/** Give back a reserved attempt that ended before its credentials were judged */
+export async function releaseLoginAttempt(keys) {
+  await refund(keys);
+}
+
+/** 429 response for a LOGIN_LOCKED / LOGIN_THROTTLED result */
+export function sendLoginBlocked(res, block) {
+  res.setHeader('Retry-After', String(block.retryAfter));
+  const message = block.error === 'LOGIN_LOCKED'
+    ? 'Too many failed attempts. Login is temporarily locked.'
+    : 'Too many failed attempts. Please wait before trying again.';
+  return res.status(429).json({ ...block, message });
+}
+
+/** Rows that are locked now (or, with includeCounters, any that have failures) */
+export async function listLoginLocks({ includeCounters = false, scope = null } = {}) {
+  const now = new Date();
+  const filter = includeCounters
+    ? { $or: [{ lockedUntil: { $gt: now } }, { failures: { $gt: 0 } }] }
+    : { lockedUntil: { $gt: now } };
+  if (scope) filter.scope = scope;
+
+  const rows = await LoginAttempt.find(filter).sort({ lockedUntil: -1, lastFailureAt: -1 }).limit(500).lean();
+  return rows.map((r) => {
+    const locked = !!(r.lockedUntil && r.lockedUntil > now);
+    return {
+      id: String(r._id),
+      scope: r.scope,
+      value: r.value,
+      locked,
+      lockedUntil: locked ? r.lockedUntil : null,
+      retryAfter: locked ? retryAfterSeconds(r.lockedUntil, now.getTime()) : 0,
+      failures: r.failures,
+      lockCount: r.lockCount,
+      lastFailureAt: r.lastFailureAt,
+      lastIp: r.lastIp,
+      lastDeviceId: r.lastDeviceId,
+      lastMethod: r.lastMethod,
+    };
+  });
+}
+
+/** Clear counters and lockout; returns the number of rows removed */
+export async function unlockLogin(filter) {
+  const { deletedCount } = await LoginAttempt.deleteMany(filter);
+  return deletedCount || 0;
+}
@@ -0,0 +1,225 @@
+// lib/phones.js
+// Phone number helpers shared by the voter routes and the roll importer.
+
+/**
+ * Normalize an Indian mobile number to 10 digits.
+ * Accepts "+91 98xxx xxxxx", "098xxxxxxxx", etc. Returns null if invalid.
+ */
+export function normalizeMobileNumber(value) {
+  if (value === undefined || value === null) return null;
+  const digits = String(value).replace(/[^\d]/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits.length === 10 ? digits : null;
+}
+
+/* ------------------------- structured phone list ------------------------- */
+// Each voter may carry `phones: [{ number, label, source, addedBy, addedAt,
+// verified, verifiedBy, verifiedAt, primary }]`. The primary number is also
+// mirrored into the collection's legacy mobile paths for older clients.
+
+export const PHONES_FIELD = 'phones';
+export const PHONE_LABELS = ['mobile', 'whatsapp', 'home', 'work', 'relative', 'other'];
+export const MAX_PHONES = 20;
+
+/** Digits to search phone numbers with, or null when `q` is not phone-like */
+export function phoneSearchDigits(q) {
+  const text = String(q || '').trim();
+  if (!/^[+\d][\d\s-]*$/.test(text)) return null;
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+91') || (digits.length === 12 && digits.startsWith('91'))) digits = digits.slice(2);
+  return digits.length >= 4 ? digits : null;
+}
+
+function byUser(actor) {
+  return { id: actor?.id || null, username: actor?.username || null };
+}
+
+/**
+ * The voter's phone list. Voters written before the list existed get one
+ * built from their mobile paths (and any `alternatePhones`), marked as
+ * imported and unverified.
+ */
+export function voterPhones(doc, mobileValues = []) {
+  if (Array.isArray(doc?.[PHONES_FIELD])) return doc[PHONES_FIELD].map((p) => ({ ...p }));
+
+  const list = [];
+  const seen = new Set();
+  const legacy = [...mobileValues, ...(Array.isArray(doc?.alternatePhones) ? doc.alternatePhones : [])];
+  for (const value of legacy) {
+    const number = normalizeMobileNumber(value);
+    if (!number || seen.has(number)) continue;
+    seen.add(number);
+    list.push({
+      number,
+      label: 'mobile',
+      source: 'import',
+      addedBy: null,
+      addedAt: null,
+      verified: false,
+      verifiedBy: null,
+      verifiedAt: null,
+      primary: list.length === 0,
+    });
+  }
+  return list;
+}
+
+export function primaryPhone(list) {
+  return list.find((p) => p.primary) || list[0] || null;
+}
+
+// exactly one primary while the list is not empty
+function settlePrimary(list) {
+  if (!list.length) return list;
+  const primary = primaryPhone(list);
+  return list.map((p) => ({ ...p, primary: p === primary }));
+}
+
+/**
+ * Add a number (or update label / verification of an existing one).
+ * input: { number, label?, source?, verified?, primary? }
+ * Returns { list } or { error }.
+ */
+export function addPhone(list, input, actor, now = new Date()) {
+  const number = normalizeMobileNumber(input?.number ?? input?.mobile);
+  if (!number) return { error: 'Invalid mobile number' };
+  const label = input?.label === undefined ? 'mobile' : String(input.label).trim().toLowerCase();
+  if (!PHONE_LABELS.includes(label)) return { error: `label must be one of ${PHONE_LABELS.join(', ')}` };
+
+  let next = list.map((p) => ({ ...p }));
+  let entry = next.find((p) => p.number === number);
+  if (!entry) {
+    if (next.length >= MAX_PHONES) return { error: `A voter can have at most ${MAX_PHONES} numbers` };
+    entry = {
+      number,
+      label,
+      source: typeof input?.source === 'string' && input.source.trim() ? input.source.trim().slice(0, 40) : 'app',
+      addedBy: byUser(actor),
+      addedAt: now,
+      verified: false,
+      verifiedBy: null,
+      verifiedAt: null,
+      primary: false,
+    };
+    next.push(entry);
+  } else if (input?.label !== undefined) {
+    entry.label = label;
+  }
+
+  if (input?.verified !== undefined) Object.assign(entry, verification(input.verified === true, actor, now));
+  if (input?.primary === true) next = next.map((p) => ({ ...p, primary: p.number === number }));
+  return { list: settlePrimary(next) };
+}
+
+function verification(verified, actor, now) {
+  return verified
+    ? { verified: true, verifiedBy: byUser(actor), verifiedAt: now }
+    : { verified: false, verifiedBy: null, verifiedAt: null };
+}
+
+/** Change label / verified state of a number. Returns { list } or { error, status } */
+export function updatePhone(list, number, { label, verified } = {}, actor, now = new Date()) {
+  const target = normalizeMobileNumber(number);
+  if (!list.some((p) => p.number === target)) return { status: 404, error: 'Number not found' };
+  if (label !== undefined && !PHONE_LABELS.includes(String(label).trim().toLowerCase())) {
+    return { status: 400, error: `label must be one of ${PHONE_LABELS.join(', ')}` };
+  }
+  return {
+    list: list.map((p) => {
+      if (p.number !== target) return { ...p };
+      const next = { ...p };
+      if (label !== undefined) next.label = String(label).trim().toLowerCase();
+      if (verified !== undefined) Object.assign(next, verification(verified === true, actor, now));
+      return next;
+    }),
+  };
+}
+
+export function removePhone(list, number) {
+  const target = normalizeMobileNumber(number);
+  if (!list.some((p) => p.number === target)) return { status: 404, error: 'Number not found' };
+  return { list: settlePrimary(list.filter((p) => p.number !== target)) };
+}
+
+export function setPrimaryPhone(list, number) {
+  const target = normalizeMobileNumber(number);
+  if (!list.some((p) => p.number === target)) return { status: 404, error: 'Number not found' };
+  return { list: list.map((p) => ({ ...p, primary: p.number === target })) };
+}
+
+/* ------------------------ legacy mobile write sync ------------------------ */
+// The list is edited through the /phones endpoints only. Writes that set a
+// legacy mobile field directly (PATCH .../fields, bulk-upsert) keep the list
+// and the other mobile paths in step with these helpers.
+
+/**
+ * Phone list after a write set the legacy mobile value: the number becomes
+ * the primary entry; clearing the mobile drops the current primary. null when
+ * `doc` has no stored list (it is derived from the mobile paths on read).
+ */
+export function phonesAfterMobileWrite(doc, value, actor, now = new Date()) {
+  if (!Array.isArray(doc?.[PHONES_FIELD])) return null;
+  const list = voterPhones(doc);
+  const primary = primaryPhone(list);
+  const number = normalizeMobileNumber(value);
+  if (!number) return primary ? removePhone(list, primary.number).list : list;
+
+  return addPrimaryPhone(list, { number, source: 'edit' }, actor, now).list || list;
+}
+
+/**
+ * Add a number as the primary entry; a full list gives up its old primary
+ * for it. input as for addPhone. Returns { list } or { error }.
+ */
+export function addPrimaryPhone(list, input, actor, now = new Date()) {
+  const primaryInput = { ...input, primary: true };
+  const result = addPhone(list, primaryInput, actor, now);
+  const primary = primaryPhone(list);
+  if (!result.error || !primary || list.length < MAX_PHONES) return result;
+  return addPhone(removePhone(list, primary.number).list, primaryInput, actor, now);
+}
+
+/**
+ * Point the legacy mobile `paths` of an update ({ $set, $unset }, changed in
+ * place) at `number`, or remove them when null. A path below a top-level
+ * object the update already replaces ("__raw.Mobile" with "__raw" in $set) is
+ * written into that object.
+ */
+export function mirrorMobileIntoUpdate(update, paths, number) {
+  update.$set = update.$set || {};
+  update.$unset = update.$unset || {};
+  for (const path of paths) {
+    const dot = path.indexOf('.');
+    const root = dot === -1 ? path : path.slice(0, dot);
+    const parent = update.$set[root];
+    if (dot !== -1 && parent && typeof parent === 'object' && !Array.isArray(parent)) {
+      const next = { ...parent };
+      if (number) next[path.slice(dot + 1)] = number;
+      else delete next[path.slice(dot + 1)];
+      update.$set[root] = next;
+    } else if (number) {
+      update.$set[path] = number;
+      delete update.$unset[path];
+    } else {
+      update.$unset[path] = '';
+      delete update.$set[path];
+    }
+  }
+  return update;
+}
+
+/**
+ * Keep the phone list and every legacy mobile path in step with a write that
+ * set the mobile to `value`. Changes `update` in place and returns the
+ * top-level fields it touched (for field version stamps).
+ */
+export function syncMobileWrite(update, before, value, { paths, actor, now = new Date() }) {
+  const list = phonesAfterMobileWrite(before, value, actor, now);
+  const number = list ? primaryPhone(list)?.number ?? null : normalizeMobileNumber(value);
+  mirrorMobileIntoUpdate(update, paths, number);
+  if (list) update.$set[PHONES_FIELD] = list;
+  const touched = new Set(paths.map((path) => path.split('.')[0]));
+  if (list) touched.add(PHONES_FIELD);
+  return Array.from(touched);
+}
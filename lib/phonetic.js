@@ -0,0 +1,63 @@
+// lib/phonetic.js
+// Phonetic keys and edit distance for romanized Indian names.
+// Input is expected to be a loose Latin key (see looseLatinKey), so
+// "Deshmukh", "Desmukh" and "देशमुख" all reach here as plain ASCII.
+
+import { looseLatinKey } from './transliterate.js';
+
+// looseLatinKey already folds ph/f, w/v, z/j, q/k; only digraphs remain.
+// Order matters: "chh" before "ch".
+const PHONETIC_RULES = [
+  [/chh|ch/g, 'c'],
+  [/sh/g, 's'],
+];
+
+/**
+ * Phonetic key of a single word: aspirates folded into their plain
+ * consonant, "h" and vowels dropped (except a leading vowel), repeats
+ * squeezed. "deshmukh" -> "dsmk", "desmukh" -> "dsmk".
+ */
+export function phoneticKey(word) {
+  let s = looseLatinKey(word).replace(/[^a-z]/g, '');
+  if (!s) return '';
+
+  for (const [rx, to] of PHONETIC_RULES) s = s.replace(rx, to);
+
+  const head = s[0];
+  const tail = s.slice(1).replace(/[aeiouyh]/g, '');
+  return (head + tail).replace(/(.)\1+/g, '$1');
+}
+
+/** Loose Latin tokens of a name ("Ramesh  PATIL" -> ["ramesh", "patil"]) */
+export function nameTokens(value) {
+  return looseLatinKey(value).split(' ').filter(Boolean);
+}
+
+/** Levenshtein distance, bailing out early once it exceeds `max`. */
+export function editDistance(a, b, max = Infinity) {
+  const s = String(a || '');
+  const t = String(b || '');
+  if (s === t) return 0;
+  if (Math.abs(s.length - t.length) > max) return max + 1;
+
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i += 1) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j += 1) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[t.length];
+}
+
+/** Edits tolerated for a token of the given length */
+export function maxEditsFor(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
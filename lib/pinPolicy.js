@@ -0,0 +1,132 @@
+// lib/pinPolicy.js
+// Admin-configurable rules for login PINs (length, digits only, banned
+// trivial PINs, expiry), stored in settings under `auth.pinPolicy`.
+
+import bcrypt from 'bcryptjs';
+import { getSetting, setSetting } from './settings.js';
+
+const POLICY_SETTING = 'auth.pinPolicy';
+
+export const DEFAULT_PIN_POLICY = Object.freeze({
+  minLength: 4,
+  maxLength: 8,
+  digitsOnly: true,
+  // reject runs like 1234 / 9876 and a single repeated digit like 0000
+  rejectSequences: true,
+  rejectRepeated: true,
+  bannedPins: ['1212', '1122', '2580', '0852', '6969', '1004', '2000', '1313', '4444'],
+  // 0 = PINs never expire
+  expiryDays: 0,
+});
+
+const MAX_PIN_LENGTH = 12;
+const MAX_BANNED = 500;
+
+/**
+ * Validate an admin-supplied policy (partial input is merged over the defaults).
+ * Returns { policy } or { error }.
+ */
+export function normalizePinPolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'PIN policy must be an object.' };
+  }
+  const policy = { ...DEFAULT_PIN_POLICY, ...input };
+
+  for (const key of ['minLength', 'maxLength']) {
+    const n = Number(policy[key]);
+    if (!Number.isInteger(n) || n < 4 || n > MAX_PIN_LENGTH) {
+      return { error: `${key} must be a whole number between 4 and ${MAX_PIN_LENGTH}.` };
+    }
+    policy[key] = n;
+  }
+  if (policy.minLength > policy.maxLength) {
+    return { error: 'minLength cannot be greater than maxLength.' };
+  }
+
+  for (const key of ['digitsOnly', 'rejectSequences', 'rejectRepeated']) {
+    if (typeof policy[key] !== 'boolean') return { error: `${key} must be true or false.` };
+  }
+
+  if (!Array.isArray(policy.bannedPins) || policy.bannedPins.length > MAX_BANNED) {
+    return { error: `bannedPins must be a list of at most ${MAX_BANNED} PINs.` };
+  }
+  policy.bannedPins = Array.from(new Set(policy.bannedPins.map((p) => String(p).trim()).filter(Boolean)));
+
+  const days = Number(policy.expiryDays);
+  if (!Number.isInteger(days) || days < 0 || days > 3650) {
+    return { error: 'expiryDays must be a whole number between 0 and 3650.' };
+  }
+  policy.expiryDays = days;
+
+  return {
+    policy: {
+      minLength: policy.minLength,
+      maxLength: policy.maxLength,
+      digitsOnly: policy.digitsOnly,
+      rejectSequences: policy.rejectSequences,
+      rejectRepeated: policy.rejectRepeated,
+      bannedPins: policy.bannedPins,
+      expiryDays: policy.expiryDays,
+    },
+  };
+}
+
+export async function getPinPolicy() {
+  const stored = await getSetting(POLICY_SETTING, null);
+  if (!stored) return { ...DEFAULT_PIN_POLICY };
+  const { policy } = normalizePinPolicy(stored);
+  return policy || { ...DEFAULT_PIN_POLICY };
+}
+
+export async function savePinPolicy(policy, updatedBy) {
+  return setSetting(POLICY_SETTING, policy, updatedBy);
+}
+
+function isSequence(pin) {
+  if (pin.length < 3 || !/^\d+$/.test(pin)) return false;
+  const step = pin.charCodeAt(1) - pin.charCodeAt(0);
+  if (step !== 1 && step !== -1) return false;
+  for (let i = 2; i < pin.length; i++) {
+    if (pin.charCodeAt(i) - pin.charCodeAt(i - 1) !== step) return false;
+  }
+  return true;
+}
+
+/** Why `pin` breaks the policy (readable message), or null when it is fine */
+export function pinPolicyViolation(pin, policy) {
+  if (typeof pin !== 'string' || !pin) return 'PIN is required.';
+  if (pin.length < policy.minLength || pin.length > policy.maxLength) {
+    return policy.minLength === policy.maxLength
+      ? `PIN must be ${policy.minLength} characters long.`
+      : `PIN must be ${policy.minLength} to ${policy.maxLength} characters long.`;
+  }
+  if (policy.digitsOnly && !/^\d+$/.test(pin)) return 'PIN must contain digits only.';
+  if (policy.rejectRepeated && /^(.)\1+$/.test(pin)) return 'PIN cannot be a single repeated digit.';
+  if (policy.rejectSequences && isSequence(pin)) return 'PIN cannot be a run of consecutive digits.';
+  if (policy.bannedPins.includes(pin)) return 'This PIN is too easy to guess.';
+  return null;
+}
+
+/** When the user's PIN stops working (null = never). PINs from before pinSetAt existed count from account creation. */
+export function pinExpiresAt(user, policy) {
+  if (!user?.pinHash || !policy.expiryDays) return null;
+  const setAt = user.pinSetAt || user.createdAt;
+  if (!setAt) return null;
+  return new Date(new Date(setAt).getTime() + policy.expiryDays * 24 * 60 * 60 * 1000);
+}
+
+/** { set, expired, expiresAt } for login responses */
+export function pinStatus(user, policy) {
+  const expiresAt = pinExpiresAt(user, policy);
+  return {
+    set: !!user?.pinHash,
+    expired: !!(expiresAt && expiresAt <= new Date()),
+    expiresAt,
+  };
+}
+
+/** Hash and store a new PIN on the user document (caller saves) */
+export async function assignPin(user, pin) {
+  user.pinHash = await bcrypt.hash(pin, 10);
+  user.pinSetAt = new Date();
+}
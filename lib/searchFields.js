@@ -0,0 +1,99 @@
+// lib/searchFields.js
+// Precomputed search keys stored on each voter under "__search", so name
+// search can match romanized text without transliterating every document at
+// query time. Keys are derived from the collection's field profile.
+
+import { readProfileValues } from './fieldProfiles.js';
+import { looseLatinKey, normalizeDigits } from './transliterate.js';
+import { nameTokens, phoneticKey } from './phonetic.js';
+import { householdKey } from './households.js';
+
+export const SEARCH_ROOT = '__search';
+
+/**
+ * Compute the "__search" sub-document for a voter.
+ * name:     loose romanized key of every name value ("patil ramesh")
+ * tokens:   distinct words of `name` (fuzzy candidate lookup / edit distance)
+ * phonetic: phonetic key of each token ("dsmk" for Deshmukh / Desmukh)
+ * household: household id (see lib/households.js), null if unknown
+ * age:      the age as a number (rolls often write it in Devanagari digits), null if unknown
+ */
+export function buildSearchFields(doc, profile) {
+  const names = readProfileValues(doc, profile, 'name')
+    .map((value) => looseLatinKey(value))
+    .filter(Boolean);
+
+  const tokens = Array.from(new Set(names.flatMap((value) => nameTokens(value))));
+  const phonetic = Array.from(new Set(tokens.map((t) => phoneticKey(t)).filter(Boolean)));
+
+  return {
+    name: Array.from(new Set(names)).join(' '),
+    tokens,
+    phonetic,
+    household: householdKey(doc, profile),
+    age: numericAge(readProfileValues(doc, profile, 'age')[0]),
+  };
+}
+
+function numericAge(value) {
+  const text = normalizeDigits(value).trim();
+  if (!/^\d{1,3}(\.\d+)?$/.test(text)) return null;
+  return Math.floor(Number(text));
+}
+
+function sameFields(a, b) {
+  if (!a || typeof a !== 'object') return false;
+  return Object.keys(b).every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * $set fragment refreshing "__search" for a plain voter document,
+ * or null when the stored keys are already current.
+ */
+export function searchFieldsUpdate(doc, profile) {
+  const fields = buildSearchFields(doc, profile);
+  if (sameFields(doc?.[SEARCH_ROOT], fields)) return null;
+  return { [SEARCH_ROOT]: fields };
+}
+
+/**
+ * Refresh "__search" after a findOneAndUpdate that returned a lean document.
+ * Returns the document with current search keys.
+ */
+export async function refreshSearchFields(VoterModel, doc, profile) {
+  if (!doc) return doc;
+  const update = searchFieldsUpdate(doc, profile);
+  if (!update) return doc;
+  // timestamps: false => search keys are derived data, not a user edit
+  await VoterModel.updateOne({ _id: doc._id }, { $set: update }, { timestamps: false });
+  return { ...doc, ...update };
+}
+
+/**
+ * Recompute "__search" for every voter in a collection (backfill after an
+ * import or a field-profile change). Returns { scanned, updated }.
+ */
+export async function rebuildSearchFields(VoterModel, profile, batchSize = 500) {
+  let scanned = 0;
+  let updated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await VoterModel.bulkWrite(ops, { ordered: false, timestamps: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  const cursor = VoterModel.find({}).lean().cursor();
+  for await (const doc of cursor) {
+    scanned += 1;
+    const update = searchFieldsUpdate(doc, profile);
+    if (!update) continue;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update }, timestamps: false } });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return { scanned, updated };
+}
@@ -0,0 +1,32 @@
+// lib/settings.js
+// Cached access to admin-configurable settings (models/Setting.js).
+
+import Setting from '../models/Setting.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // key -> { at, value }
+
+export async function getSetting(key, fallback = null) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.value ?? fallback;
+
+  try {
+    const doc = await Setting.findOne({ key }).lean();
+    const value = doc ? doc.value : null;
+    cache.set(key, { at: Date.now(), value });
+    return value ?? fallback;
+  } catch (e) {
+    console.error('SETTING_LOAD_ERROR', key, e.message);
+    return fallback;
+  }
+}
+
+export async function setSetting(key, value, updatedBy = null) {
+  await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+  cache.set(key, { at: Date.now(), value });
+  return value;
+}
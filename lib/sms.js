@@ -0,0 +1,55 @@
+// lib/sms.js
+// Pluggable SMS delivery. A provider is { name, send({ to, message }) } and
+// must be picked explicitly with SMS_PROVIDER; without it nothing is sent and
+// OTP login is unavailable. Built in, for local testing only:
+//   console - prints the message to the server log
+//   file    - appends a JSON line to SMS_OUTBOX_FILE (default ./sms-outbox.log)
+// A real gateway registers itself with registerSmsProvider(name, factory).
+
+import { appendFile } from 'fs/promises';
+
+const factories = new Map();
+let active = null;
+
+export function registerSmsProvider(name, factory) {
+  factories.set(name, factory);
+  if (active?.name === name) active = null;
+}
+
+registerSmsProvider('console', () => ({
+  name: 'console',
+  async send({ to, message }) {
+    console.log(`[sms] to ${to}: ${message}`);
+  },
+}));
+
+registerSmsProvider('file', () => {
+  const path = process.env.SMS_OUTBOX_FILE || 'sms-outbox.log';
+  return {
+    name: 'file',
+    async send({ to, message }) {
+      await appendFile(path, `${JSON.stringify({ to, message, at: new Date().toISOString() })}\n`);
+    },
+  };
+});
+
+/** Whether SMS_PROVIDER names a registered provider */
+export function smsConfigured() {
+  const name = process.env.SMS_PROVIDER;
+  return !!name && factories.has(name);
+}
+
+/** The provider selected by SMS_PROVIDER; throws when none is set or it is not registered */
+export function getSmsProvider() {
+  const name = process.env.SMS_PROVIDER;
+  if (!name) throw new Error('No SMS provider configured (set SMS_PROVIDER)');
+  if (active?.name === name) return active;
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown SMS provider "${name}"`);
+  active = { ...factory(), name };
+  return active;
+}
+
+export async function sendSms(to, message) {
+  return getSmsProvider().send({ to, message });
+}
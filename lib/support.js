@@ -0,0 +1,84 @@
+// lib/support.js
+// Voter support status ("leaning") and free-form tags recorded from the field.
+// Current values live under "support" on the voter; every change is appended
+// to "supportHistory".
+
+export const SUPPORT_STATUSES = ['supporter', 'opposed', 'neutral', 'unknown'];
+
+// Embedded history is capped so hot voters cannot grow without bound
+export const SUPPORT_HISTORY_LIMIT = 200;
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+function parseList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((v) => (typeof v === 'string' ? v.trim() : '')).filter(Boolean);
+}
+
+/** Lowercase, trimmed, de-duplicated tags; null if invalid */
+export function normalizeTags(value) {
+  const tags = Array.from(new Set(parseList(value).map((t) => t.toLowerCase())));
+  if (tags.length > MAX_TAGS) return null;
+  if (tags.some((t) => t.length > MAX_TAG_LENGTH)) return null;
+  return tags;
+}
+
+export function normalizeSupportStatus(value) {
+  const status = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return SUPPORT_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Work out the new { status, tags } from a request body and the current
+ * support sub-document. Body: { status?, tags?, addTags?, removeTags?, note? }
+ * `tags` replaces the list; addTags/removeTags edit it.
+ */
+export function resolveSupportChange(body = {}, current = {}) {
+  const { status, tags, addTags, removeTags, note } = body;
+
+  let nextStatus = current.status || 'unknown';
+  if (status !== undefined) {
+    nextStatus = normalizeSupportStatus(status);
+    if (!nextStatus) return { error: `status must be one of: ${SUPPORT_STATUSES.join(', ')}` };
+  }
+
+  let nextTags = Array.isArray(current.tags) ? [...current.tags] : [];
+  if (tags !== undefined) {
+    nextTags = normalizeTags(tags);
+    if (!nextTags) return { error: `tags: at most ${MAX_TAGS} tags of ${MAX_TAG_LENGTH} characters` };
+  }
+  const add = normalizeTags(addTags);
+  const remove = normalizeTags(removeTags);
+  if (!add || !remove) return { error: `tags: at most ${MAX_TAGS} tags of ${MAX_TAG_LENGTH} characters` };
+  nextTags = Array.from(new Set([...nextTags, ...add])).filter((t) => !remove.includes(t));
+  if (nextTags.length > MAX_TAGS) return { error: `A voter can have at most ${MAX_TAGS} tags` };
+
+  if (status === undefined && tags === undefined && !add.length && !remove.length) {
+    return { error: 'Nothing to update: send status and/or tags' };
+  }
+
+  const cleanNote = typeof note === 'string' ? note.trim().slice(0, 500) : '';
+  return { status: nextStatus, tags: nextTags, note: cleanNote || null };
+}
+
+/**
+ * Mongo conditions for /search: ?support=supporter,neutral&tags=a,b
+ * ("unknown" also matches voters that were never tagged; tags match any).
+ */
+export function supportFilterConditions(qs = {}) {
+  const conditions = [];
+
+  const statuses = parseList(qs.support).map(normalizeSupportStatus).filter(Boolean);
+  if (statuses.length) {
+    const or = [{ 'support.status': { $in: statuses } }];
+    if (statuses.includes('unknown')) or.push({ 'support.status': { $exists: false } });
+    conditions.push(or.length === 1 ? or[0] : { $or: or });
+  }
+
+  const tags = normalizeTags(qs.tags) || [];
+  if (tags.length) conditions.push({ 'support.tags': { $in: tags } });
+
+  return conditions;
+}
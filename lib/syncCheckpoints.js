@@ -0,0 +1,120 @@
+// lib/syncCheckpoints.js
+// Server-side sync checkpoints: /api/voters/export records each completed
+// pull and bulk-upsert records each push, per user, device and collection.
+// Admins and candidates use them to spot devices that stopped syncing.
+// Recording never fails the sync request itself.
+
+import SyncCheckpoint from '../models/SyncCheckpoint.js';
+
+const UNKNOWN_DEVICE = 'unknown';
+
+function checkpointKey(actor, databaseId) {
+  return {
+    userId: String(actor.id),
+    deviceId: actor.deviceId || UNKNOWN_DEVICE,
+    databaseId,
+  };
+}
+
+function actorFields(actor) {
+  return { username: actor.username || null, role: actor.role || null };
+}
+
+/** A pull reached its last page; `watermark` is what the device sends as `since` next */
+export async function recordPull(actor, databaseId, { watermark, mode }) {
+  if (!actor.id) return;
+  try {
+    const at = new Date();
+    await SyncCheckpoint.updateOne(
+      checkpointKey(actor, databaseId),
+      {
+        $set: {
+          ...actorFields(actor),
+          lastPullAt: at,
+          lastPullWatermark: watermark ? new Date(watermark) : at,
+          lastPullMode: mode || null,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (e) {
+    console.error('SYNC_CHECKPOINT_ERROR', e);
+  }
+}
+
+/**
+ * A bulk-upsert batch finished.
+ * stats: { received, applied, conflicts, replayed }, failed: [{ reason }]
+ */
+export async function recordPush(actor, databaseId, { stats, failed = [] }) {
+  if (!actor.id) return;
+  try {
+    const at = new Date();
+    const $set = {
+      ...actorFields(actor),
+      lastPushAt: at,
+      lastPushStats: { ...stats, failed: failed.length },
+      pendingFailures: failed.length,
+    };
+    if (failed.length) {
+      const reasons = {};
+      for (const f of failed) {
+        const reason = f.reason || 'exception';
+        reasons[reason] = (reasons[reason] || 0) + 1;
+      }
+      $set.lastPushFailedAt = at;
+      $set.lastFailureReasons = reasons;
+    }
+    await SyncCheckpoint.updateOne(checkpointKey(actor, databaseId), { $set }, { upsert: true });
+  } catch (e) {
+    console.error('SYNC_CHECKPOINT_ERROR', e);
+  }
+}
+
+/**
+ * Devices whose last completed pull is older than `hours` (or that never
+ * finished one), or whose last push left failed changes behind.
+ * userIds: restrict to these users (null = everyone).
+ */
+export async function listStaleDevices({ hours, userIds = null, databaseId = null, limit = 500 }) {
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const filter = {
+    $or: [
+      { lastPullAt: null },
+      { lastPullAt: { $lt: cutoff } },
+      { pendingFailures: { $gt: 0 } },
+    ],
+  };
+  if (userIds) filter.userId = { $in: userIds.map(String) };
+  if (databaseId) filter.databaseId = databaseId;
+
+  const rows = await SyncCheckpoint.find(filter)
+    .sort({ lastPullAt: 1, userId: 1 })
+    .limit(limit)
+    .lean();
+
+  return rows.map((r) => {
+    const reasons = [];
+    if (!r.lastPullAt || r.lastPullAt < cutoff) reasons.push('stale');
+    if (r.pendingFailures > 0) reasons.push('push_failed');
+    return {
+      userId: r.userId,
+      username: r.username,
+      role: r.role,
+      deviceId: r.deviceId,
+      databaseId: r.databaseId,
+      lastPullAt: r.lastPullAt,
+      lastPullWatermark: r.lastPullWatermark,
+      lastPullMode: r.lastPullMode,
+      lastPushAt: r.lastPushAt,
+      lastPushStats: r.lastPushStats,
+      pendingFailures: r.pendingFailures || 0,
+      lastPushFailedAt: r.lastPushFailedAt,
+      lastFailureReasons: r.lastFailureReasons,
+      hoursSincePull: r.lastPullAt
+        ? Math.floor((Date.now() - new Date(r.lastPullAt).getTime()) / (60 * 60 * 1000))
+        : null,
+      reasons,
+    };
+  });
+}
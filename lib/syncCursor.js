@@ -0,0 +1,102 @@
+// lib/syncCursor.js
+// Opaque keyset cursors for GET /api/voters/export.
+//
+// Full pulls (no `since`) walk the collection by _id, because raw imports may
+// have no updatedAt. Incremental pulls walk (updatedAt, _id) inside the window
+// (since, watermark]. The watermark is fixed on the first page and carried in
+// the cursor, so records edited mid-pull do not shift pages; the client uses
+// it as the next `since`.
+
+import mongoose from 'mongoose';
+
+const { Types } = mongoose;
+
+// Small lag so writes stamped just before the pull started have committed
+const WATERMARK_LAG_MS = 5000;
+
+// BSON sort order of the _id types we meet in voter collections
+const ID_TYPE_ORDER = ['number', 'string', 'objectId'];
+
+export function newWatermark(now = Date.now()) {
+  return new Date(now - WATERMARK_LAG_MS);
+}
+
+export function encodeId(id) {
+  if (id instanceof Types.ObjectId) return { t: 'objectId', v: String(id) };
+  if (typeof id === 'number') return { t: 'number', v: id };
+  return { t: 'string', v: String(id) };
+}
+
+export function decodeId(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.t === 'objectId' && Types.ObjectId.isValid(raw.v)) return { type: 'objectId', value: new Types.ObjectId(raw.v) };
+  if (raw.t === 'number' && typeof raw.v === 'number') return { type: 'number', value: raw.v };
+  if (raw.t === 'string' && typeof raw.v === 'string') return { type: 'string', value: raw.v };
+  return null;
+}
+
+/** Build the opaque token for the page after `lastDoc` */
+export function encodeCursor({ lastDoc, watermark, since }) {
+  const payload = {
+    w: watermark.toISOString(),
+    s: since ? since.toISOString() : null,
+    i: encodeId(lastDoc._id),
+  };
+  if (since) payload.u = new Date(lastDoc.updatedAt).toISOString();
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor token. Returns null for an empty token (first page) and
+ * throws on a malformed one.
+ */
+export function decodeCursor(token) {
+  if (!token) return null;
+  let raw;
+  try {
+    raw = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  const watermark = new Date(raw?.w);
+  const since = raw?.s ? new Date(raw.s) : null;
+  const lastId = decodeId(raw?.i);
+  const lastUpdatedAt = raw?.u ? new Date(raw.u) : null;
+
+  if (Number.isNaN(watermark.getTime()) || !lastId) throw new Error('Invalid cursor');
+  if (since && Number.isNaN(since.getTime())) throw new Error('Invalid cursor');
+  if (since && (!lastUpdatedAt || Number.isNaN(lastUpdatedAt.getTime()))) throw new Error('Invalid cursor');
+
+  return { watermark, since, lastId, lastUpdatedAt };
+}
+
+// _id strictly after `lastId`, across BSON type brackets
+export function idAfter(lastId) {
+  const later = ID_TYPE_ORDER.slice(ID_TYPE_ORDER.indexOf(lastId.type) + 1);
+  const or = [{ _id: { $gt: lastId.value } }];
+  for (const type of later) or.push({ _id: { $type: type } });
+  return or.length === 1 ? or[0] : { $or: or };
+}
+
+/**
+ * Mongo filter + sort for one keyset page.
+ * state: { since, watermark, lastId?, lastUpdatedAt? }
+ */
+export function buildKeysetQuery({ since, watermark, lastId, lastUpdatedAt }) {
+  if (!since) {
+    return {
+      filter: lastId ? idAfter(lastId) : {},
+      sort: { _id: 1 },
+    };
+  }
+
+  const filter = { updatedAt: { $gt: since, $lte: watermark } };
+  if (lastId) {
+    filter.$or = [
+      { updatedAt: { $gt: lastUpdatedAt } },
+      { updatedAt: lastUpdatedAt, ...idAfter(lastId) },
+    ];
+  }
+  return { filter, sort: { updatedAt: 1, _id: 1 } };
+}
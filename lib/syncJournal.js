@@ -0,0 +1,101 @@
+// lib/syncJournal.js
+// Journal helpers for bulk-upsert: claim a change before applying it, store
+// its outcome afterwards, and answer replays of the same client change ID
+// with the stored outcome instead of applying the change again.
+
+import SyncJournal from '../models/SyncJournal.js';
+
+// A change left "processing" this long (crashed request) may be picked up again
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+
+const CHANGE_ID_RX = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+/** Returns the trimmed change ID, null when absent, or false when malformed */
+export function normalizeChangeId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = String(value).trim();
+  return CHANGE_ID_RX.test(id) ? id : false;
+}
+
+/** Public shape of a journal entry */
+export function journalResult(entry) {
+  return {
+    changeId: entry.changeId,
+    _id: entry.voterId,
+    op: entry.op,
+    status: entry.status,
+    reason: entry.reason || null,
+    field: entry.field || null,
+    message: entry.message || null,
+    conflicts: entry.conflicts || [],
+    databaseId: entry.databaseId,
+    deviceId: entry.deviceId,
+    receivedAt: entry.receivedAt,
+    processedAt: entry.processedAt,
+    replays: entry.replays || 0,
+  };
+}
+
+/**
+ * Record that a change is about to be applied.
+ * Returns { entry } to go ahead, { replay: entry } when the change ID was
+ * already processed, or { busy: true } while another request is applying it.
+ */
+export async function claimChange({ changeId, actor, databaseId, change }) {
+  const doc = {
+    changeId: changeId || null,
+    userId: actor.id,
+    username: actor.username,
+    deviceId: actor.deviceId,
+    databaseId,
+    voterId: change?._id === undefined || change?._id === null ? null : String(change._id),
+    op: typeof change?.op === 'string' ? change.op : null,
+  };
+
+  try {
+    return { entry: await SyncJournal.create(doc) };
+  } catch (err) {
+    if (!changeId || err?.code !== 11000) throw err;
+  }
+
+  const existing = await SyncJournal.findOne({ userId: actor.id, changeId }).lean();
+  if (!existing) return { busy: true }; // expired between insert and lookup
+
+  if (existing.status === 'processing') {
+    const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+    const reclaimed = await SyncJournal.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', receivedAt: { $lt: staleBefore } },
+      { $set: { receivedAt: new Date(), deviceId: actor.deviceId } },
+      { new: true }
+    );
+    return reclaimed ? { entry: reclaimed } : { busy: true };
+  }
+
+  const replay = await SyncJournal.findOneAndUpdate(
+    { _id: existing._id },
+    { $inc: { replays: 1 } },
+    { new: true, lean: true }
+  );
+  return { replay: replay || existing };
+}
+
+/** Store the outcome of a claimed change */
+export async function finishChange(entry, outcome) {
+  await SyncJournal.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status: outcome.status,
+        reason: outcome.reason || null,
+        field: outcome.field || null,
+        message: outcome.message || null,
+        conflicts: outcome.conflicts || [],
+        processedAt: new Date(),
+      },
+    }
+  );
+}
+
+export async function findChange(userId, changeId) {
+  return SyncJournal.findOne({ userId, changeId }).lean();
+}
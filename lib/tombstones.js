@@ -0,0 +1,73 @@
+// lib/tombstones.js
+// Tombstones for voters deleted through POST /api/voters/bulk-upsert
+// (op: "delete"). Incremental /export pulls return them so offline devices
+// can drop the record; they are purged after an admin-configured window.
+
+import VoterTombstone from '../models/VoterTombstone.js';
+import { getSetting, setSetting } from './settings.js';
+
+const RETENTION_SETTING = 'sync.tombstoneRetentionDays';
+const DEFAULT_RETENTION_DAYS = 90;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+export async function getTombstoneRetentionDays() {
+  const days = Number(await getSetting(RETENTION_SETTING, DEFAULT_RETENTION_DAYS));
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+export async function setTombstoneRetentionDays(days, updatedBy) {
+  return setSetting(RETENTION_SETTING, days, updatedBy);
+}
+
+/** Oldest `since` an incremental pull can use without missing deletions */
+export async function tombstoneCutoff(now = Date.now()) {
+  const days = await getTombstoneRetentionDays();
+  return new Date(now - days * 24 * 60 * 60 * 1000);
+}
+
+export async function recordTombstone(databaseId, voterId, { deletedBy = null, deviceId = null, at = new Date() } = {}) {
+  await VoterTombstone.updateOne(
+    { databaseId, voterId: String(voterId) },
+    { $set: { deletedAt: at, deletedBy, deviceId } },
+    { upsert: true }
+  );
+}
+
+/** A voter re-created under the same _id is no longer deleted */
+export async function clearTombstone(databaseId, voterId) {
+  await VoterTombstone.deleteOne({ databaseId, voterId: String(voterId) });
+}
+
+/** Which of `voterIds` have a tombstone in this collection (Set of string ids) */
+export async function tombstonedIds(databaseId, voterIds) {
+  if (!voterIds.length) return new Set();
+  const rows = await VoterTombstone.find({ databaseId, voterId: { $in: voterIds.map(String) } })
+    .select('voterId')
+    .lean();
+  return new Set(rows.map((r) => r.voterId));
+}
+
+/** Tombstones with deletedAt in (since, until] */
+export async function listTombstones(databaseId, since, until) {
+  const deletedAt = { $lte: until };
+  if (since) deletedAt.$gt = since;
+  const rows = await VoterTombstone.find({ databaseId, deletedAt })
+    .sort({ deletedAt: 1 })
+    .lean();
+  return rows.map((t) => ({ _id: t.voterId, deletedAt: t.deletedAt }));
+}
+
+export async function purgeExpiredTombstones() {
+  const cutoff = await tombstoneCutoff();
+  const result = await VoterTombstone.deleteMany({ deletedAt: { $lt: cutoff } });
+  return { purged: result.deletedCount || 0, cutoff };
+}
+
+/** Hourly purge while the server runs */
+export function startTombstonePurgeTimer() {
+  const run = () => {
+    purgeExpiredTombstones().catch((e) => console.error('TOMBSTONE_PURGE_ERROR', e.message));
+  };
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
@@ -0,0 +1,247 @@
+// lib/transliterate.js
+// Lightweight Devanagari <-> Latin helpers for voter name search.
+// This is not a full transliteration scheme: the goal is that the way a
+// volunteer types a Marathi name in English ("patil", "deshmukh") and the
+// romanized form of the roll's name ("पाटील", "देशमुख") end up as the same
+// loose key, and that a Latin query can be turned into a Devanagari regex.
+
+const INDEPENDENT_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu',
+  'ऋ': 'ru', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o',
+};
+
+const MATRAS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ru',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o',
+};
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+};
+
+const SIGNS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const VIRAMA = '्';
+const NUKTA = '़';
+
+const DEVANAGARI_RX = /[ऀ-ॿ]/;
+
+export function hasDevanagari(value) {
+  return DEVANAGARI_RX.test(String(value || ''));
+}
+
+const DEVANAGARI_DIGITS_RX = /[०-९]/g;
+
+/** Devanagari digits (०-९) replaced by ASCII ones: "४२" -> "42" */
+export function normalizeDigits(value) {
+  return String(value ?? '').replace(DEVANAGARI_DIGITS_RX, (d) => String(d.charCodeAt(0) - 0x0966));
+}
+
+/**
+ * Split a Devanagari word run into syllable tokens.
+ * Each consonant token: { cons, vowel, inherent } where inherent=true means
+ * the consonant carries the implicit "a" (no matra, no virama).
+ */
+function tokenize(word) {
+  const tokens = [];
+  for (let i = 0; i < word.length; i += 1) {
+    const ch = word[i];
+    if (ch === NUKTA) continue;
+
+    if (CONSONANTS[ch]) {
+      // ज्ञ is written "dny" in Marathi
+      if (ch === 'ज' && word[i + 1] === VIRAMA && word[i + 2] === 'ञ') {
+        tokens.push({ cons: 'dny', vowel: 'a', inherent: true });
+        i += 2;
+        continue;
+      }
+      tokens.push({ cons: CONSONANTS[ch], vowel: 'a', inherent: true });
+      continue;
+    }
+
+    const last = tokens[tokens.length - 1];
+    if (ch === VIRAMA && last?.cons) {
+      last.vowel = '';
+      last.inherent = false;
+      continue;
+    }
+    if (MATRAS[ch] && last?.cons && last.inherent) {
+      last.vowel = MATRAS[ch];
+      last.inherent = false;
+      continue;
+    }
+    if (INDEPENDENT_VOWELS[ch]) {
+      tokens.push({ cons: '', vowel: INDEPENDENT_VOWELS[ch], inherent: false });
+      continue;
+    }
+    if (SIGNS[ch] !== undefined) {
+      tokens.push({ cons: '', vowel: '', sign: SIGNS[ch], inherent: false });
+      continue;
+    }
+    if (ch >= '०' && ch <= '९') {
+      tokens.push({ cons: '', vowel: '', sign: normalizeDigits(ch), inherent: false });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Drop the inherent "a" where Marathi/Hindi speech drops it:
+ * - at the end of a word (unless it closes a conjunct, e.g. "narendra")
+ * - in V C(a) C V position, outside the first syllable ("desh(a)mukh")
+ */
+function deleteSchwas(tokens) {
+  const hasVowel = (t) => !!t && !!t.vowel;
+  if (!tokens.some((t) => t.cons)) return tokens;
+
+  const lastIdx = tokens.length - 1;
+  const last = tokens[lastIdx];
+  if (last.cons && last.inherent && lastIdx > 0 && tokens[lastIdx - 1].vowel !== '') {
+    last.vowel = '';
+  }
+
+  for (let i = 1; i < tokens.length - 1; i += 1) {
+    const t = tokens[i];
+    if (!t.cons || !t.inherent || !t.vowel) continue;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (hasVowel(prev) && next.cons && hasVowel(next)) {
+      t.vowel = '';
+    }
+  }
+  return tokens;
+}
+
+/** Romanize Devanagari text; non-Devanagari characters pass through. */
+export function devanagariToLatin(input) {
+  const text = String(input || '');
+  let out = '';
+  let run = '';
+
+  const flush = () => {
+    if (!run) return;
+    for (const t of deleteSchwas(tokenize(run))) {
+      out += t.cons + t.vowel + (t.sign || '');
+    }
+    run = '';
+  };
+
+  for (const ch of text) {
+    if (DEVANAGARI_RX.test(ch)) {
+      run += ch;
+    } else {
+      flush();
+      out += ch;
+    }
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Collapse spelling variants of romanized text into one comparable key:
+ * lowercase ASCII, long vowels shortened, common consonant swaps unified,
+ * doubled letters squeezed. "Paatil", "PATIL" and "पाटील" all become "patil".
+ */
+export function looseLatinKey(input) {
+  let s = String(input || '');
+  if (hasDevanagari(s)) s = devanagariToLatin(s);
+  s = s
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ');
+
+  s = s
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/ck/g, 'k')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/ay(?![aeiou])/g, 'ai');
+
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+// Latin units -> Devanagari character classes. Retroflex/dental and short/long
+// vowels are ambiguous when typed in English, so each unit matches all of them.
+const LATIN_CONSONANTS = [
+  ['ksh', 'क्ष'], ['dny', 'ज्ञ'], ['chh', 'छ'],
+  ['kh', 'ख'], ['gh', 'घ'], ['ch', 'च'], ['jh', 'झ'],
+  ['th', '[थठ]'], ['dh', '[धढ]'], ['ph', 'फ'], ['bh', 'भ'], ['sh', '[शष]'],
+  ['k', 'क'], ['g', 'ग'], ['c', 'च'], ['j', 'ज'], ['z', 'ज'], ['t', '[तट]'],
+  ['d', '[दड]'], ['n', '(?:[नणङञ]|ं)'], ['p', 'प'], ['f', 'फ'], ['b', 'ब'],
+  ['m', '(?:म|ं)'], ['y', 'य'], ['r', 'र'], ['l', '[लळ]'], ['v', 'व'],
+  ['w', 'व'], ['s', 'स'], ['h', 'ह'], ['x', 'क्ष'], ['q', 'क'],
+];
+
+const LATIN_VOWELS = [
+  // [latin, matra pattern, independent vowel pattern]
+  ['aa', 'ा', '[आअ]'], ['ai', '(?:ै|ा?य)', 'ऐ'], ['au', 'ौ', 'औ'],
+  ['ee', 'ी', '[ईइ]'], ['ii', 'ी', '[ईइ]'], ['oo', 'ू', '[ऊउ]'], ['uu', 'ू', '[ऊउ]'],
+  ['a', 'ा?', '[अआ]'], ['i', '[िी]', '[इई]'], ['u', '[ुू]', '[उऊ]'],
+  ['e', '[ेॅ]', '[एऍ]'], ['o', '[ोॉ]', '[ओऑ]'],
+];
+
+function matchUnit(table, s, i) {
+  for (const entry of table) {
+    if (s.startsWith(entry[0], i)) return entry;
+  }
+  return null;
+}
+
+/**
+ * Build a regex source that matches the Devanagari spellings a Latin query
+ * could stand for ("patil" matches "पाटील"). Returns '' when the query has
+ * no Latin letters.
+ */
+export function latinToDevanagariPattern(input) {
+  const s = String(input || '').toLowerCase().trim();
+  if (!/[a-z]/.test(s)) return '';
+
+  let out = '';
+  let prev = 'start'; // 'start' | 'cons' | 'vowel' | 'other'
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+
+    if (/\s/.test(ch)) {
+      out += '\\s+';
+      prev = 'start';
+      while (i < s.length && /\s/.test(s[i])) i += 1;
+      continue;
+    }
+
+    const vowel = matchUnit(LATIN_VOWELS, s, i);
+    if (vowel) {
+      out += prev === 'cons' ? vowel[1] : vowel[2];
+      prev = 'vowel';
+      i += vowel[0].length;
+      continue;
+    }
+
+    const cons = matchUnit(LATIN_CONSONANTS, s, i);
+    if (cons) {
+      // consonant clusters may be written with a virama or rely on schwa deletion
+      if (prev === 'cons') out += `${VIRAMA}?`;
+      out += cons[1];
+      prev = 'cons';
+      i += cons[0].length;
+      continue;
+    }
+
+    out += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    prev = 'other';
+    i += 1;
+  }
+  return out;
+}
@@ -0,0 +1,270 @@
+// lib/voterHistory.js
+// Per-voter change history: field-level before/after diffs written on every
+// mutation, the trail for GET /api/voters/:id/history, and rollback of a
+// record to the state it had at a chosen version.
+
+import mongoose from 'mongoose';
+import VoterHistory from '../models/VoterHistory.js';
+import { FIELD_VERSIONS_ROOT, MASTER_VERSIONS_ROOT, fieldVersionsUpdate, sameValue } from './fieldVersions.js';
+import { SEARCH_ROOT, buildSearchFields } from './searchFields.js';
+import { clearTombstone, recordTombstone } from './tombstones.js';
+
+// Bookkeeping fields that are not part of a voter's own data
+const IGNORED_FIELDS = new Set([
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  SEARCH_ROOT,
+  FIELD_VERSIONS_ROOT,
+  MASTER_VERSIONS_ROOT,
+  'supportHistory', // has its own trail
+]);
+
+const MAX_VERSION_RETRIES = 5;
+
+/**
+ * Top-level field changes between two lean documents (either may be null).
+ * Returns [{ field, before?, after? }]; a missing key means "field absent".
+ */
+export function diffDocuments(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const a = before ? before[field] : undefined;
+    const b = after ? after[field] : undefined;
+    if (sameValue(a, b)) continue;
+    const change = { field };
+    if (a !== undefined) change.before = a;
+    if (b !== undefined) change.after = b;
+    changes.push(change);
+  }
+  return changes;
+}
+
+async function nextVersion(databaseId, voterId) {
+  const last = await VoterHistory.findOne({ databaseId, voterId }).sort({ version: -1 }).select('version').lean();
+  return (last?.version || 0) + 1;
+}
+
+/**
+ * Append a history entry. Never throws: history must not fail the write it
+ * describes. Updates that change nothing are skipped.
+ * entry: { databaseId, voterId, before, after, source, actor: { id, username, role, deviceId }, rolledBackTo? }
+ */
+export async function recordHistory({ databaseId, voterId, before, after, source = null, actor = {}, rolledBackTo = null }) {
+  try {
+    const changes = diffDocuments(before, after);
+    let op = 'update';
+    if (!before) op = 'create';
+    else if (!after) op = 'delete';
+    if (op === 'update' && !changes.length) return null;
+
+    const id = String(voterId);
+    for (let attempt = 0; attempt < MAX_VERSION_RETRIES; attempt += 1) {
+      try {
+        return await VoterHistory.create({
+          databaseId,
+          voterId: id,
+          version: await nextVersion(databaseId, id),
+          op,
+          source,
+          changes,
+          user: { id: actor.id || null, username: actor.username || null, role: actor.role || null },
+          deviceId: actor.deviceId || null,
+          rolledBackTo,
+          at: new Date(),
+        });
+      } catch (err) {
+        // another write took the same version number: take the next one
+        if (err?.code !== 11000) throw err;
+      }
+    }
+    throw new Error('Could not allocate a history version');
+  } catch (e) {
+    console.error('VOTER_HISTORY_ERROR', e);
+    return null;
+  }
+}
+
+/**
+ * Fields changed per voter by history entries other than `excludeSource`.
+ * Returns Map<voterId string, Set<field>>.
+ */
+export async function editedFieldsByVoter(databaseId, voterIds, { excludeSource = null } = {}) {
+  const result = new Map();
+  if (!voterIds.length) return result;
+  const query = { databaseId, voterId: { $in: voterIds.map(String) } };
+  if (excludeSource) query.source = { $ne: excludeSource };
+  const rows = await VoterHistory.find(query).select('voterId changes.field').lean();
+  for (const row of rows) {
+    if (!result.has(row.voterId)) result.set(row.voterId, new Set());
+    for (const change of row.changes || []) result.get(row.voterId).add(change.field);
+  }
+  return result;
+}
+
+/** Which of `voterIds` were created in this collection (not copied in) */
+export async function createdVoterIds(databaseId, voterIds) {
+  if (!voterIds.length) return new Set();
+  const ids = await VoterHistory.distinct('voterId', {
+    databaseId,
+    op: 'create',
+    voterId: { $in: voterIds.map(String) },
+  });
+  return new Set(ids);
+}
+
+/**
+ * Which of `voterIds` are deleted according to their newest history entry.
+ * Outlives tombstones, which are purged after the retention window.
+ */
+export async function deletedVoterIds(databaseId, voterIds) {
+  if (!voterIds.length) return new Set();
+  const rows = await VoterHistory.aggregate([
+    { $match: { databaseId, voterId: { $in: voterIds.map(String) } } },
+    { $sort: { voterId: 1, version: -1 } },
+    { $group: { _id: '$voterId', op: { $first: '$op' } } },
+    { $match: { op: 'delete' } },
+  ]);
+  return new Set(rows.map((r) => r._id));
+}
+
+/** History entries newest first; `beforeVersion` pages further back */
+export async function listHistory(databaseId, voterId, { limit = 50, beforeVersion = null } = {}) {
+  const query = { databaseId, voterId: String(voterId) };
+  if (beforeVersion) query.version = { $lt: beforeVersion };
+  const items = await VoterHistory.find(query)
+    .sort({ version: -1 })
+    .limit(limit + 1)
+    .lean();
+  const hasMore = items.length > limit;
+  return { items: items.slice(0, limit), hasMore };
+}
+
+/**
+ * The voter's _id as stored. A 24-hex id is an ObjectId only in collections
+ * that use ObjectId _ids (imported / server-created voters); other voters
+ * keep their string id.
+ */
+async function storedVoterId(collection, voterId) {
+  if (!/^[0-9a-f]{24}$/i.test(voterId)) return voterId;
+  const objectId = new mongoose.Types.ObjectId(voterId);
+  const found = await collection.findOne({ _id: { $in: [objectId, voterId] } }, { projection: { _id: 1 } });
+  if (found) return found._id;
+  // deleted voter: follow the collection's id type
+  const usesObjectIds = await collection.findOne({ _id: { $type: 'objectId' } }, { projection: { _id: 1 } });
+  return usesObjectIds ? objectId : voterId;
+}
+
+/**
+ * Whether `current` is the state the newest history entry left behind. A
+ * write that skipped history would make the rebuilt states wrong.
+ */
+async function historyMatches(databaseId, voterId, current) {
+  const newest = await VoterHistory.findOne({ databaseId, voterId }).sort({ version: -1 }).lean();
+  if (!newest) return false;
+  if (newest.op === 'delete') return !current;
+  if (!current) return false;
+  return (newest.changes || []).every((change) => (
+    Object.prototype.hasOwnProperty.call(change, 'after')
+      ? sameValue(current[change.field], change.after)
+      : current[change.field] === undefined
+  ));
+}
+
+/**
+ * State of a voter right after `version`, found by undoing every later entry
+ * on top of the current document. Returns null when the version is unknown,
+ * else { exists, state }.
+ */
+async function stateAtVersion(databaseId, voterId, version, current) {
+  const target = await VoterHistory.exists({ databaseId, voterId, version });
+  if (!target) return null;
+
+  const later = await VoterHistory.find({ databaseId, voterId, version: { $gt: version } })
+    .sort({ version: -1 })
+    .lean();
+
+  const state = { ...(current || {}) };
+  let exists = !!current;
+  for (const entry of later) {
+    if (entry.op === 'create') exists = false;
+    if (entry.op === 'delete') exists = true;
+    for (const change of entry.changes || []) {
+      if (Object.prototype.hasOwnProperty.call(change, 'before')) state[change.field] = change.before;
+      else delete state[change.field];
+    }
+  }
+  return { exists, state };
+}
+
+/**
+ * Roll a voter back to the state it had at `version`.
+ * ctx: { VoterModel, databaseId, profile, actor }
+ * Returns { status, error } or { status: 200, data: { voter, deleted, version } }.
+ * Refused (409) when the voter was changed without a history entry since.
+ * The rollback itself is recorded as a new history entry (source "rollback").
+ * Works on the raw collection so string _ids are never cast to ObjectIds.
+ */
+export async function rollbackVoter(ctx, voterId, version) {
+  const { VoterModel, databaseId, profile, actor } = ctx;
+  const { collection } = VoterModel;
+  const id = String(voterId);
+
+  const _id = await storedVoterId(collection, id);
+  const current = await collection.findOne({ _id });
+  const target = await stateAtVersion(databaseId, id, version, current);
+  if (!target) return { status: 404, error: 'Version not found' };
+  if (!(await historyMatches(databaseId, id, current))) {
+    return { status: 409, error: 'The voter was changed outside its history; rollback refused' };
+  }
+
+  const audit = { databaseId, voterId: id, source: 'rollback', actor, rolledBackTo: version };
+
+  if (!target.exists) {
+    if (current) {
+      await collection.deleteOne({ _id: current._id });
+      await recordTombstone(databaseId, id, { deletedBy: actor.username || actor.id, deviceId: actor.deviceId });
+      await recordHistory({ ...audit, before: current, after: null });
+    }
+    return { status: 200, data: { voter: null, deleted: true, version } };
+  }
+
+  const changes = diffDocuments(current, target.state);
+  const now = new Date();
+  const versions = fieldVersionsUpdate(changes.map((c) => c.field), now);
+
+  if (!current) {
+    const fresh = { _id };
+    for (const [field, value] of Object.entries(target.state)) {
+      if (!IGNORED_FIELDS.has(field)) fresh[field] = value;
+    }
+    fresh[FIELD_VERSIONS_ROOT] = Object.fromEntries(changes.map((c) => [c.field, now]));
+    fresh.createdAt = now;
+    fresh.updatedAt = now;
+    fresh[SEARCH_ROOT] = buildSearchFields(fresh, profile);
+    await collection.insertOne(fresh);
+    await clearTombstone(databaseId, id);
+    await recordHistory({ ...audit, before: null, after: fresh });
+    return { status: 200, data: { voter: fresh, deleted: false, version } };
+  }
+
+  if (!changes.length) return { status: 200, data: { voter: current, deleted: false, version } };
+
+  const $set = { ...versions, updatedAt: now };
+  const $unset = {};
+  for (const change of changes) {
+    // diff is current -> target, so `after` is the value to restore
+    if (Object.prototype.hasOwnProperty.call(change, 'after')) $set[change.field] = change.after;
+    else $unset[change.field] = '';
+  }
+
+  const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+  const updated = await collection.findOneAndUpdate({ _id: current._id }, update, { returnDocument: 'after' });
+  await recordHistory({ ...audit, before: current, after: updated });
+  const search = buildSearchFields(updated, profile);
+  await collection.updateOne({ _id: current._id }, { $set: { [SEARCH_ROOT]: search } });
+  return { status: 200, data: { voter: { ...updated, [SEARCH_ROOT]: search }, deleted: false, version } };
+}
@@ -0,0 +1,286 @@
+// lib/voterImport.js
+// Import a voter roll (CSV / XLSX) into a voter collection.
+// Each sheet row is kept as-is under "__raw"; mapped columns are validated,
+// normalized and written to the collection's canonical field paths.
+
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import Party from '../models/Party.js';
+import User from '../models/User.js';
+import { NON_VOTER_COLLECTIONS } from '../models/Voter.js';
+import { PROFILE_FIELDS, profilePaths } from './fieldProfiles.js';
+import { normalizeEpic } from './epic.js';
+import { normalizeMobileNumber } from './phones.js';
+import { SEARCH_ROOT, buildSearchFields } from './searchFields.js';
+
+const RESERVED_TARGETS = ['_id', '__v', '__raw', SEARCH_ROOT, 'createdAt', 'updatedAt'];
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 1000;
+
+// Server collections next to the voter ones (compared case-insensitively)
+function isServerCollection(name) {
+  const lower = name.toLowerCase();
+  return [...NON_VOTER_COLLECTIONS, User.collection.collectionName, Party.collection.collectionName]
+    .some((reserved) => reserved.toLowerCase() === lower);
+}
+
+/** New or existing collection names an import may target */
+export function validateImportCollection(name) {
+  const value = typeof name === 'string' ? name.trim() : '';
+  if (!value) return { error: 'databaseId is required.' };
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(value)) {
+    return { error: 'databaseId may only contain letters, digits, "_" and "-" (max 64).' };
+  }
+  if (value.startsWith('u_')) return { error: 'Per-user clones (u_*) cannot be import targets.' };
+  if (value.startsWith('system')) return { error: 'Invalid databaseId.' };
+  if (isServerCollection(value)) return { error: `"${value}" is a server collection, not a voter database.` };
+  return { databaseId: value };
+}
+
+function isCsv(filename = '', mimetype = '') {
+  return /\.csv$/i.test(filename) || /csv/i.test(mimetype);
+}
+
+/** Header + data rows (arrays of cell text) into { headers, rows } */
+function rowsToSheet(table) {
+  const isBlank = (row) => row.every((cell) => String(cell ?? '').trim() === '');
+  const [headerRow = [], ...dataRows] = table.filter((row) => !isBlank(row));
+  const columns = headerRow.map((h) => String(h ?? '').trim());
+  const rows = dataRows.map((cells) => {
+    const row = {};
+    columns.forEach((header, i) => {
+      if (header) row[header] = cells[i] === undefined || cells[i] === null ? '' : String(cells[i]);
+    });
+    return row;
+  });
+  return { headers: columns.filter(Boolean), rows };
+}
+
+/**
+ * Parse the first sheet of an uploaded file.
+ * Returns { headers, rows } where rows are { header: text } objects.
+ */
+export async function parseSheet(buffer, { filename, mimetype } = {}) {
+  if (isCsv(filename, mimetype)) {
+    // decode ourselves so BOM-less UTF-8 (Devanagari) is never read as latin1
+    const table = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+      relax_column_count: true,
+      relax_quotes: true,
+      skip_empty_lines: true,
+    });
+    return rowsToSheet(table);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col += 1) cells.push(row.getCell(col).text);
+    table.push(cells);
+  });
+  return rowsToSheet(table);
+}
+
+/**
+ * Validate a { "<column header>": "<field>" } mapping against the sheet.
+ * A field is either a logical profile field (name, epic, mobile, booth) or a
+ * plain document path to copy the column into.
+ */
+export function normalizeMapping(input, headers) {
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: 'mapping must be valid JSON.' };
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'mapping must be an object of { "<column>": "<field>" }.' };
+  }
+
+  const mapping = [];
+  const seen = new Set();
+  for (const [column, target] of Object.entries(raw)) {
+    if (!headers.includes(column)) return { error: `Column "${column}" is not in the file.` };
+    const field = typeof target === 'string' ? target.trim() : '';
+    if (!field || field.startsWith('$') || field.includes('\0') || field.includes('..')) {
+      return { error: `Invalid target field for column "${column}".` };
+    }
+    if (RESERVED_TARGETS.includes(field.split('.')[0])) {
+      return { error: `Column "${column}" cannot be mapped to reserved field "${field}".` };
+    }
+    if (seen.has(field)) return { error: `Field "${field}" is mapped more than once.` };
+    seen.add(field);
+    mapping.push({ column, field });
+  }
+  if (!mapping.length) return { error: 'mapping must map at least one column.' };
+  return { mapping };
+}
+
+function setPath(target, path, value) {
+  const parts = path.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+// Raw rows become the "__raw" sub-document; Mongo keys may not start with "$"
+function cleanRawRow(row) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    const k = String(key).trim().replace(/^\$+/, '');
+    if (k) out[k] = typeof value === 'string' ? value.trim() : value;
+  }
+  return out;
+}
+
+/**
+ * Build one voter document from a row. Returns { doc, epic } or { errors }.
+ * rowNumber is the 1-based sheet row (header = row 1) used in the report.
+ */
+function buildVoterDoc(row, rowNumber, mapping, profile) {
+  const doc = { __raw: cleanRawRow(row) };
+  const errors = [];
+  let epic = null;
+
+  for (const { column, field } of mapping) {
+    const value = typeof row[column] === 'string' ? row[column].trim() : row[column];
+    const empty = value === undefined || value === null || value === '';
+    const logical = PROFILE_FIELDS.includes(field);
+    const path = logical ? profilePaths(profile, field)[0] : field;
+
+    if (field === 'epic') {
+      epic = normalizeEpic(value);
+      if (!epic) {
+        errors.push({ row: rowNumber, column, field, value, reason: empty ? 'EPIC is required' : 'Invalid EPIC format' });
+        continue;
+      }
+      setPath(doc, path, epic);
+      continue;
+    }
+
+    if (field === 'mobile') {
+      if (empty) continue;
+      const mobile = normalizeMobileNumber(value);
+      if (!mobile) {
+        errors.push({ row: rowNumber, column, field, value, reason: 'Invalid mobile number' });
+        continue;
+      }
+      setPath(doc, path, mobile);
+      continue;
+    }
+
+    if (!empty && path) setPath(doc, path, value);
+  }
+
+  if (errors.length) return { errors };
+  doc[SEARCH_ROOT] = buildSearchFields(doc, profile);
+  return { doc, epic };
+}
+
+/**
+ * Validate and write rows into VoterModel.
+ * options: { mapping, profile, mode: 'upsert' | 'insert', dryRun }
+ * 'upsert' matches existing voters by EPIC (requires an epic mapping).
+ * Rows the database rejects are counted in `failed` and listed in `errors`;
+ * a batch that fails outright stops the import and sets `aborted`.
+ */
+export async function importVoterRows(VoterModel, rows, { mapping, profile, mode, dryRun = false }) {
+  const report = {
+    totalRows: rows.length,
+    valid: 0,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    errorsTruncated: false,
+  };
+
+  const addError = (err) => {
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push(err);
+    else report.errorsTruncated = true;
+  };
+
+  const epicPaths = profilePaths(profile, 'epic');
+  const seenEpics = new Map();
+  let ops = [];
+  let opRows = []; // sheet row number of each op, for write errors
+
+  const flush = async () => {
+    const batch = ops;
+    const batchRows = opRows;
+    ops = [];
+    opRows = [];
+    if (!batch.length || dryRun) return;
+
+    let result;
+    try {
+      result = await VoterModel.bulkWrite(batch, { ordered: false });
+    } catch (e) {
+      if (!Array.isArray(e?.writeErrors)) {
+        // connection-level failure: nothing from this batch is known to be written
+        batchRows.forEach((row) => addError({ row, reason: `Write failed: ${e.message}` }));
+        report.failed += batchRows.length;
+        report.aborted = e.message;
+        return;
+      }
+      // ordered: false writes every other op; report the rejected rows
+      result = e.result || {};
+      for (const we of e.writeErrors) {
+        addError({ row: batchRows[we.index], reason: `Write failed: ${we.errmsg || we.message || `code ${we.code}`}` });
+      }
+      report.failed += e.writeErrors.length;
+    }
+    report.inserted += (result.insertedCount || 0) + (result.upsertedCount || 0);
+    report.updated += result.matchedCount || 0;
+  };
+
+  for (let i = 0; i < rows.length; i += 1) {
+    const rowNumber = i + 2;
+    const built = buildVoterDoc(rows[i], rowNumber, mapping, profile);
+    if (built.errors) {
+      built.errors.forEach(addError);
+      report.skipped += 1;
+      continue;
+    }
+
+    const { doc, epic } = built;
+    if (epic) {
+      if (seenEpics.has(epic)) {
+        addError({ row: rowNumber, field: 'epic', value: epic, reason: `Duplicate EPIC (first seen on row ${seenEpics.get(epic)})` });
+        report.skipped += 1;
+        continue;
+      }
+      seenEpics.set(epic, rowNumber);
+    }
+
+    report.valid += 1;
+    if (mode === 'upsert' && epic) {
+      ops.push({
+        updateOne: {
+          filter: { $or: epicPaths.map((p) => ({ [p]: epic })) },
+          update: { $set: doc },
+          upsert: true,
+        },
+      });
+    } else {
+      ops.push({ insertOne: { document: doc } });
+    }
+    opRows.push(rowNumber);
+    if (ops.length >= BATCH_SIZE) await flush();
+    if (report.aborted) break;
+  }
+  if (!report.aborted) await flush();
+
+  return report;
+}
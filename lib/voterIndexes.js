@@ -0,0 +1,175 @@
+// lib/voterIndexes.js
+// Index helpers for voter collections: list / create / drop, plus the
+// recommended set used by search, export and EPIC lookups. Builds started
+// from here are tracked in memory so the admin UI can show their status.
+
+import mongoose from 'mongoose';
+import { getFieldProfile, profilePaths } from './fieldProfiles.js';
+import { SEARCH_ROOT } from './searchFields.js';
+
+const { connection } = mongoose;
+
+// databaseId -> { state, startedAt, finishedAt, created, error }
+const buildStatus = new Map();
+
+function getCollection(databaseId) {
+  if (!connection || !connection.db) {
+    throw new Error('No database connection');
+  }
+  return connection.db.collection(databaseId);
+}
+
+/**
+ * Recommended indexes for a voter collection, derived from its field profile:
+ * - (updatedAt, _id) for incremental /export pulls
+ * - every EPIC path for PATCH /by-epic/:epic
+ * - booth paths (common equality filter)
+ * - precomputed search keys used by fuzzy / transliterated search and households
+ * - support status / tags filters of /search
+ * - every number of the structured phone list (phone search)
+ */
+export function recommendedIndexSpecs(profile) {
+  const specs = [{ key: { updatedAt: 1, _id: 1 }, name: 'rec_updatedAt_id' }];
+
+  for (const field of ['epic', 'booth']) {
+    for (const path of profilePaths(profile, field)) {
+      specs.push({ key: { [path]: 1 }, name: `rec_${field}_${path}` });
+    }
+  }
+
+  specs.push({ key: { [`${SEARCH_ROOT}.tokens`]: 1 }, name: 'rec_search_tokens' });
+  specs.push({ key: { [`${SEARCH_ROOT}.phonetic`]: 1 }, name: 'rec_search_phonetic' });
+  specs.push({ key: { [`${SEARCH_ROOT}.household`]: 1 }, name: 'rec_search_household' });
+  specs.push({ key: { 'support.status': 1 }, name: 'rec_support_status' });
+  specs.push({ key: { 'support.tags': 1 }, name: 'rec_support_tags' });
+  specs.push({ key: { 'phones.number': 1 }, name: 'rec_phones_number' });
+  return specs;
+}
+
+export async function listIndexes(databaseId) {
+  try {
+    return await getCollection(databaseId).indexes();
+  } catch (err) {
+    if (err && err.codeName === 'NamespaceNotFound') return [];
+    throw err;
+  }
+}
+
+/** Validate admin input { keys: { path: 1|-1 }, options: { name, unique, sparse } } */
+export function normalizeIndexRequest(body = {}) {
+  const { keys, options = {} } = body;
+  if (!keys || typeof keys !== 'object' || Array.isArray(keys) || !Object.keys(keys).length) {
+    return { error: 'keys must be an object like { "EPIC": 1 }.' };
+  }
+
+  const key = {};
+  for (const [path, dir] of Object.entries(keys)) {
+    const clean = typeof path === 'string' ? path.trim() : '';
+    if (!clean || clean.startsWith('$') || clean.includes('\0')) {
+      return { error: `Invalid index field "${path}".` };
+    }
+    const n = Number(dir);
+    if (n !== 1 && n !== -1) return { error: `Index direction for "${clean}" must be 1 or -1.` };
+    key[clean] = n;
+  }
+
+  const spec = { key };
+  if (typeof options.name === 'string' && options.name.trim()) spec.name = options.name.trim();
+  if (options.unique === true) spec.unique = true;
+  if (options.sparse === true) spec.sparse = true;
+  return { spec };
+}
+
+export async function createIndex(databaseId, spec) {
+  const { key, ...options } = spec;
+  return getCollection(databaseId).createIndex(key, options);
+}
+
+export async function dropIndex(databaseId, name) {
+  if (name === '_id_') throw new Error('The _id index cannot be dropped');
+  await getCollection(databaseId).dropIndex(name);
+}
+
+/** In-progress index builds on this collection (best effort; needs currentOp privilege) */
+async function runningIndexBuilds(databaseId) {
+  try {
+    const ns = `${connection.db.databaseName}.${databaseId}`;
+    const result = await connection.db.admin().command({
+      currentOp: true,
+      ns,
+      'command.createIndexes': { $exists: true },
+    });
+    return (result.inprog || []).map((op) => ({
+      opid: op.opid,
+      secsRunning: op.secs_running ?? null,
+      msg: op.msg || null,
+      progress: op.progress || null,
+    }));
+  } catch {
+    return null; // not permitted / not supported
+  }
+}
+
+/** Last tracked recommended-index build for a collection */
+export function getIndexBuildState(databaseId) {
+  return buildStatus.get(databaseId) || { state: 'idle' };
+}
+
+/**
+ * Index overview for the admin UI: existing indexes, which recommended ones
+ * are present, the last tracked build and any builds Mongo reports running.
+ */
+export async function getIndexStatus(databaseId) {
+  const [indexes, profile, running] = await Promise.all([
+    listIndexes(databaseId),
+    getFieldProfile(databaseId),
+    runningIndexBuilds(databaseId),
+  ]);
+
+  const existingKeys = new Set(indexes.map((ix) => JSON.stringify(ix.key)));
+  const recommended = recommendedIndexSpecs(profile).map((spec) => ({
+    ...spec,
+    present: existingKeys.has(JSON.stringify(spec.key)),
+  }));
+
+  return {
+    indexes,
+    recommended,
+    build: getIndexBuildState(databaseId),
+    running,
+  };
+}
+
+/**
+ * Create the recommended indexes (skipping ones that already exist by key).
+ * Safe to call repeatedly; status is tracked per collection.
+ */
+export async function ensureRecommendedIndexes(databaseId) {
+  const status = { state: 'building', startedAt: new Date(), finishedAt: null, created: [], error: null };
+  buildStatus.set(databaseId, status);
+
+  try {
+    const profile = await getFieldProfile(databaseId);
+    const existing = new Set((await listIndexes(databaseId)).map((ix) => JSON.stringify(ix.key)));
+    const missing = recommendedIndexSpecs(profile).filter((spec) => !existing.has(JSON.stringify(spec.key)));
+
+    if (missing.length) {
+      status.created = await getCollection(databaseId).createIndexes(missing);
+    }
+    status.state = 'ready';
+  } catch (err) {
+    status.state = 'failed';
+    status.error = err?.message || String(err);
+    throw err;
+  } finally {
+    status.finishedAt = new Date();
+  }
+  return status;
+}
+
+/** Fire-and-forget variant for clone / import paths (never throws) */
+export function ensureRecommendedIndexesInBackground(databaseId) {
+  ensureRecommendedIndexes(databaseId).catch((err) => {
+    console.error('ENSURE_VOTER_INDEXES_ERROR', databaseId, err.message);
+  });
+}
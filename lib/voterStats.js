@@ -0,0 +1,148 @@
+// lib/voterStats.js
+// Server-side coverage / demographic counts for GET /api/voters/stats.
+// One aggregation groups by (groupBy value, raw gender, age band); the small
+// result is then folded into per-group summaries here.
+
+import { PROFILE_FIELDS, coalescePathsExpr, profilePaths } from './fieldProfiles.js';
+import { SEARCH_ROOT } from './searchFields.js';
+
+export const AGE_BANDS = [
+  { label: '18-25', min: 18, max: 25 },
+  { label: '26-35', min: 26, max: 35 },
+  { label: '36-45', min: 36, max: 45 },
+  { label: '46-60', min: 46, max: 60 },
+  { label: '60+', min: 61, max: null },
+];
+
+// Raw gender values seen in rolls (English and Marathi)
+const GENDER_VALUES = {
+  male: ['m', 'male', 'पु', 'पुरुष', 'पुरूष'],
+  female: ['f', 'female', 'स्त्री', 'स्री', 'स्त्र', 'म', 'महिला'],
+  other: ['o', 'other', 't', 'tg', 'इतर', 'तृतीयपंथी'],
+};
+
+function normalizeGender(value) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (!v) return 'unknown';
+  for (const [gender, list] of Object.entries(GENDER_VALUES)) {
+    if (list.includes(v)) return gender;
+  }
+  return 'unknown';
+}
+
+/** Paths for groupBy: a logical profile field, or a single document path */
+export function resolveGroupPaths(groupBy, profile) {
+  const value = typeof groupBy === 'string' && groupBy.trim() ? groupBy.trim() : 'booth';
+  if (PROFILE_FIELDS.includes(value)) return { groupBy: value, paths: profilePaths(profile, value) };
+  if (value.startsWith('$') || value.includes('\0') || value.includes('..')) return { error: 'Invalid groupBy' };
+  return { groupBy: value, paths: [value] };
+}
+
+// true when any mobile path holds a non-empty value
+function hasMobileExpr(profile) {
+  const checks = profilePaths(profile, 'mobile')
+    .filter((p) => !p.endsWith('.'))
+    .map((p) => ({
+      $gt: [{ $strLenCP: { $convert: { input: `$${p}`, to: 'string', onError: '', onNull: '' } } }, 0],
+    }));
+  return checks.length ? { $or: checks } : { $literal: false };
+}
+
+function ageBandExpr(ageExpr) {
+  return {
+    $switch: {
+      branches: AGE_BANDS.map((band) => ({
+        case: band.max === null
+          ? { $gte: [ageExpr, band.min] }
+          : { $and: [{ $gte: [ageExpr, band.min] }, { $lte: [ageExpr, band.max] }] },
+        then: band.label,
+      })),
+      default: 'unknown',
+    },
+  };
+}
+
+/** Aggregation pipeline (after the caller's $match) */
+export function buildStatsPipeline(match, groupPaths, profile) {
+  // $literal: a bare null/false in $project would mean "exclude"
+  const groupExpr = coalescePathsExpr(groupPaths) ?? { $literal: null };
+  const genderExpr = coalescePathsExpr(profilePaths(profile, 'gender')) ?? { $literal: null };
+  // "__search.age" is the parsed age (Devanagari digits too); voters whose
+  // search keys predate it fall back to converting the raw value
+  const rawAge = coalescePathsExpr(profilePaths(profile, 'age'));
+  const ageExpr = rawAge
+    ? {
+      $ifNull: [
+        `$${SEARCH_ROOT}.age`,
+        { $floor: { $convert: { input: rawAge, to: 'double', onError: null, onNull: null } } },
+      ],
+    }
+    : null;
+
+  return [
+    { $match: match },
+    {
+      $project: {
+        _id: 0,
+        g: groupExpr,
+        gender: genderExpr,
+        band: ageExpr ? ageBandExpr(ageExpr) : { $literal: 'unknown' },
+        hasMobile: hasMobileExpr(profile),
+      },
+    },
+    {
+      $group: {
+        _id: { g: '$g', gender: '$gender', band: '$band' },
+        n: { $sum: 1 },
+        mobiles: { $sum: { $cond: ['$hasMobile', 1, 0] } },
+      },
+    },
+  ];
+}
+
+function emptySummary(key) {
+  return {
+    key,
+    total: 0,
+    withMobile: 0,
+    mobileShare: 0,
+    gender: { male: 0, female: 0, other: 0, unknown: 0 },
+    ageBands: Object.fromEntries([...AGE_BANDS.map((b) => [b.label, 0]), ['unknown', 0]]),
+  };
+}
+
+function addRow(summary, row) {
+  summary.total += row.n;
+  summary.withMobile += row.mobiles;
+  summary.gender[normalizeGender(row._id.gender)] += row.n;
+  summary.ageBands[row._id.band] = (summary.ageBands[row._id.band] || 0) + row.n;
+}
+
+function finish(summary) {
+  summary.mobileShare = summary.total ? Math.round((summary.withMobile / summary.total) * 10000) / 10000 : 0;
+  return summary;
+}
+
+/** Fold aggregation rows into { groups, totals } */
+export function summarizeStats(rows) {
+  const byKey = new Map();
+  const totals = emptySummary(null);
+
+  for (const row of rows) {
+    const raw = row._id.g;
+    const key = raw === null || raw === undefined || raw === '' ? null : String(raw).trim();
+    if (!byKey.has(key)) byKey.set(key, emptySummary(key));
+    addRow(byKey.get(key), row);
+    addRow(totals, row);
+  }
+
+  const groups = Array.from(byKey.values())
+    .map(finish)
+    .sort((a, b) => {
+      if (a.key === null) return 1;
+      if (b.key === null) return -1;
+      return a.key.localeCompare(b.key, undefined, { numeric: true });
+    });
+
+  return { groups, totals: finish(totals) };
+}
@@ -0,0 +1,140 @@
+// lib/voterStream.js
+// Stream voter documents from a Mongo cursor as NDJSON or CSV, honouring
+// socket backpressure, so /all and /export never hold a whole roll in memory.
+
+import { PROFILE_FIELDS, readPath, readProfileValues } from './fieldProfiles.js';
+
+export const STREAM_FORMATS = ['ndjson', 'csv'];
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+};
+
+// CSV columns used when the client picks none
+const DEFAULT_CSV_COLUMNS = ['_id', ...PROFILE_FIELDS];
+
+export function parseStreamFormat(value) {
+  const format = String(value || '').trim().toLowerCase();
+  return STREAM_FORMATS.includes(format) ? format : null;
+}
+
+/** Column list from ?columns=a,b or ?fields=a,b (CSV only) */
+export function parseCsvColumns(qs) {
+  const raw = qs.columns || qs.fields || '';
+  const list = String(raw)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return list.length ? Array.from(new Set(list)) : DEFAULT_CSV_COLUMNS;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+  else text = String(value);
+  // numbers stay numbers; any other text that would be a formula is quoted with '
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Value of a CSV column: a document path ("__raw.नाव"), or a logical
+ * profile field ("name", "epic", ...) when the path itself is empty.
+ */
+function columnValue(doc, column, profile) {
+  const direct = readPath(doc, column);
+  if (direct !== undefined && direct !== null && direct !== '') return direct;
+  if (profile && PROFILE_FIELDS.includes(column)) {
+    return readProfileValues(doc, profile, column)[0] ?? '';
+  }
+  return direct;
+}
+
+/**
+ * Pipe a lean Mongoose QueryCursor to the response.
+ * options: { format, columns?, profile?, filename?, headers?, trailer? }
+ * `trailer` (NDJSON only) is a list of extra objects written after the documents.
+ * Stops reading (and closes the cursor) if the client disconnects. Nothing
+ * is sent before the first document (or the end), so a cursor that fails
+ * straight away still gets a 500 JSON reply.
+ * Resolves to true once every document was written, false otherwise.
+ */
+export async function streamVoters(res, cursor, { format, columns, profile, filename, headers = {}, trailer = [] }) {
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  // resolve on 'drain', or on 'close' so a vanished client cannot stall us
+  const drained = () => new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await drained();
+  };
+
+  let started = false;
+  const start = async () => {
+    if (started) return;
+    started = true;
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Cache-Control', 'no-store');
+    if (filename) res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format === 'csv' ? 'csv' : 'ndjson'}"`);
+    for (const [key, value] of Object.entries(headers)) res.setHeader(key, value);
+    if (format === 'csv') {
+      // BOM so spreadsheet apps read Devanagari as UTF-8
+      await write(`\uFEFF${columns.map(csvCell).join(',')}\r\n`);
+    }
+  };
+
+  try {
+    for await (const doc of cursor) {
+      if (aborted) break;
+      await start();
+      if (format === 'csv') {
+        await write(`${columns.map((c) => csvCell(columnValue(doc, c, profile))).join(',')}\r\n`);
+      } else {
+        await write(`${JSON.stringify(doc)}\n`);
+      }
+    }
+
+    if (!aborted) await start();
+    if (format === 'ndjson') {
+      for (const line of trailer) {
+        if (aborted) break;
+        await write(`${JSON.stringify(line)}\n`);
+      }
+    }
+  } catch (e) {
+    if (aborted) return false;
+    console.error('VOTER_STREAM_ERROR', e);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error' });
+      return false;
+    }
+    // headers are already out; cut the stream so the client sees a failure
+    res.destroy(e);
+    return false;
+  }
+
+  if (aborted) return false;
+  res.end();
+  return true;
+}
@@ -0,0 +1,122 @@
+// lib/voterSync.js
+// Apply one bulk-upsert change to a voter collection. Kept out of the route so
+// the journal can record (and later replay) exactly what happened to it.
+
+import { FIELD_VERSIONS_ROOT, fieldVersionsUpdate, mergeFieldChanges, mergedSetUpdate } from './fieldVersions.js';
+import { profilePaths } from './fieldProfiles.js';
+import { PHONES_FIELD, syncMobileWrite } from './phones.js';
+import { SEARCH_ROOT, buildSearchFields, refreshSearchFields } from './searchFields.js';
+import { clearTombstone, recordTombstone } from './tombstones.js';
+import { recordHistory } from './voterHistory.js';
+import { checkWrite, mobileFields, splitMirroredRaw } from './writePolicy.js';
+
+export const SYNC_OPS = ['upsert', 'delete'];
+
+function staleDeleteConflict(remoteTime, localTime) {
+  return {
+    field: null,
+    serverValue: null,
+    clientValue: null,
+    serverVersion: new Date(remoteTime).toISOString(),
+    clientVersion: Number.isNaN(localTime) ? null : new Date(localTime).toISOString(),
+    reason: 'stale_delete',
+  };
+}
+
+// Policy violation as a failed outcome, or null when the write is allowed
+function policyFailure(ctx, write) {
+  if (!ctx.policy) return null;
+  const violation = checkWrite(ctx.policy, ctx.actor.role, write);
+  return violation ? { status: 'failed', ...violation, conflicts: [] } : null;
+}
+
+async function applyDelete(ctx, { _id, updatedAt }) {
+  const { VoterModel, databaseId, actor } = ctx;
+  const denied = policyFailure(ctx, { op: 'delete' });
+  if (denied) return denied;
+
+  const existing = await VoterModel.findById(_id).lean();
+  if (existing) {
+    const remoteTime = new Date(existing.updatedAt || 0).getTime();
+    const localTime = new Date(updatedAt || 0).getTime();
+    // a delete older than the last server edit is ignored and reported
+    if (Number.isNaN(localTime) || localTime < remoteTime) {
+      return { status: 'conflict', conflicts: [staleDeleteConflict(remoteTime, localTime)] };
+    }
+    await VoterModel.deleteOne({ _id: existing._id });
+    await recordHistory({ databaseId, voterId: existing._id, before: existing, after: null, source: 'bulk-upsert', actor });
+  }
+  await recordTombstone(databaseId, _id, {
+    deletedBy: actor.username || actor.id,
+    deviceId: actor.deviceId,
+  });
+  return { status: 'applied', conflicts: [] };
+}
+
+async function applyUpsert(ctx, change) {
+  const { VoterModel, databaseId, profile, actor } = ctx;
+  const { _id } = change;
+
+  const doc = await VoterModel.findById(_id).lean();
+  const merged = mergeFieldChanges(doc, change);
+  if (PHONES_FIELD in merged.values) {
+    return {
+      status: 'failed',
+      reason: 'field_not_writable',
+      field: PHONES_FIELD,
+      message: 'Edit phone numbers through /api/voters/:id/phones.',
+      conflicts: [],
+    };
+  }
+  // the imported row comes back with the mobile columns the server mirrored into it
+  const { values, mirroredMobiles } = splitMirroredRaw(merged.values, doc, profile);
+  const denied = policyFailure(ctx, { op: doc ? 'update' : 'create', values, mirroredMobiles });
+  if (denied) return denied;
+
+  if (!doc) {
+    const fresh = { _id, ...merged.values, [FIELD_VERSIONS_ROOT]: merged.versions };
+    fresh[SEARCH_ROOT] = buildSearchFields(fresh, profile);
+    const created = await VoterModel.create(fresh);
+    await clearTombstone(databaseId, _id);
+    await recordHistory({ databaseId, voterId: created._id, before: null, after: created.toObject(), source: 'bulk-upsert', actor });
+    return { status: 'applied', conflicts: [] };
+  }
+
+  if (Object.keys(merged.values).length) {
+    const now = new Date();
+    const update = { $set: { ...mergedSetUpdate(merged), updatedAt: now }, $unset: {} };
+    const mobileField = mobileFields(profile).find((field) => field in values);
+    if (mobileField || mirroredMobiles.length) {
+      // the phone list and the other mobile paths follow the edited number
+      const touched = syncMobileWrite(update, doc, mobileField ? values[mobileField] : mirroredMobiles[0], {
+        paths: profilePaths(profile, 'mobile'),
+        actor,
+        now,
+      });
+      Object.assign(update.$set, fieldVersionsUpdate(touched, now));
+    }
+    if (!Object.keys(update.$unset).length) delete update.$unset;
+    const updated = await VoterModel.findOneAndUpdate({ _id: doc._id }, update, { new: true, lean: true });
+    if (updated) {
+      await recordHistory({ databaseId, voterId: doc._id, before: doc, after: updated, source: 'bulk-upsert', actor });
+      await refreshSearchFields(VoterModel, updated, profile);
+    }
+  }
+  return { status: merged.conflicts.length ? 'conflict' : 'applied', conflicts: merged.conflicts };
+}
+
+/**
+ * Apply one change { _id, op, payload, updatedAt, fieldVersions? }.
+ * ctx: { VoterModel, databaseId, profile, policy?, actor: { id, username, role, deviceId } }
+ * Returns { status: 'applied' | 'conflict' | 'failed', conflicts, reason?, field?, message? }.
+ * With a write policy, a change touching a field the role may not write (or
+ * with a value breaking a field rule) fails as a whole. So does a change to
+ * the phone list, which has its own endpoints; an edited mobile field becomes
+ * the list's primary number instead.
+ * 'conflict' means the change was processed but some or all of it lost.
+ */
+export async function applySyncChange(ctx, change) {
+  const { _id, op } = change || {};
+  if (!(_id && SYNC_OPS.includes(op))) return { status: 'failed', reason: 'bad_change', conflicts: [] };
+  return op === 'delete' ? applyDelete(ctx, change) : applyUpsert(ctx, change);
+}
@@ -0,0 +1,389 @@
+// lib/writePolicy.js
+// Which top-level voter fields each role may write, and the type / format
+// rules their values must follow. Policies are stored per collection
+// (WritePolicy); per-user clones inherit their master's, and collections
+// without one get a default that only lets non-admins touch campaign fields
+// (mobiles, support, tags, phones, notes and the editable profile details).
+
+import WritePolicy from '../models/WritePolicy.js';
+import { findInheritedEntry, profilePaths } from './fieldProfiles.js';
+import { sameValue, topLevelField } from './fieldVersions.js';
+import { MAX_PHONES, PHONES_FIELD, normalizeMobileNumber } from './phones.js';
+import { normalizeEpic } from './epic.js';
+
+export const WRITE_ROLES = ['user', 'operator', 'candidate', 'volunteer', 'admin'];
+export const RULE_TYPES = ['string', 'number', 'boolean', 'date', 'array', 'object'];
+export const RULE_FORMATS = ['mobile', 'epic', 'date'];
+
+// Rule for mobile numbers a client sends in the mirrored "__raw" columns
+const MIRRORED_MOBILE_RULE = { type: 'string', format: 'mobile' };
+
+const FORMAT_LABELS = { mobile: 'mobile number', epic: 'EPIC number', date: 'date (YYYY-MM-DD or DD/MM/YYYY)' };
+
+const RULE_KEYS = ['type', 'format', 'required', 'maxLength', 'pattern', 'enum', 'min', 'max', 'maxItems', 'items'];
+
+// Campaign fields and voter details every role may edit by default
+const TEAM_FIELDS = [
+  'support', 'tags', 'phones', 'notes',
+  'address', 'birthDate', 'caste', 'community', 'remarks',
+];
+
+const RAW_ROOT = '__raw';
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { at: 0, byId: null };
+
+// rule object -> compiled `pattern`, filled when policies are loaded
+const compiledPatterns = new WeakMap();
+
+/**
+ * Top-level fields holding a mobile number. "__raw" (the imported sheet row)
+ * is left out: its mobile column is mirrored by the server, not written by roles.
+ */
+export function mobileFields(profile) {
+  return Array.from(new Set(profilePaths(profile, 'mobile').map(topLevelField))).filter((f) => f !== RAW_ROOT);
+}
+
+function defaultRoles(profile) {
+  const teamFields = Array.from(new Set([...mobileFields(profile), ...TEAM_FIELDS]));
+  const roles = {};
+  for (const role of WRITE_ROLES) {
+    roles[role] = role === 'admin'
+      ? { fields: '*', create: true, delete: true }
+      : { fields: teamFields, create: false, delete: false };
+  }
+  return roles;
+}
+
+function defaultRules(profile) {
+  const rules = {};
+  for (const field of mobileFields(profile)) rules[field] = { type: 'string', format: 'mobile' };
+  for (const field of profilePaths(profile, 'epic').map(topLevelField)) {
+    if (field !== RAW_ROOT) rules[field] = { type: 'string', format: 'epic' };
+  }
+  rules.support = { type: 'object' };
+  rules.tags = { type: 'array', items: 'string', maxItems: 50 };
+  rules.phones = { type: 'array', items: 'object', maxItems: MAX_PHONES };
+  rules.notes = { type: 'string', maxLength: 2000 };
+  rules.address = { type: 'string', maxLength: 500 };
+  rules.birthDate = { type: 'string', format: 'date' };
+  rules.caste = { type: 'string', maxLength: 100 };
+  rules.community = { type: 'string', maxLength: 100 };
+  rules.remarks = { type: 'string', maxLength: 2000 };
+  return rules;
+}
+
+/* ----------------------------- admin input ----------------------------- */
+
+function normalizeFieldList(value) {
+  if (value === '*') return '*';
+  if (!Array.isArray(value)) return null;
+  const fields = [];
+  for (const raw of value) {
+    const field = typeof raw === 'string' ? raw.trim() : '';
+    if (!field || field.startsWith('$') || field.includes('.') || field.includes('\0')) return null;
+    if (!fields.includes(field)) fields.push(field);
+  }
+  return fields;
+}
+
+function normalizeRule(field, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: `Rule for "${field}" must be an object.` };
+  const rule = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!RULE_KEYS.includes(key)) return { error: `Unknown rule option "${key}" for "${field}".` };
+    rule[key] = value;
+  }
+  if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+    return { error: `type for "${field}" must be one of ${RULE_TYPES.join(', ')}.` };
+  }
+  if (rule.format !== undefined && !RULE_FORMATS.includes(rule.format)) {
+    return { error: `format for "${field}" must be one of ${RULE_FORMATS.join(', ')}.` };
+  }
+  if (rule.items !== undefined && !RULE_TYPES.includes(rule.items)) {
+    return { error: `items for "${field}" must be one of ${RULE_TYPES.join(', ')}.` };
+  }
+  for (const key of ['maxLength', 'maxItems']) {
+    if (rule[key] !== undefined && !(Number.isInteger(rule[key]) && rule[key] >= 0)) {
+      return { error: `${key} for "${field}" must be a non-negative integer.` };
+    }
+  }
+  for (const key of ['min', 'max']) {
+    if (rule[key] !== undefined && !Number.isFinite(rule[key])) return { error: `${key} for "${field}" must be a number.` };
+  }
+  if (rule.enum !== undefined && !Array.isArray(rule.enum)) return { error: `enum for "${field}" must be an array.` };
+  if (rule.pattern !== undefined) {
+    try {
+      new RegExp(String(rule.pattern));
+    } catch {
+      return { error: `pattern for "${field}" is not a valid regular expression.` };
+    }
+    rule.pattern = String(rule.pattern);
+  }
+  if (rule.required !== undefined) rule.required = rule.required === true;
+  return { rule };
+}
+
+/**
+ * Validate an admin-supplied { roles, rules } policy.
+ * Returns { roles, rules } or { error }.
+ */
+export function normalizeWritePolicy(input) {
+  if (!input || typeof input !== 'object') return { error: 'Body must be { roles, rules }.' };
+
+  const roles = {};
+  for (const [role, entry] of Object.entries(input.roles || {})) {
+    if (!WRITE_ROLES.includes(role)) return { error: `Unknown role "${role}".` };
+    if (!entry || typeof entry !== 'object') return { error: `Policy for role "${role}" must be an object.` };
+    const fields = normalizeFieldList(entry.fields ?? []);
+    if (!fields) return { error: `fields for role "${role}" must be "*" or an array of top-level field names.` };
+    roles[role] = { fields, create: entry.create === true, delete: entry.delete === true };
+  }
+
+  const rules = {};
+  for (const [field, value] of Object.entries(input.rules || {})) {
+    if (!normalizeFieldList([field])) return { error: `Invalid rule field "${field}".` };
+    const { rule, error } = normalizeRule(field, value);
+    if (error) return { error };
+    rules[field] = rule;
+  }
+  return { roles, rules };
+}
+
+/* ------------------------------- storage ------------------------------- */
+
+function patternOf(rule) {
+  if (!compiledPatterns.has(rule)) compiledPatterns.set(rule, new RegExp(rule.pattern));
+  return compiledPatterns.get(rule);
+}
+
+async function loadPolicies() {
+  const now = Date.now();
+  if (cache.byId && now - cache.at < CACHE_TTL_MS) return cache.byId;
+  const docs = await WritePolicy.find({}).lean();
+  for (const doc of docs) {
+    for (const rule of Object.values(doc.rules || {})) {
+      if (rule?.pattern === undefined) continue;
+      try {
+        patternOf(rule);
+      } catch (e) {
+        console.error('WRITE_POLICY_PATTERN_ERROR', doc.databaseId, e.message);
+      }
+    }
+  }
+  const byId = new Map(docs.map((doc) => [doc.databaseId, doc]));
+  cache = { at: now, byId };
+  return byId;
+}
+
+export function invalidateWritePolicyCache() {
+  cache = { at: 0, byId: null };
+}
+
+/**
+ * Effective policy for a collection: { databaseId, source, isDefault, roles, rules }.
+ * Roles and rules missing from a stored policy fall back to the defaults; an
+ * empty rule ({}) lifts a default one.
+ */
+export async function getWritePolicy(databaseId, profile) {
+  let stored = { value: null, source: null };
+  try {
+    stored = findInheritedEntry(await loadPolicies(), String(databaseId || ''));
+  } catch (e) {
+    console.error('WRITE_POLICY_LOAD_ERROR', e);
+  }
+  const roles = { ...defaultRoles(profile), ...(stored.value?.roles || {}) };
+  const rules = { ...defaultRules(profile), ...(stored.value?.rules || {}) };
+  return { databaseId, source: stored.source, isDefault: !stored.source, roles, rules };
+}
+
+export async function saveWritePolicy(databaseId, { roles, rules }, updatedBy = null) {
+  const doc = await WritePolicy.findOneAndUpdate(
+    { databaseId },
+    { $set: { roles, rules, updatedBy } },
+    { new: true, upsert: true, lean: true }
+  );
+  invalidateWritePolicyCache();
+  return doc;
+}
+
+export async function deleteWritePolicy(databaseId) {
+  const result = await WritePolicy.deleteOne({ databaseId });
+  invalidateWritePolicyCache();
+  return result.deletedCount > 0;
+}
+
+/* ------------------------------ enforcement ----------------------------- */
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'date': return (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime());
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * "YYYY-MM-DD" for an ISO date or a DD/MM/YYYY (also "-" or ".") date as
+ * written on Indian forms; null if it is not a real calendar date.
+ */
+export function normalizeDateValue(value) {
+  let y;
+  let m;
+  let d;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return value.toISOString().slice(0, 10);
+  }
+  const text = String(value ?? '').trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:T.*)?$/.exec(text);
+  if (match) [, y, m, d] = match;
+  else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) [, d, m, y] = match;
+  else return null;
+
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (date.getUTCFullYear() !== Number(y) || date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function formatMatches(format, value) {
+  if (Array.isArray(value)) return value.every((item) => formatMatches(format, item));
+  if (format === 'mobile') return !!normalizeMobileNumber(String(value));
+  if (format === 'epic') return !!normalizeEpic(value);
+  if (format === 'date') return !!normalizeDateValue(value);
+  return true;
+}
+
+function normalizeScalar(value, rule) {
+  let v = typeof value === 'string' ? value.trim() : value;
+  if (v === '' || v === undefined) return null;
+  if (rule?.format === 'mobile') v = normalizeMobileNumber(String(v)) || v;
+  else if (rule?.format === 'epic') v = normalizeEpic(v) || v;
+  else if (rule?.format === 'date') v = normalizeDateValue(v) || v;
+  else if (rule?.type === 'number' && typeof v === 'string' && /^-?\d+(\.\d+)?$/.test(v)) v = Number(v);
+  return v;
+}
+
+/**
+ * Normalize a submitted value by its rule: trim text, phones to 10 digits,
+ * EPICs upper-cased, dates to YYYY-MM-DD, numeric text to numbers (arrays
+ * item by item, dropping blanks). Empty values become null ("clear the field").
+ * Values that cannot be normalized are returned as-is for checkFieldValue to reject.
+ */
+export function normalizeFieldValue(value, rule) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeScalar(item, rule)).filter((item) => item !== null);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) return value;
+  return normalizeScalar(value, rule);
+}
+
+/** null if `value` satisfies `rule`, else { reason, message } */
+export function checkFieldValue(field, value, rule) {
+  if (!rule) return null;
+  if (value === null || value === undefined || value === '') {
+    return rule.required ? { reason: 'required', message: `"${field}" is required.` } : null;
+  }
+  if (rule.type && !typeMatches(rule.type, value)) {
+    return { reason: 'invalid_type', message: `"${field}" must be a ${rule.type}.` };
+  }
+  if (rule.format && !formatMatches(rule.format, value)) {
+    return { reason: 'invalid_format', message: `"${field}" is not a valid ${FORMAT_LABELS[rule.format]}.` };
+  }
+  if (rule.maxLength !== undefined && typeof value === 'string' && value.length > rule.maxLength) {
+    return { reason: 'too_long', message: `"${field}" may be at most ${rule.maxLength} characters.` };
+  }
+  if (rule.pattern !== undefined && typeof value === 'string' && !patternOf(rule).test(value)) {
+    return { reason: 'invalid_format', message: `"${field}" does not match the required pattern.` };
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { reason: 'not_allowed_value', message: `"${field}" must be one of ${rule.enum.join(', ')}.` };
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return { reason: 'out_of_range', message: `"${field}" must be at least ${rule.min}.` };
+    if (rule.max !== undefined && value > rule.max) return { reason: 'out_of_range', message: `"${field}" must be at most ${rule.max}.` };
+  }
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { reason: 'too_long', message: `"${field}" may have at most ${rule.maxItems} items.` };
+    }
+    if (rule.items && value.some((item) => !typeMatches(rule.items, item))) {
+      return { reason: 'invalid_type', message: `Every item of "${field}" must be a ${rule.items}.` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a client's "__raw" (imported row) value off a write. The server
+ * mirrors mobile numbers into the row's mobile columns, so a device sending
+ * the row back with only those columns changed is writing mobile numbers:
+ * returns { values without "__raw", mirroredMobiles: [value] }. A row with
+ * any other column changed stays in `values`.
+ */
+export function splitMirroredRaw(values, current, profile) {
+  const raw = values[RAW_ROOT];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { values, mirroredMobiles: [] };
+
+  const prefix = `${RAW_ROOT}.`;
+  const mobileColumns = new Set(
+    profilePaths(profile, 'mobile').filter((p) => p.startsWith(prefix)).map((p) => p.slice(prefix.length))
+  );
+  const before = current?.[RAW_ROOT] || {};
+  const mirroredMobiles = [];
+  for (const column of new Set([...Object.keys(raw), ...Object.keys(before)])) {
+    if (sameValue(raw[column], before[column])) continue;
+    if (!mobileColumns.has(column)) return { values, mirroredMobiles: [] };
+    mirroredMobiles.push(raw[column]);
+  }
+  const { [RAW_ROOT]: _raw, ...rest } = values;
+  return { values: rest, mirroredMobiles };
+}
+
+/**
+ * Check a write against the policy.
+ * write: { op: 'create' | 'update' | 'delete', values: { topLevelField: value }, mirroredMobiles? }
+ * mirroredMobiles (from splitMirroredRaw) need the right to write a mobile
+ * field or the phone list, and must be valid mobile numbers.
+ * Returns null when allowed, else { reason, field, message }.
+ */
+export function checkWrite(policy, role, { op, values = {}, mirroredMobiles = [] }) {
+  const access = policy.roles[role];
+  if (!access) return { reason: 'forbidden', field: null, message: `Role "${role}" may not write voters.` };
+
+  if (op === 'delete') {
+    return access.delete ? null : { reason: 'forbidden_op', field: null, message: `Role "${role}" may not delete voters.` };
+  }
+  if (op === 'create' && !access.create) {
+    return { reason: 'forbidden_op', field: null, message: `Role "${role}" may not create voters.` };
+  }
+
+  for (const [field, value] of Object.entries(values)) {
+    if (access.fields !== '*' && !access.fields.includes(field)) {
+      return { reason: 'field_not_writable', field, message: `Role "${role}" may not write "${field}".` };
+    }
+    const violation = checkFieldValue(field, value, policy.rules[field]);
+    if (violation) return { ...violation, field };
+  }
+
+  if (mirroredMobiles.length) {
+    const mobileTargets = Object.keys(policy.rules).filter((field) => policy.rules[field]?.format === 'mobile');
+    const mayWrite = access.fields === '*'
+      || [...mobileTargets, PHONES_FIELD].some((field) => access.fields.includes(field));
+    if (!mayWrite) {
+      return { reason: 'field_not_writable', field: RAW_ROOT, message: `Role "${role}" may not write mobile numbers.` };
+    }
+    for (const value of mirroredMobiles) {
+      const violation = checkFieldValue(RAW_ROOT, value, MIRRORED_MOBILE_RULE);
+      if (violation) return { ...violation, field: RAW_ROOT };
+    }
+  }
+  return null;
+}
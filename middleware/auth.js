@@ -1,14 +1,35 @@
 import jwt from 'jsonwebtoken';
+import { tokenRejection } from '../lib/authTokens.js';
 
-export function auth(req, res, next) {
+/**
+ * Verifies the access token, then checks it was not revoked: the user must
+ * still exist and be enabled, its token version must match (bumped on
+ * disable / password change / device reset / role or database change) and
+ * its session not logged out.
+ * 401 errors: 'No token', 'Invalid token', TOKEN_EXPIRED (call
+ * /api/auth/refresh), TOKEN_REVOKED, USER_DISABLED.
+ */
+export async function auth(req, res, next) {
   const hdr = req.headers.authorization || '';
   const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'No token' });
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
+    if (e?.name === 'TokenExpiredError') return res.status(401).json({ error: 'TOKEN_EXPIRED' });
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  try {
+    const rejection = await tokenRejection(decoded);
+    if (rejection) return res.status(401).json({ error: rejection });
+  } catch (e) {
+    console.error('AUTH_SESSION_CHECK_ERROR', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = decoded;
+  next();
 }
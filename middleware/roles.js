@@ -1,4 +1,6 @@
 // server/middleware/roles.js
+import User from '../models/User.js';
+import { checkRequestDevice, deviceRuleForUser } from '../lib/devicePolicy.js';
 
 /** Basic authentication guard */
 export function requireAuth(req, res, next) {
@@ -22,27 +24,23 @@ export function requireRole(...roles) {
   };
 }
 
-/** Optional: restrict candidate accounts to the bound device only.
+/** Optional: restrict accounts to their allowed device(s) per the device policy
+ * (strict: the bound device, max N: the registered devices; off / track: anything).
  * Put after JWT auth and any middleware that sets req.deviceId (if you use one).
  */
-export function requireSameDevice(req, res, next) {
-  if (req.user?.role === 'candidate') {
-    const currentDevice = req.deviceId;
-    const boundDevice = req.user?.deviceIdBound;
+export async function requireSameDevice(req, res, next) {
+  try {
+    const user = await User.findById(req.user?.id)
+      .select('role deviceIdBound deviceBoundAt devices devicePolicy')
+      .lean();
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    if (!boundDevice) {
-      return res.status(423).json({
-        error: 'DEVICE_NOT_BOUND',
-        message: 'Candidate account not yet activated on any device.',
-      });
-    }
-    if (!currentDevice || currentDevice !== boundDevice) {
-      return res.status(423).json({
-        error: 'ACCOUNT_LOCKED_DIFFERENT_DEVICE',
-        message:
-          'This Candidate account is already activated on another device. Ask an admin to reset the binding.',
-      });
-    }
+    const rule = await deviceRuleForUser(user);
+    const refusal = checkRequestDevice(user, req.deviceId, rule);
+    if (refusal) return res.status(refusal.status).json(refusal.body);
+  } catch (e) {
+    console.error('DEVICE_CHECK_ERROR', e);
+    return res.status(500).json({ error: 'Server error' });
   }
   next();
 }
@@ -0,0 +1,37 @@
+// models/AuthSession.js
+// One login session per row: the hash of its current refresh token, the
+// device it was issued to and whether it was revoked. Access tokens carry
+// the session id (`sid`) so middleware/auth.js can reject revoked sessions.
+import mongoose from 'mongoose';
+
+const AuthSessionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    deviceId: { type: String, default: null },
+    // sha256 of the current refresh token secret
+    refreshHash: { type: String, required: true },
+    // hash of the token it replaced; seeing it again means the token leaked
+    previousRefreshHash: { type: String, default: null },
+    // User.tokenVersion when the session was issued
+    tokenVersion: { type: Number, default: 0 },
+    // password | pin | otp
+    method: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // logout | refresh_reuse | user_disabled | password_changed | role_changed | databases_changed
+    // device_reset | device_removed | device_policy
+    revokedReason: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'auth_sessions',
+  }
+);
+
+AuthSessionSchema.index({ userId: 1, revokedAt: 1 });
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AuthSession', AuthSessionSchema);
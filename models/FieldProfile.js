@@ -0,0 +1,32 @@
+// models/FieldProfile.js
+// Per-collection mapping from logical voter fields (name, epic, mobile, ...)
+// to the actual document paths used by that roll's import.
+
+import mongoose from 'mongoose';
+
+const FieldProfileSchema = new mongoose.Schema(
+  {
+    // voter collection name (same value the app sends as databaseId)
+    databaseId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    // e.g. { name: ['__raw.नाव'], epic: ['__raw.कार्ड नं'] }
+    fields: {
+      type: Map,
+      of: [String],
+      default: {},
+    },
+
+    updatedBy: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'field_profiles',
+  }
+);
+
+export default mongoose.model('FieldProfile', FieldProfileSchema);
@@ -0,0 +1,38 @@
+// models/LoginAttempt.js
+// Failed-login counters for /api/auth/login and /pin-login, one row per
+// account (username), client IP or account + device ID. Rows expire a day
+// after the last failure, which also resets the lockout escalation.
+import mongoose from 'mongoose';
+
+const IDLE_TTL_SECONDS = 24 * 60 * 60;
+
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    // account | ip | device
+    scope: { type: String, enum: ['account', 'ip', 'device'], required: true },
+    // username (lowercased), IP address or "username:deviceId"
+    value: { type: String, required: true },
+    // failures since the last lockout / success / idle reset
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: Date.now },
+    // progressive delay: no new attempt before this
+    nextAttemptAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    // lockouts so far; each one lasts twice as long as the previous
+    lockCount: { type: Number, default: 0 },
+    lastIp: { type: String, default: null },
+    lastDeviceId: { type: String, default: null },
+    // password | pin | otp | otp_request | pin_change
+    lastMethod: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'login_attempts',
+  }
+);
+
+LoginAttemptSchema.index({ scope: 1, value: 1 }, { unique: true });
+LoginAttemptSchema.index({ lockedUntil: 1 });
+LoginAttemptSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: IDLE_TTL_SECONDS });
+
+export default mongoose.model('LoginAttempt', LoginAttemptSchema);
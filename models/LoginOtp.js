@@ -0,0 +1,34 @@
+// models/LoginOtp.js
+// One-time login codes sent by SMS (lib/loginOtp.js). One row per user holds
+// the current code's hash plus the counters used to throttle resends; the
+// row is dropped once it is no longer needed for either.
+import mongoose from 'mongoose';
+
+const LoginOtpSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, unique: true },
+    mobile: { type: String, default: null },
+    // HMAC-SHA256 of the code with `salt`; null once used or invalidated
+    codeHash: { type: String, default: null },
+    salt: { type: String, default: null },
+    expiresAt: { type: Date, default: null },
+    // wrong guesses against the current code
+    attempts: { type: Number, default: 0 },
+    sentAt: { type: Date, default: null },
+    // codes sent since windowStartedAt (hourly send limit)
+    sendCount: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, default: null },
+    consumedAt: { type: Date, default: null },
+    deviceId: { type: String, default: null },
+    ip: { type: String, default: null },
+    purgeAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+    collection: 'login_otps',
+  }
+);
+
+LoginOtpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginOtp', LoginOtpSchema);
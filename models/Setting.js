@@ -0,0 +1,17 @@
+// models/Setting.js
+// Small key/value store for admin-configurable server settings.
+import mongoose from 'mongoose';
+
+const SettingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'settings',
+  }
+);
+
+export default mongoose.model('Setting', SettingSchema);
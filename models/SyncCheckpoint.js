@@ -0,0 +1,41 @@
+// models/SyncCheckpoint.js
+// Sync state per user, device and voter collection: the last completed pull
+// (with the watermark the device should send as `since` next time) and the
+// outcome of the last bulk-upsert push.
+import mongoose from 'mongoose';
+
+const SyncCheckpointSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    username: { type: String, default: null },
+    role: { type: String, default: null },
+    // 'unknown' when the app did not send a device ID
+    deviceId: { type: String, required: true },
+    databaseId: { type: String, required: true },
+
+    lastPullAt: { type: Date, default: null },
+    // server watermark of the last pull that reached its final page
+    lastPullWatermark: { type: Date, default: null },
+    // keyset | page | ndjson | csv
+    lastPullMode: { type: String, default: null },
+
+    lastPushAt: { type: Date, default: null },
+    // { received, applied, conflicts, failed, replayed }
+    lastPushStats: { type: mongoose.Schema.Types.Mixed, default: null },
+    // failed changes in the last push; the device still has them pending
+    pendingFailures: { type: Number, default: 0 },
+    lastPushFailedAt: { type: Date, default: null },
+    // e.g. { policy_denied: 2, exception: 1 }
+    lastFailureReasons: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+    collection: 'sync_checkpoints',
+  }
+);
+
+SyncCheckpointSchema.index({ userId: 1, deviceId: 1, databaseId: 1 }, { unique: true });
+SyncCheckpointSchema.index({ lastPullAt: 1 });
+
+export default mongoose.model('SyncCheckpoint', SyncCheckpointSchema);
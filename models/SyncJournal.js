@@ -0,0 +1,47 @@
+// models/SyncJournal.js
+// One entry per change pushed through /api/voters/bulk-upsert: who sent it,
+// from which device, and what happened. Entries with a client change ID make
+// retried batches idempotent.
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = parseInt(process.env.SYNC_JOURNAL_RETENTION_DAYS || '30', 10);
+
+const SyncJournalSchema = new mongoose.Schema(
+  {
+    // client-generated id (e.g. a UUID); null for changes sent without one
+    changeId: { type: String, default: null },
+    userId: { type: String, required: true },
+    username: { type: String, default: null },
+    deviceId: { type: String, default: null },
+    databaseId: { type: String, required: true },
+    voterId: { type: String, default: null },
+    op: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ['processing', 'applied', 'conflict', 'failed'],
+      default: 'processing',
+    },
+    reason: { type: String, default: null },
+    // for policy violations: offending field and a readable message
+    field: { type: String, default: null },
+    message: { type: String, default: null },
+    conflicts: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    receivedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date, default: null },
+    // how many times the same change ID was sent again after the first time
+    replays: { type: Number, default: 0 },
+  },
+  {
+    timestamps: false,
+    collection: 'sync_journal',
+  }
+);
+
+SyncJournalSchema.index(
+  { userId: 1, changeId: 1 },
+  { unique: true, partialFilterExpression: { changeId: { $type: 'string' } } }
+);
+SyncJournalSchema.index({ databaseId: 1, receivedAt: -1 });
+SyncJournalSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('SyncJournal', SyncJournalSchema);
@@ -18,6 +18,8 @@ const UserSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // when the current PIN was set (drives PIN expiry)
+    pinSetAt: { type: Date, default: null },
 
     // ✅ now includes 'volunteer'
     role: {
@@ -29,6 +31,9 @@ const UserSchema = new mongoose.Schema(
 
     email: { type: String, trim: true, lowercase: true },
 
+    // 10-digit mobile number for OTP login (see lib/loginOtp.js)
+    mobile: { type: String, trim: true, default: null },
+
     // ✅ Political party fields (linked to Party master by id/code)
     partyId: {
       type: String,
@@ -72,6 +77,20 @@ const UserSchema = new mongoose.Schema(
     // ✅ candidate / user device binding
     deviceIdBound: { type: String, default: null },
     deviceBoundAt: { type: Date, default: null },
+    // devices seen at login; "max N" device policies allow only these
+    devices: {
+      type: [
+        {
+          _id: false,
+          deviceId: String,
+          firstSeenAt: { type: Date, default: Date.now },
+          lastSeenAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    // per-user override of the role's device policy ({ mode, maxDevices }); null = use the role's
+    devicePolicy: { type: mongoose.Schema.Types.Mixed, default: null },
     deviceHistory: {
       type: [
         {
@@ -89,6 +108,9 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: true, // false = cannot login
     },
+
+    // bumped to invalidate every token issued before (disable, password change, device reset)
+    tokenVersion: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
@@ -23,6 +23,21 @@ const voterSchema = new mongoose.Schema(
 // Cache of Mongoose models per collection name
 const modelCache = new Map();
 
+// Server bookkeeping collections that live next to the voter collections
+// but must never be offered as a voter "database".
+export const NON_VOTER_COLLECTIONS = new Set([
+  'auth_sessions',
+  'field_profiles',
+  'login_attempts',
+  'login_otps',
+  'settings',
+  'sync_checkpoints',
+  'sync_journal',
+  'voter_history',
+  'voter_tombstones',
+  'write_policies',
+]);
+
 /**
  * Default voter collection name when nothing else is specified.
  * You can override with env:
@@ -70,6 +85,7 @@ export async function listVoterDatabases() {
 
   return collections
     .filter((c) => !c.name.startsWith('system.')) // skip internal
+    .filter((c) => !NON_VOTER_COLLECTIONS.has(c.name))
     .map((c) => ({
       id: c.name,   // used as databaseId in frontend / admin routes
       name: c.name, // human-readable name (can be same as id)
@@ -100,6 +116,22 @@ export async function cloneVoterCollection(sourceName, targetName) {
   return { source: sourceName, target: targetName };
 }
 
+/**
+ * Master collection a per-user clone (u_<userKey>_<master>) was made from,
+ * or null. The longest matching master name wins.
+ */
+export async function resolveCloneMaster(cloneName) {
+  const name = String(cloneName || '');
+  if (!name.startsWith('u_')) return null;
+  const masters = (await listVoterDatabases()).filter((db) => !db.id.startsWith('u_'));
+  let best = null;
+  for (const { id } of masters) {
+    if (!name.endsWith(`_${id.replace(/\s+/g, '')}`)) continue;
+    if (!best || id.length > best.length) best = id;
+  }
+  return best;
+}
+
 /**
  * Drop a voter collection completely.
  * Used when removing per-user cloned DBs from admin panel.
@@ -125,5 +157,6 @@ export default {
   getVoterModel,
   listVoterDatabases,
   cloneVoterCollection,
+  resolveCloneMaster,
   dropVoterCollection,
 };
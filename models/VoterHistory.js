@@ -0,0 +1,37 @@
+// models/VoterHistory.js
+// Change trail for voter documents: one entry per mutation with the fields
+// that changed (before / after), who made it and from which device.
+import mongoose from 'mongoose';
+
+const VoterHistorySchema = new mongoose.Schema(
+  {
+    databaseId: { type: String, required: true },
+    // voter _id as a string (ObjectId hex or client-generated id)
+    voterId: { type: String, required: true },
+    // 1, 2, 3... per voter
+    version: { type: Number, required: true },
+    // effect on the record
+    op: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    // where the write came from: patch, edit, by-epic, household, support, bulk-upsert, rebase, rollback
+    source: { type: String, default: null },
+    // [{ field, before?, after? }] — a missing before/after means the field was absent
+    changes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    user: {
+      id: { type: String, default: null },
+      username: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+    deviceId: { type: String, default: null },
+    // set on entries written by a rollback
+    rolledBackTo: { type: Number, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: false,
+    collection: 'voter_history',
+  }
+);
+
+VoterHistorySchema.index({ databaseId: 1, voterId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('VoterHistory', VoterHistorySchema);
@@ -0,0 +1,24 @@
+// models/VoterTombstone.js
+// Marker left behind when a voter is deleted through the sync API, so
+// offline devices learn about the deletion on their next incremental pull.
+import mongoose from 'mongoose';
+
+const VoterTombstoneSchema = new mongoose.Schema(
+  {
+    databaseId: { type: String, required: true },
+    // voter _id as a string (ObjectId hex or client-generated id)
+    voterId: { type: String, required: true },
+    deletedAt: { type: Date, required: true, default: Date.now },
+    deletedBy: { type: String, default: null },
+    deviceId: { type: String, default: null },
+  },
+  {
+    timestamps: false,
+    collection: 'voter_tombstones',
+  }
+);
+
+VoterTombstoneSchema.index({ databaseId: 1, voterId: 1 }, { unique: true });
+VoterTombstoneSchema.index({ databaseId: 1, deletedAt: 1 });
+
+export default mongoose.model('VoterTombstone', VoterTombstoneSchema);
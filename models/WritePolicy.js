@@ -0,0 +1,32 @@
+// models/WritePolicy.js
+// Per-collection write policy: which voter fields each role may write
+// through the app, and type / format rules for field values.
+
+import mongoose from 'mongoose';
+
+const WritePolicySchema = new mongoose.Schema(
+  {
+    // voter collection name (same value the app sends as databaseId)
+    databaseId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    // e.g. { volunteer: { fields: ['mobile', 'support'], create: false, delete: false }, admin: { fields: '*', ... } }
+    roles: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // e.g. { mobile: { type: 'string', format: 'mobile' }, notes: { type: 'string', maxLength: 2000 } }
+    rules: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    updatedBy: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+    collection: 'write_policies',
+  }
+);
+
+export default mongoose.model('WritePolicy', WritePolicySchema);
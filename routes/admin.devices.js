@@ -1,13 +1,167 @@
 // routes/admin.devices.js
 import { Router } from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import { auth } from "../middleware/auth.js";
 import { requireRole } from "../middleware/roles.js";
+import { revokeDeviceSessions, revokeSessionsExceptDevices, revokeUserTokens } from "../lib/authTokens.js";
+import {
+  DEVICE_MODES,
+  DEVICE_POLICY_ROLES,
+  changedDeviceRoles,
+  deviceRuleForUser,
+  enforceDeviceRule,
+  getDevicePolicy,
+  normalizeDevicePolicy,
+  normalizeDeviceRule,
+  removeDevice,
+  resetDevices,
+  resolveDeviceRule,
+  saveDevicePolicy,
+} from "../lib/devicePolicy.js";
 
 const router = Router();
 
+async function findUser(userId) {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return User.findById(userId);
+}
+
+function deviceState(user, rule) {
+  return {
+    userId: String(user._id),
+    username: user.username,
+    role: user.role,
+    rule,
+    override: user.devicePolicy || null,
+    deviceIdBound: user.deviceIdBound || null,
+    deviceBoundAt: user.deviceBoundAt || null,
+    devices: user.devices || [],
+  };
+}
+
+/**
+ * GET /api/admin/device-policy
+ * { policy: { roles: { <role>: { mode, maxDevices? } } }, modes, roles }
+ */
+router.get("/device-policy", auth, requireRole("admin"), async (_req, res) => {
+  try {
+    return res.json({
+      policy: await getDevicePolicy(),
+      modes: DEVICE_MODES,
+      roles: DEVICE_POLICY_ROLES,
+    });
+  } catch (e) {
+    console.error("GET_DEVICE_POLICY_ERROR", e);
+    return res.status(500).json({ error: "SERVER_ERROR" });
+  }
+});
+
+/**
+ * PUT /api/admin/device-policy
+ * Body: { roles: { candidate: "strict", volunteer: { mode: "max", maxDevices: 2 }, ... } }
+ * Roles left out keep their default rule. Users of a changed role (without
+ * their own override) are brought within the new rule right away: devices
+ * beyond it are dropped and their sessions revoked.
+ */
+router.put("/device-policy", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const { policy, error } = normalizeDevicePolicy(req.body?.policy ?? req.body);
+    if (error) return res.status(400).json({ error: "INVALID_POLICY", message: error });
+    const by = req.user?.username || "admin";
+    const previous = await getDevicePolicy();
+    await saveDevicePolicy(policy, by);
+
+    const roles = changedDeviceRoles(previous, policy);
+    const users = roles.length ? await User.find({ role: { $in: roles }, devicePolicy: null }) : [];
+    for (const user of users) {
+      const allowed = enforceDeviceRule(user, resolveDeviceRule(user, policy), by);
+      if (user.isModified()) await user.save();
+      if (allowed) await revokeSessionsExceptDevices(user._id, allowed, "device_policy");
+    }
+
+    return res.json({ policy });
+  } catch (e) {
+    console.error("SAVE_DEVICE_POLICY_ERROR", e);
+    return res.status(500).json({ error: "SERVER_ERROR" });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId/devices
+ * The rule that applies to the user, their bound / registered devices and
+ * the latest device history.
+ */
+router.get("/users/:userId/devices", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: "NOT_FOUND" });
+    return res.json({
+      ...deviceState(user, await deviceRuleForUser(user)),
+      history: (user.deviceHistory || []).slice(-50).reverse(),
+    });
+  } catch (e) {
+    console.error("GET_USER_DEVICES_ERROR", e);
+    return res.status(500).json({ error: "SERVER_ERROR" });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/device-policy
+ * Body: { mode, maxDevices? } to override the role's rule, or { mode: null } to drop the override.
+ * Devices beyond a tightened rule are dropped and their sessions revoked.
+ */
+router.put("/users/:userId/device-policy", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: "NOT_FOUND" });
+
+    if (req.body?.mode === null) {
+      user.devicePolicy = null;
+    } else {
+      const { rule, error } = normalizeDeviceRule(req.body || {});
+      if (error) return res.status(400).json({ error: "INVALID_POLICY", message: error });
+      user.devicePolicy = rule;
+    }
+    const effective = await deviceRuleForUser(user);
+    const allowed = enforceDeviceRule(user, effective, req.user?.username || "admin");
+    await user.save();
+    if (allowed) await revokeSessionsExceptDevices(user._id, allowed, "device_policy");
+
+    return res.json(deviceState(user, effective));
+  } catch (e) {
+    console.error("SAVE_USER_DEVICE_POLICY_ERROR", e);
+    return res.status(500).json({ error: "SERVER_ERROR" });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/devices/:deviceId
+ * Frees a slot under "max N" (or unbinds it under strict); sessions opened
+ * from that device are revoked.
+ */
+router.delete("/users/:userId/devices/:deviceId", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: "NOT_FOUND" });
+
+    const { deviceId } = req.params;
+    if (!removeDevice(user, deviceId, req.user?.username || "admin")) {
+      return res.status(404).json({ error: "DEVICE_NOT_FOUND" });
+    }
+    await user.save();
+    await revokeDeviceSessions(user._id, deviceId, "device_removed");
+
+    return res.json(deviceState(user, await deviceRuleForUser(user)));
+  } catch (e) {
+    console.error("REMOVE_DEVICE_ERROR", e);
+    return res.status(500).json({ error: "SERVER_ERROR" });
+  }
+});
+
 /**
  * POST /api/admin/candidates/:userId/reset-device
+ * Forgets every device of the account (any role whose device policy is not "off").
  */
 router.post(
   "/candidates/:userId/reset-device",
@@ -16,21 +170,16 @@ router.post(
   async (req, res) => {
     try {
       const { userId } = req.params;
-      const user = await User.findById(userId);
+      const user = await findUser(userId);
       if (!user) return res.status(404).json({ error: "NOT_FOUND" });
-      if (user.role !== "candidate")
-        return res.status(400).json({ error: "NOT_CANDIDATE" });
-
-      if (user.deviceIdBound) {
-        user.deviceHistory.push({
-          deviceId: user.deviceIdBound,
-          action: "RESET",
-          by: req.user?.username || "admin",
-        });
-      }
-      user.deviceIdBound = null;
-      user.deviceBoundAt = null;
+
+      const rule = await deviceRuleForUser(user);
+      if (rule.mode === "off")
+        return res.status(400).json({ error: "DEVICE_POLICY_OFF" });
+
+      resetDevices(user, req.user?.username || "admin");
       await user.save();
+      await revokeUserTokens(user._id, "device_reset");
 
       return res.json({ ok: true });
     } catch (e) {
@@ -0,0 +1,111 @@
+// routes/admin.imports.js
+import { Router } from 'express';
+import multer from 'multer';
+import { auth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { getVoterModel, listVoterDatabases } from '../models/Voter.js';
+import { getFieldProfile } from '../lib/fieldProfiles.js';
+import { ensureRecommendedIndexesInBackground } from '../lib/voterIndexes.js';
+import {
+  importVoterRows,
+  normalizeMapping,
+  parseSheet,
+  validateImportCollection,
+} from '../lib/voterImport.js';
+
+const router = Router();
+
+const MAX_UPLOAD_MB = parseInt(process.env.VOTER_IMPORT_MAX_MB || '25', 10);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+});
+
+/** Run multer and turn its errors into JSON responses */
+function acceptSingleFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File is larger than ${MAX_UPLOAD_MB} MB.` });
+    }
+    return res.status(400).json({ error: err.message || 'Invalid upload' });
+  });
+}
+
+/**
+ * POST /api/admin/databases/import
+ * multipart/form-data:
+ *   file        CSV or XLSX (first sheet, first row = headers)
+ *   databaseId  target collection (new or existing master roll)
+ *   mapping     JSON { "<column header>": "<field>" }, field = name | epic | mobile | booth | any path
+ *   mode?       upsert (default when epic is mapped: match by EPIC) | insert
+ *   dryRun?     "true" to validate only
+ * Returns the per-row error report; invalid rows are skipped.
+ */
+router.post(
+  '/databases/import',
+  auth,
+  requireRole('admin'),
+  acceptSingleFile,
+  async (req, res) => {
+    try {
+      if (!req.file || !req.file.buffer?.length) {
+        return res.status(400).json({ error: 'file is required (CSV or XLSX).' });
+      }
+
+      const target = validateImportCollection(req.body?.databaseId);
+      if (target.error) return res.status(400).json({ error: target.error });
+      const { databaseId } = target;
+
+      let sheet;
+      try {
+        sheet = await parseSheet(req.file.buffer, {
+          filename: req.file.originalname,
+          mimetype: req.file.mimetype,
+        });
+      } catch (e) {
+        console.error('IMPORT_PARSE_ERROR', e);
+        return res.status(400).json({ error: 'Could not read the file as CSV or XLSX.' });
+      }
+      if (!sheet.rows.length) return res.status(400).json({ error: 'The file has no data rows.' });
+
+      const { mapping, error } = normalizeMapping(req.body?.mapping, sheet.headers);
+      if (error) return res.status(400).json({ error, headers: sheet.headers });
+
+      const epicMapped = mapping.some((m) => m.field === 'epic');
+      const mode = req.body?.mode === 'insert' || !epicMapped ? 'insert' : 'upsert';
+      const dryRun = String(req.body?.dryRun || '').toLowerCase() === 'true';
+
+      const existing = await listVoterDatabases();
+      const created = !existing.some((db) => db.id === databaseId);
+
+      const profile = await getFieldProfile(databaseId);
+      const report = await importVoterRows(getVoterModel(databaseId), sheet.rows, {
+        mapping,
+        profile,
+        mode,
+        dryRun,
+      });
+
+      if (!dryRun && report.valid > 0) {
+        ensureRecommendedIndexesInBackground(databaseId);
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        ok: true,
+        databaseId,
+        created: created && !dryRun && report.valid > 0,
+        mode,
+        dryRun,
+        headers: sheet.headers,
+        ...report,
+      });
+    } catch (e) {
+      console.error('ADMIN_IMPORT_VOTERS_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+export default router;
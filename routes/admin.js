@@ -1,6 +1,7 @@
 // server/routes/admin.js
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import { auth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
@@ -8,8 +9,57 @@ import {
   listVoterDatabases,
   cloneVoterCollection,
   dropVoterCollection,
+  getVoterModel,
+  resolveCloneMaster,
 } from '../models/Voter.js';
 import Party from "../models/Party.js";   // ⬅️ add on top
+import {
+  getFieldProfile,
+  normalizeProfileFields,
+  saveFieldProfile,
+  deleteFieldProfile,
+  PROFILE_FIELDS,
+} from '../lib/fieldProfiles.js';
+import { rebuildSearchFields } from '../lib/searchFields.js';
+import {
+  getWritePolicy,
+  normalizeWritePolicy,
+  saveWritePolicy,
+  deleteWritePolicy,
+  WRITE_ROLES,
+  RULE_TYPES,
+  RULE_FORMATS,
+} from '../lib/writePolicy.js';
+import { getRebaseState, startRebase } from '../lib/cloneRebase.js';
+import {
+  DIFF_CSV_COLUMNS,
+  DIFF_TYPES,
+  MATCH_MODES,
+  diffCsvRows,
+  diffPage,
+  diffSummary,
+} from '../lib/collectionDiff.js';
+import { streamVoters } from '../lib/voterStream.js';
+import {
+  getTombstoneRetentionDays,
+  setTombstoneRetentionDays,
+  purgeExpiredTombstones,
+} from '../lib/tombstones.js';
+import { listStaleDevices } from '../lib/syncCheckpoints.js';
+import { revokeUserTokens } from '../lib/authTokens.js';
+import { accountAttemptsFilter, listLoginLocks, unlockLogin } from '../lib/loginThrottle.js';
+import { getPinPolicy, normalizePinPolicy, savePinPolicy } from '../lib/pinPolicy.js';
+import { normalizeMobileNumber } from '../lib/phones.js';
+import { resetDevices } from '../lib/devicePolicy.js';
+import {
+  getIndexStatus,
+  normalizeIndexRequest,
+  createIndex,
+  dropIndex,
+  ensureRecommendedIndexes,
+  ensureRecommendedIndexesInBackground,
+  getIndexBuildState,
+} from '../lib/voterIndexes.js';
 
 
 const router = Router();
@@ -42,6 +92,8 @@ function serializeUser(user, overrides = {}) {
     deviceBoundAt: plain.deviceBoundAt || null,
     enabled:
       typeof plain.enabled === 'boolean' ? plain.enabled : true,
+    mobile: plain.mobile || null,
+    devicePolicy: plain.devicePolicy || null,
 
     // 🔹 Political party info
     partyId: plain.partyId || null,
@@ -55,6 +107,14 @@ function serializeUser(user, overrides = {}) {
   return { ...base, ...overrides };
 }
 
+// The access token carries role and allowedDatabaseIds (middleware/auth.js
+// trusts them), so changing either ends the user's sessions.
+async function revokeOnAccessChange(before, after) {
+  const dbs = (u) => (u.allowedDatabaseIds || []).map(String).sort().join(',');
+  if (before.role !== after.role) await revokeUserTokens(after._id, 'role_changed');
+  else if (dbs(before) !== dbs(after)) await revokeUserTokens(after._id, 'databases_changed');
+}
+
 /** Get list of voter DBs to assign (only master DBs, no per-user clones) */
 router.get(
   '/databases',
@@ -68,7 +128,12 @@ router.get(
         const id = String(db.id || db.collection || '');
         return !id.startsWith('u_');
       });
-      res.json({ databases: filtered });
+      res.json({
+        databases: filtered.map((db) => ({
+          ...db,
+          indexBuild: getIndexBuildState(db.id).state,
+        })),
+      });
     } catch (e) {
       console.error('ADMIN_DATABASES_ERROR', e);
       // return an empty array instead of 500 to avoid blocking the UI
@@ -77,6 +142,612 @@ router.get(
   }
 );
 
+/* ------------------------- Field-mapping profiles ------------------------ */
+
+function cleanDatabaseParam(id) {
+  const value = typeof id === 'string' ? id.trim() : '';
+  if (!value || value.startsWith('system.') || value.includes('\0')) return '';
+  return value;
+}
+
+/** Effective field profile for a voter collection (stored or default) */
+router.get(
+  '/databases/:id/field-profile',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const profile = await getFieldProfile(databaseId);
+      res.json({ profile, availableFields: PROFILE_FIELDS });
+    } catch (e) {
+      console.error('ADMIN_GET_FIELD_PROFILE_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Create / replace the field profile of a voter collection
+ * Body: { fields: { name: ['__raw.नाव'], epic: ['__raw.कार्ड नं'], ... } }
+ * Fields left out keep using the built-in defaults.
+ * After changing name paths, run .../search-fields/rebuild to refresh search keys.
+ */
+router.put(
+  '/databases/:id/field-profile',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const { fields, error } = normalizeProfileFields(req.body?.fields);
+      if (error) return res.status(400).json({ error });
+
+      await saveFieldProfile(databaseId, fields, req.user?.username || req.user?.id || 'admin');
+      const profile = await getFieldProfile(databaseId);
+      res.json({ profile });
+    } catch (e) {
+      console.error('ADMIN_SAVE_FIELD_PROFILE_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Remove a stored profile (collection falls back to defaults / its master) */
+router.delete(
+  '/databases/:id/field-profile',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const removed = await deleteFieldProfile(databaseId);
+      if (!removed) return res.status(404).json({ error: 'Field profile not found' });
+
+      const profile = await getFieldProfile(databaseId);
+      res.json({ ok: true, profile });
+    } catch (e) {
+      console.error('ADMIN_DELETE_FIELD_PROFILE_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* ------------------------------ Write policy ------------------------------ */
+
+/** Effective write policy of a voter collection (stored, inherited from its master, or default) */
+router.get(
+  '/databases/:id/write-policy',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const policy = await getWritePolicy(databaseId, await getFieldProfile(databaseId));
+      res.json({ policy, roles: WRITE_ROLES, ruleTypes: RULE_TYPES, ruleFormats: RULE_FORMATS });
+    } catch (e) {
+      console.error('ADMIN_GET_WRITE_POLICY_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Create / replace the write policy of a voter collection
+ * Body: {
+ *   roles: { volunteer: { fields: ['mobile', 'support', 'tags'], create: false, delete: false }, admin: { fields: '*', ... } },
+ *   rules: { mobile: { type: 'string', format: 'mobile' }, notes: { type: 'string', maxLength: 2000 } }
+ * }
+ * Fields are top-level names; roles and rules left out keep the defaults
+ * (an empty rule {} lifts a default one). Rules support
+ * type, format (mobile | epic), required, maxLength, pattern, enum, min, max, maxItems, items.
+ */
+router.put(
+  '/databases/:id/write-policy',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const { roles, rules, error } = normalizeWritePolicy(req.body);
+      if (error) return res.status(400).json({ error });
+
+      await saveWritePolicy(databaseId, { roles, rules }, req.user?.username || req.user?.id || 'admin');
+      const policy = await getWritePolicy(databaseId, await getFieldProfile(databaseId));
+      res.json({ policy });
+    } catch (e) {
+      console.error('ADMIN_SAVE_WRITE_POLICY_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Remove a stored write policy (collection falls back to its master / the defaults) */
+router.delete(
+  '/databases/:id/write-policy',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const removed = await deleteWritePolicy(databaseId);
+      if (!removed) return res.status(404).json({ error: 'Write policy not found' });
+
+      const policy = await getWritePolicy(databaseId, await getFieldProfile(databaseId));
+      res.json({ ok: true, policy });
+    } catch (e) {
+      console.error('ADMIN_DELETE_WRITE_POLICY_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Recompute the precomputed "__search" keys (romanized names, households) of a collection */
+router.post(
+  '/databases/:id/search-fields/rebuild',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const profile = await getFieldProfile(databaseId);
+      const result = await rebuildSearchFields(getVoterModel(databaseId), profile);
+      res.json({ ok: true, databaseId, ...result });
+    } catch (e) {
+      console.error('ADMIN_REBUILD_SEARCH_FIELDS_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* ------------------------------ Clone rebase ------------------------------ */
+
+/**
+ * Refresh a per-user clone (u_<user>_<master>) from its master roll.
+ * Body: { masterId?, protectedFields?: [field], dryRun? }
+ * New master voters are added, voters gone from the master are flagged
+ * `removedFromMaster`, and other fields follow the master unless the team
+ * edited them (history / field versions) or they are protected
+ * (default: support, tags, phones, notes and the mobile fields).
+ * The rebase runs in the background: answers 202 with its state; poll
+ * GET /databases/:id/rebase for the summary
+ * ({ added, merged, unchanged, removed, restored, skippedDeleted, keptFields, ... }).
+ */
+router.post(
+  '/databases/:id/rebase',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    const cloneId = cleanDatabaseParam(req.params.id);
+    try {
+      if (!cloneId || !cloneId.startsWith('u_')) {
+        return res.status(400).json({ error: 'Only per-user clones (u_*) can be rebased.' });
+      }
+
+      const databases = await listVoterDatabases();
+      if (!databases.some((db) => db.id === cloneId)) {
+        return res.status(404).json({ error: 'Database not found' });
+      }
+
+      const requestedMaster = cleanDatabaseParam(req.body?.masterId);
+      const masterId = requestedMaster || (await resolveCloneMaster(cloneId));
+      if (!masterId || masterId.startsWith('u_') || !databases.some((db) => db.id === masterId)) {
+        return res.status(400).json({ error: 'Could not determine the master database; pass masterId.' });
+      }
+
+      const { protectedFields } = req.body || {};
+      if (protectedFields !== undefined
+        && !(Array.isArray(protectedFields) && protectedFields.every((f) => typeof f === 'string' && f.trim()))) {
+        return res.status(400).json({ error: 'protectedFields must be an array of field names.' });
+      }
+
+      const status = startRebase(cloneId, masterId, {
+        protectedFields: protectedFields?.map((f) => f.trim()),
+        dryRun: req.body?.dryRun === true,
+        actor: {
+          id: req.user?.id ? String(req.user.id) : null,
+          username: req.user?.username || null,
+          role: req.user?.role || null,
+        },
+      });
+      if (!status) {
+        return res.status(409).json({ error: 'A rebase of this database is already running.' });
+      }
+      res.status(202).json({ ok: true, cloneId, ...status });
+    } catch (e) {
+      console.error('ADMIN_REBASE_CLONE_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/databases/:id/rebase
+ * State of the last rebase of this clone since the server started:
+ * { state: idle | running | done | failed, startedAt, finishedAt, summary, error }
+ */
+router.get(
+  '/databases/:id/rebase',
+  auth,
+  requireRole('admin'),
+  (req, res) => {
+    const cloneId = cleanDatabaseParam(req.params.id);
+    if (!cloneId || !cloneId.startsWith('u_')) {
+      return res.status(400).json({ error: 'Only per-user clones (u_*) can be rebased.' });
+    }
+    res.json({ cloneId, ...getRebaseState(cloneId) });
+  }
+);
+
+/**
+ * GET /api/admin/databases/:id/diff
+ * Compare a voter collection (usually a u_<user>_<master> clone) with another
+ * (`against`, default: the clone's master).
+ *   matchBy=id|epic|both   pair records by _id, EPIC, or _id then EPIC (default both)
+ *   type=added,removed,modified   (default all)
+ *   limit=50 (max 500), cursor=   page with nextCursor
+ *   summary=true           counts per type instead of items (scans everything)
+ *   format=csv             whole report as CSV, one row per changed field
+ * added = only in :id, removed = only in `against`; in `changes`, before is
+ * the `against` value and after the :id value (CSV: otherValue / value).
+ */
+router.get(
+  '/databases/:id/diff',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const databases = await listVoterDatabases();
+      if (!databases.some((db) => db.id === databaseId)) {
+        return res.status(404).json({ error: 'Database not found' });
+      }
+
+      const against = cleanDatabaseParam(req.query.against) || (await resolveCloneMaster(databaseId));
+      if (!against || against === databaseId || !databases.some((db) => db.id === against)) {
+        return res.status(400).json({ error: 'Pass `against` with the database to compare with.' });
+      }
+
+      const matchBy = String(req.query.matchBy || 'both');
+      if (!MATCH_MODES.includes(matchBy)) {
+        return res.status(400).json({ error: `matchBy must be one of ${MATCH_MODES.join(', ')}.` });
+      }
+
+      const types = req.query.type
+        ? String(req.query.type).split(',').map((t) => t.trim()).filter(Boolean)
+        : DIFF_TYPES;
+      if (!types.length || types.some((t) => !DIFF_TYPES.includes(t))) {
+        return res.status(400).json({ error: `type must be a list of ${DIFF_TYPES.join(', ')}.` });
+      }
+
+      if (String(req.query.format || '').toLowerCase() === 'csv') {
+        const rows = diffCsvRows(databaseId, against, { matchBy, types });
+        return streamVoters(res, rows, {
+          format: 'csv',
+          columns: DIFF_CSV_COLUMNS,
+          filename: `diff_${databaseId}_vs_${against}`.replace(/[^\w.-]+/g, '_'),
+        });
+      }
+
+      if (String(req.query.summary || '') === 'true') {
+        const counts = await diffSummary(databaseId, against, { matchBy, types });
+        return res.json({ databaseId, against, matchBy, counts });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+      let page;
+      try {
+        page = await diffPage(databaseId, against, { matchBy, types, cursor: req.query.cursor, limit });
+      } catch (e) {
+        if (e.message === 'Invalid cursor') return res.status(400).json({ error: 'Invalid cursor' });
+        throw e;
+      }
+      res.json({ databaseId, against, matchBy, ...page });
+    } catch (e) {
+      console.error('ADMIN_DIFF_DATABASES_ERROR', e);
+      if (res.headersSent) return;
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* ------------------------------ Voter indexes ----------------------------- */
+
+/** Existing indexes, recommended set (present or not) and build status */
+router.get(
+  '/databases/:id/indexes',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const status = await getIndexStatus(databaseId);
+      res.json({ databaseId, ...status });
+    } catch (e) {
+      console.error('ADMIN_LIST_INDEXES_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Create one index
+ * Body: { keys: { "EPIC": 1 }, options?: { name, unique, sparse } }
+ */
+router.post(
+  '/databases/:id/indexes',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const { spec, error } = normalizeIndexRequest(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      const name = await createIndex(databaseId, spec);
+      res.status(201).json({ ok: true, databaseId, name });
+    } catch (e) {
+      console.error('ADMIN_CREATE_INDEX_ERROR', e);
+      // Mongo rejects conflicting specs / duplicate keys for unique indexes
+      if (e?.code === 85 || e?.code === 86 || e?.code === 11000) {
+        return res.status(409).json({ error: e.message });
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** (Re)apply the recommended index set */
+router.post(
+  '/databases/:id/indexes/recommended',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const build = await ensureRecommendedIndexes(databaseId);
+      res.json({ ok: true, databaseId, build });
+    } catch (e) {
+      console.error('ADMIN_RECOMMENDED_INDEXES_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Drop an index by name (the _id index is protected) */
+router.delete(
+  '/databases/:id/indexes/:name',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const databaseId = cleanDatabaseParam(req.params.id);
+      if (!databaseId) return res.status(400).json({ error: 'Invalid database id' });
+
+      const name = String(req.params.name || '').trim();
+      if (!name) return res.status(400).json({ error: 'Index name is required' });
+      if (name === '_id_') return res.status(400).json({ error: 'The _id index cannot be dropped' });
+
+      await dropIndex(databaseId, name);
+      res.json({ ok: true, databaseId, name });
+    } catch (e) {
+      console.error('ADMIN_DROP_INDEX_ERROR', e);
+      if (e?.codeName === 'IndexNotFound' || e?.codeName === 'NamespaceNotFound') {
+        return res.status(404).json({ error: 'Index not found' });
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* ----------------------------- Sync tombstones ---------------------------- */
+
+/** How long deleted-voter tombstones are kept for offline devices */
+router.get(
+  '/sync/tombstones/settings',
+  auth,
+  requireRole('admin'),
+  async (_req, res) => {
+    try {
+      res.json({ retentionDays: await getTombstoneRetentionDays() });
+    } catch (e) {
+      console.error('ADMIN_GET_TOMBSTONE_SETTINGS_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Body: { retentionDays } (1..3650) */
+router.put(
+  '/sync/tombstones/settings',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const days = Number(req.body?.retentionDays);
+      if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        return res.status(400).json({ error: 'retentionDays must be a whole number between 1 and 3650.' });
+      }
+      await setTombstoneRetentionDays(days, req.user?.username || req.user?.id || 'admin');
+      res.json({ retentionDays: days });
+    } catch (e) {
+      console.error('ADMIN_SAVE_TOMBSTONE_SETTINGS_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Purge tombstones older than the retention window now (also runs hourly) */
+router.post(
+  '/sync/tombstones/purge',
+  auth,
+  requireRole('admin'),
+  async (_req, res) => {
+    try {
+      const result = await purgeExpiredTombstones();
+      res.json({ ok: true, ...result });
+    } catch (e) {
+      console.error('ADMIN_PURGE_TOMBSTONES_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* ------------------------------ Sync devices ------------------------------ */
+
+/**
+ * GET /api/admin/sync/devices/stale?hours=24&databaseId=
+ * Devices that have not completed a pull in the last `hours` (1..8760,
+ * default 24) or whose last push left failed changes. Each row carries the
+ * checkpoint and `reasons: ['stale' | 'push_failed']`.
+ * Candidates only see themselves and their volunteers.
+ */
+router.get(
+  '/sync/devices/stale',
+  auth,
+  requireRole('admin', 'candidate'),
+  async (req, res) => {
+    try {
+      const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+      if (!Number.isFinite(hours) || hours < 1 || hours > 8760) {
+        return res.status(400).json({ error: 'hours must be between 1 and 8760.' });
+      }
+
+      let userIds = null;
+      if (req.user?.role !== 'admin') {
+        const volunteers = await User.find({ parentUserId: req.user.id }).select('_id').lean();
+        userIds = [String(req.user.id), ...volunteers.map((u) => String(u._id))];
+      }
+
+      const databaseId = req.query.databaseId ? String(req.query.databaseId) : null;
+      const devices = await listStaleDevices({ hours, userIds, databaseId });
+      res.json({ hours, count: devices.length, devices });
+    } catch (e) {
+      console.error('ADMIN_STALE_DEVICES_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* ----------------------------- Login lockouts ----------------------------- */
+
+/**
+ * GET /api/admin/login-locks?all=true&scope=account|ip|device
+ * Accounts, IPs and devices currently locked out of /login and /pin-login.
+ * all=true also lists counters with failures that are not locked (yet).
+ */
+router.get(
+  '/login-locks',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const scope = ['account', 'ip', 'device'].includes(req.query.scope) ? req.query.scope : null;
+      const locks = await listLoginLocks({ includeCounters: req.query.all === 'true', scope });
+      res.json({ count: locks.length, locks });
+    } catch (e) {
+      console.error('ADMIN_LIST_LOGIN_LOCKS_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Clear one lockout / failure counter (id from GET /login-locks) */
+router.delete(
+  '/login-locks/:id',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid id' });
+      }
+      const removed = await unlockLogin({ _id: req.params.id });
+      if (!removed) return res.status(404).json({ error: 'Lock not found' });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('ADMIN_UNLOCK_LOGIN_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/** Clear the account lockout / failure counters of a user, per device included */
+router.post(
+  '/users/:id/unlock-login',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).select('username').lean();
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      const removed = await unlockLogin(accountAttemptsFilter(user.username));
+      res.json({ ok: true, cleared: removed > 0 });
+    } catch (e) {
+      console.error('ADMIN_UNLOCK_USER_LOGIN_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/* -------------------------------- PIN policy ------------------------------- */
+
+/** Current PIN policy (length, banned PINs, expiry) */
+router.get(
+  '/pin-policy',
+  auth,
+  requireRole('admin'),
+  async (_req, res) => {
+    try {
+      res.json({ policy: await getPinPolicy() });
+    } catch (e) {
+      console.error('ADMIN_GET_PIN_POLICY_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+/**
+ * Body: { minLength?, maxLength?, digitsOnly?, rejectSequences?, rejectRepeated?, bannedPins?, expiryDays? }
+ * Missing keys fall back to the defaults. Existing PINs are only affected
+ * through expiryDays; the other rules apply when a PIN is next set.
+ */
+router.put(
+  '/pin-policy',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { policy, error } = normalizePinPolicy(req.body?.policy ?? req.body);
+      if (error) return res.status(400).json({ error });
+      await savePinPolicy(policy, req.user?.username || req.user?.id || 'admin');
+      res.json({ policy });
+    } catch (e) {
+      console.error('ADMIN_SAVE_PIN_POLICY_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 // GET all political parties
 router.get("/parties", async (req, res) => {
   try {
@@ -151,6 +822,9 @@ router.post('/users', auth, requireRole('admin'), async (req, res) => {
       // 🔹 NEW: political party info coming from frontend
       partyId,
       partyName,
+
+      // optional, enables OTP login
+      mobile,
     } = req.body || {};
 
     const normalizedUsername =
@@ -177,6 +851,11 @@ router.post('/users', auth, requireRole('admin'), async (req, res) => {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
+    const normalizedMobile = mobile ? normalizeMobileNumber(mobile) : null;
+    if (mobile && !normalizedMobile) {
+      return res.status(400).json({ error: 'Invalid mobile number' });
+    }
+
     // Prevent duplicate usernames
     const existingUser = await User.findOne({
       username: normalizedUsername.toLowerCase(),
@@ -280,6 +959,7 @@ router.post('/users', auth, requireRole('admin'), async (req, res) => {
         // store party on volunteer too (same as parent candidate)
         partyId: partyId || null,
         partyName: partyName || '',
+        mobile: normalizedMobile,
       });
 
       return res.status(201).json({ user: serializeUser(user) });
@@ -301,6 +981,7 @@ router.post('/users', auth, requireRole('admin'), async (req, res) => {
       // store party for main user / candidate
       partyId: partyId || null,
       partyName: partyName || '',
+      mobile: normalizedMobile,
     });
 
     const clonedDbIds = [];
@@ -321,6 +1002,8 @@ router.post('/users', auth, requireRole('admin'), async (req, res) => {
       try {
         await cloneVoterCollection(masterId, targetId);
         clonedDbIds.push(targetId);
+        // $out does not carry indexes over; build the recommended set
+        ensureRecommendedIndexesInBackground(targetId);
       } catch (err) {
         console.error(
           'CLONE_VOTER_COLLECTION_ERROR',
@@ -442,6 +1125,10 @@ router.patch(
         });
       }
 
+      const before = await User.findById(id).select('role allowedDatabaseIds').lean();
+      if (!before)
+        return res.status(404).json({ error: 'User not found' });
+
       const user = await User.findByIdAndUpdate(
         id,
         { role: normalizedRole },
@@ -453,6 +1140,7 @@ router.patch(
       );
       if (!user)
         return res.status(404).json({ error: 'User not found' });
+      await revokeOnAccessChange(before, user);
 
       // recompute volunteerCount for this user
       const used = await User.countDocuments({
@@ -495,6 +1183,7 @@ router.patch(
       );
       if (!user)
         return res.status(404).json({ error: 'User not found' });
+      await revokeUserTokens(user._id, 'password_changed');
       res.json({ ok: true });
     } catch (e) {
       console.error('ADMIN_UPDATE_PASSWORD_ERROR', e);
@@ -503,6 +1192,28 @@ router.patch(
   }
 );
 
+/** Clear a user's PIN; they set a new one on their next password login */
+router.delete(
+  '/users/:id/pin',
+  auth,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: { pinHash: null, pinSetAt: null } },
+        { new: true, projection: 'username' }
+      );
+      if (!user)
+        return res.status(404).json({ error: 'User not found' });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('ADMIN_CLEAR_PIN_ERROR', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 /** Update allowed DB access (for existing per-user DBs – no cloning here) */
 router.patch(
   '/users/:id/databases',
@@ -525,6 +1236,10 @@ router.patch(
         // keep as-is on failure
       }
 
+      const before = await User.findById(id).select('role allowedDatabaseIds').lean();
+      if (!before)
+        return res.status(404).json({ error: 'User not found' });
+
       const user = await User.findByIdAndUpdate(
         id,
         { allowedDatabaseIds },
@@ -536,6 +1251,7 @@ router.patch(
       );
       if (!user)
         return res.status(404).json({ error: 'User not found' });
+      await revokeOnAccessChange(before, user);
 
       const used = await User.countDocuments({
         parentUserId: user._id,
@@ -587,6 +1303,10 @@ router.put('/users/:id', auth, requireRole('admin'), async (req, res) => {
       // keep as-is
     }
 
+    const before = await User.findById(id).select('role allowedDatabaseIds').lean();
+    if (!before)
+      return res.status(404).json({ error: 'User not found' });
+
     const user = await User.findByIdAndUpdate(
       id,
       { $set: { role, allowedDatabaseIds: finalDbIds } },
@@ -598,6 +1318,7 @@ router.put('/users/:id', auth, requireRole('admin'), async (req, res) => {
     );
     if (!user)
       return res.status(404).json({ error: 'User not found' });
+    await revokeOnAccessChange(before, user);
 
     const used = await User.countDocuments({
       parentUserId: user._id,
@@ -630,20 +1351,9 @@ router.patch(
       if (!user)
         return res.status(404).json({ error: 'User not found' });
 
-      if (Array.isArray(user.deviceHistory)) {
-        user.deviceHistory.push({
-          action: 'RESET',
-          by: req.user?.id || 'admin',
-        });
-      } else {
-        user.deviceHistory = [
-          { action: 'RESET', by: req.user?.id || 'admin' },
-        ];
-      }
-
-      user.deviceIdBound = null;
-      user.deviceBoundAt = null;
+      resetDevices(user, req.user?.id || 'admin');
       await user.save();
+      await revokeUserTokens(user._id, 'device_reset');
 
       const used = await User.countDocuments({
         parentUserId: user._id,
@@ -685,11 +1395,20 @@ router.patch(
       await user.save();
 
       // If this is a parent, propagate enabled flag to its volunteers
+      let volunteerIds = [];
       if (user.role !== 'volunteer') {
         await User.updateMany(
           { parentUserId: user._id },
           { $set: { enabled: flag } }
         );
+        if (!flag) {
+          volunteerIds = await User.find({ parentUserId: user._id }).distinct('_id');
+        }
+      }
+
+      // Disabled accounts lose their tokens right away
+      if (!flag) {
+        await revokeUserTokens([user._id, ...volunteerIds], 'user_disabled');
       }
 
       const used = await User.countDocuments({
@@ -706,7 +1425,7 @@ router.patch(
   }
 );
 
-/** Update avatar / volunteer limit (profile config) */
+/** Update avatar / volunteer limit / mobile (profile config) */
 router.patch(
   '/users/:id/profile',
   auth,
@@ -714,7 +1433,7 @@ router.patch(
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { avatarUrl, maxVolunteers } = req.body || {};
+      const { avatarUrl, maxVolunteers, mobile } = req.body || {};
 
       const user = await User.findById(id);
       if (!user)
@@ -725,6 +1444,15 @@ router.patch(
         user.avatarUrl = avatarUrl || null;
       }
 
+      // mobile for OTP login (null / '' removes it)
+      if (mobile !== undefined) {
+        const normalized = mobile ? normalizeMobileNumber(mobile) : null;
+        if (mobile && !normalized) {
+          return res.status(400).json({ error: 'Invalid mobile number' });
+        }
+        user.mobile = normalized;
+      }
+
       // volunteer limit update (only for non-volunteer parent accounts)
       if (maxVolunteers !== undefined && user.role !== 'volunteer') {
         const n = Number(maxVolunteers);
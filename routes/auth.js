@@ -1,10 +1,24 @@
 // server/routes/auth.js
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { listVoterDatabases } from '../models/Voter.js';
 import { getDeviceIdFromHeaders } from '../lib/deviceId.js';
+import { issueTokens, revokeSession, rotateRefreshToken } from '../lib/authTokens.js';
+import {
+  checkLoginAllowed,
+  loginAttemptKeys,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  reserveLoginAttempt,
+  sendLoginBlocked,
+} from '../lib/loginThrottle.js';
+import { assignPin, getPinPolicy, pinPolicyViolation, pinStatus } from '../lib/pinPolicy.js';
+import { otpTiming, requestOtp, verifyOtp } from '../lib/loginOtp.js';
+import { smsConfigured } from '../lib/sms.js';
+import { applyLoginDevice, deviceRuleForUser, knownDeviceIds } from '../lib/devicePolicy.js';
+import { auth } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -49,21 +63,119 @@ async function buildDatabasesForUser(user) {
   return { allowed, databases };
 }
 
+/**
+ * Failed-attempt counters for one login try. A device the account already
+ * logged in from is exempt from the IP lockout (see loginAttemptKeys).
+ */
+function loginAttempt(req, { username, user, deviceId, method }) {
+  const knownDevice = !!(user && deviceId && knownDeviceIds(user).includes(String(deviceId)));
+  return {
+    keys: loginAttemptKeys({ username, ip: req.ip, deviceId, knownDevice }),
+    meta: { ip: req.ip, deviceId, method },
+  };
+}
+
+/**
+ * Count the attempt before the credentials are checked (see
+ * reserveLoginAttempt). Returns the LOGIN_LOCKED / LOGIN_THROTTLED block, or
+ * null with the attempt pending until rejectLogin / completeLogin settle it.
+ */
+async function reserveAttempt(attempt) {
+  const block = await reserveLoginAttempt(attempt.keys, attempt.meta);
+  attempt.pending = !block;
+  return block;
+}
+
+/** Give back a pending attempt that ended before its credentials were judged */
+async function releaseAttempt(attempt) {
+  if (!attempt?.pending) return;
+  attempt.pending = false;
+  try {
+    await releaseLoginAttempt(attempt.keys);
+  } catch (e) {
+    console.error('LOGIN_RELEASE_ERROR', e);
+  }
+}
+
+/**
+ * Settle the attempt as failed and answer with `body` (400), or with 429
+ * LOGIN_LOCKED when this failure triggered a lockout.
+ */
+async function rejectLogin(res, attempt, body) {
+  attempt.pending = false;
+  const lock = await recordLoginFailure(attempt.keys);
+  if (lock) return sendLoginBlocked(res, lock);
+  return res.status(400).json(body);
+}
+
 function chooseActiveDatabaseId(allowed) {
   if (!allowed || !allowed.length) return null;
   if (allowed.length === 1) return allowed[0];
   return allowed[0];
 }
 
+// deviceHistory actions and error wording per login method
+const LOGIN_METHODS = {
+  password: { bound: 'BOUND_LOGIN', track: 'VOLUNTEER_LOGIN', switch: 'VOLUNTEER_DEVICE_SWITCH', label: 'account activation' },
+  pin: { bound: 'BOUND_PIN_LOGIN', track: 'VOLUNTEER_PIN_LOGIN', switch: 'VOLUNTEER_DEVICE_SWITCH_PIN', label: 'PIN login' },
+  otp: { bound: 'BOUND_OTP_LOGIN', track: 'VOLUNTEER_OTP_LOGIN', switch: 'VOLUNTEER_DEVICE_SWITCH_OTP', label: 'OTP login' },
+};
+
+/**
+ * Device binding shared by every login method, per the user's device policy
+ * (lib/devicePolicy.js). Updates `user` (caller saves) and returns
+ * { status, body } to refuse the login, else null.
+ */
+async function bindLoginDevice(user, deviceId, method) {
+  const rule = await deviceRuleForUser(user);
+  return applyLoginDevice(user, deviceId, rule, LOGIN_METHODS[method]);
+}
+
+/** Save the user, start a session and build the login response */
+async function completeLogin(req, user, { deviceId, method, attempt, extra = {} }) {
+  const { allowed, databases } = await buildDatabasesForUser(user);
+  const activeDatabaseId = chooseActiveDatabaseId(allowed);
+
+  await user.save();
+
+  const tokens = await issueTokens(user, { deviceId, method, req });
+  attempt.pending = false;
+  await recordLoginSuccess(attempt.keys);
+
+  return {
+    ...tokens,
+    user: buildUserPayload(user),
+    activeDatabaseId,
+    databases,
+    ...extra,
+  };
+}
+
 /**
  * POST /api/auth/login
  * Body: { username, password, userType?, deviceId?, pin? }
  * Header (optional): X-Device-Id
  *
  * This is the "full" login using username + password.
- * If "pin" is provided and user.pinHash is empty, we store the PIN hash.
+ * If "pin" is provided and no PIN is set (or it expired), we store its hash
+ * when it meets the PIN policy; otherwise `pinRejected: { error, message }`
+ * is added and login still succeeds. `pin: { set, expired, expiresAt }`
+ * tells the app whether to ask for a new PIN.
+ *
+ * Returns a short-lived access `token` (`expiresIn` seconds) and a
+ * `refreshToken` for POST /api/auth/refresh.
+ *
+ * Device binding follows the user's device policy (strict / max N refuse
+ * other devices with 423 ACCOUNT_LOCKED_DIFFERENT_DEVICE / DEVICE_LIMIT_REACHED).
+ *
+ * Failed attempts are counted per account, IP and account + device: after a
+ * few, the next attempt must wait (429 LOGIN_THROTTLED), then login is locked
+ * for a while (429 LOGIN_LOCKED). Both carry `retryAfter` seconds and a
+ * Retry-After header. A device the account already logged in from is not
+ * held back by an IP lockout.
  */
 router.post('/login', async (req, res) => {
+  let attempt = null;
   try {
     const {
       username,
@@ -89,8 +201,12 @@ router.post('/login', async (req, res) => {
       { locale: 'en', strength: 2 }
     );
 
+    attempt = loginAttempt(req, { username: usernameCandidate, user, deviceId, method: 'password' });
+    const blocked = await reserveAttempt(attempt);
+    if (blocked) return sendLoginBlocked(res, blocked);
+
     if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+      return rejectLogin(res, attempt, { error: 'Invalid credentials' });
     }
 
     // Block disabled users
@@ -100,103 +216,36 @@ router.post('/login', async (req, res) => {
 
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+      return rejectLogin(res, attempt, { error: 'Invalid credentials' });
     }
 
-    // ✅ Device binding for CANDIDATES (strict: lock to first device)
-    if (user.role === 'candidate') {
-      if (!deviceId || typeof deviceId !== 'string' || deviceId.length < 6) {
-        return res.status(400).json({
-          error: 'Missing or invalid device ID',
-          message: 'Device ID required for candidate activation.',
-        });
-      }
-
-      if (user.deviceIdBound && user.deviceIdBound !== deviceId) {
-        return res.status(423).json({
-          error: 'ACCOUNT_LOCKED_DIFFERENT_DEVICE',
-          message:
-            'This candidate account is already activated on another device. Ask an admin to reset your device binding.',
-          boundAt: user.deviceBoundAt,
-        });
-      }
-
-      if (!user.deviceIdBound) {
-        user.deviceIdBound = deviceId;
-        user.deviceBoundAt = new Date();
-        if (!Array.isArray(user.deviceHistory)) {
-          user.deviceHistory = [];
-        }
-        user.deviceHistory.push({
-          deviceId,
-          action: 'BOUND_LOGIN',
-          by: 'system',
-        });
-      }
-    }
-
-    // ✅ Device tracking for VOLUNTEERS (lenient: track, but do NOT block login)
-    if (user.role === 'volunteer') {
-      if (deviceId && typeof deviceId === 'string' && deviceId.length >= 6) {
-        if (!Array.isArray(user.deviceHistory)) {
-          user.deviceHistory = [];
-        }
-
-        // if previously bound to a different device, log the switch but allow it
-        if (user.deviceIdBound && user.deviceIdBound !== deviceId) {
-          user.deviceHistory.push({
-            deviceId: user.deviceIdBound,
-            action: 'VOLUNTEER_DEVICE_SWITCH',
-            by: 'system',
-          });
+    const bindError = await bindLoginDevice(user, deviceId, 'password');
+    if (bindError) return res.status(bindError.status).json(bindError.body);
+
+    // If a PIN is provided and none is set (or it expired), store its hash
+    const pinPolicy = await getPinPolicy();
+    let pinRejected = null;
+    if (pin && (!user.pinHash || pinStatus(user, pinPolicy).expired)) {
+      const violation = pinPolicyViolation(String(pin), pinPolicy);
+      if (violation) {
+        pinRejected = { error: 'PIN_POLICY', message: violation };
+      } else {
+        try {
+          await assignPin(user, String(pin));
+        } catch (e) {
+          console.error('PIN_HASH_ERROR', e);
         }
-
-        user.deviceIdBound = deviceId;
-        user.deviceBoundAt = new Date();
-        user.deviceHistory.push({
-          deviceId,
-          action: 'VOLUNTEER_LOGIN',
-          by: 'system',
-        });
-      }
-    }
-
-    // If a PIN is provided on first login, store its hash (once)
-    if (pin && typeof pin === 'string' && pin.length >= 2 && !user.pinHash) {
-      try {
-        user.pinHash = await bcrypt.hash(pin, 10);
-      } catch (e) {
-        console.error('PIN_HASH_ERROR', e);
       }
     }
 
-    const { allowed, databases } = await buildDatabasesForUser(user);
-    const activeDatabaseId = chooseActiveDatabaseId(allowed);
-
-    const payload = {
-      id: user._id,
-      role: user.role,
-      username: user.username || null,
-      allowedDatabaseIds: allowed,
-      deviceIdBound: user.deviceIdBound || null,
-    };
-    if (deviceId) payload.deviceId = deviceId;
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '30d', // can adjust if you like
-    });
-
-    await user.save();
-
-    return res.json({
-      token,
-      user: buildUserPayload(user),
-      activeDatabaseId,
-      databases,
-    });
+    const extra = { pin: pinStatus(user, pinPolicy) };
+    if (pinRejected) extra.pinRejected = pinRejected;
+    return res.json(await completeLogin(req, user, { deviceId, method: 'password', attempt, extra }));
   } catch (e) {
     console.error('LOGIN_ERROR', e);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    await releaseAttempt(attempt);
   }
 });
 
@@ -207,8 +256,12 @@ router.post('/login', async (req, res) => {
  *
  * This is used by the app when token is missing/expired but
  * device has been activated and user wants to login with PIN only.
+ * Returns the same tokens as /login and shares its failed-attempt limits.
+ * An expired PIN (see the PIN policy) gets 400 PIN_EXPIRED, a correct PIN
+ * that breaks the current policy 400 PIN_CHANGE_REQUIRED.
  */
 router.post('/pin-login', async (req, res) => {
+  let attempt = null;
   try {
     const { username, pin, deviceId: bodyDeviceId } = req.body || {};
     const headerDeviceId = getDeviceIdFromHeaders(req);
@@ -226,8 +279,13 @@ router.post('/pin-login', async (req, res) => {
     const user = await User.findOne({ username: usernameCandidate }).collation(
       { locale: 'en', strength: 2 }
     );
+
+    attempt = loginAttempt(req, { username: usernameCandidate, user, deviceId, method: 'pin' });
+    const blocked = await reserveAttempt(attempt);
+    if (blocked) return sendLoginBlocked(res, blocked);
+
     if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+      return rejectLogin(res, attempt, { error: 'Invalid credentials' });
     }
 
     // Block disabled users
@@ -245,92 +303,268 @@ router.post('/pin-login', async (req, res) => {
 
     const ok = await bcrypt.compare(pin, user.pinHash);
     if (!ok) {
-      return res.status(400).json({ error: 'Invalid PIN' });
+      return rejectLogin(res, attempt, { error: 'Invalid PIN' });
     }
 
-    // ✅ Enforce device binding for candidates (same as before)
-    if (user.role === 'candidate') {
-      if (!deviceId || typeof deviceId !== 'string' || deviceId.length < 6) {
-        return res.status(400).json({
-          error: 'Missing or invalid device ID',
-          message: 'Device ID required for candidate PIN login.',
-        });
-      }
+    const pinPolicy = await getPinPolicy();
+    if (pinStatus(user, pinPolicy).expired) {
+      return res.status(400).json({
+        error: 'PIN_EXPIRED',
+        message: 'Your PIN has expired. Please login with username & password and set a new PIN.',
+      });
+    }
+    // PINs set before the policy (or a stricter one) existed
+    const violation = pinPolicyViolation(String(pin), pinPolicy);
+    if (violation) {
+      return res.status(400).json({
+        error: 'PIN_CHANGE_REQUIRED',
+        message: 'Your PIN does not meet the current PIN rules. Please login with username & password and set a new PIN.',
+        reason: violation,
+      });
+    }
 
-      if (user.deviceIdBound && user.deviceIdBound !== deviceId) {
-        return res.status(423).json({
-          error: 'ACCOUNT_LOCKED_DIFFERENT_DEVICE',
-          message:
-            'This candidate account is already activated on another device. Ask an admin to reset your device binding.',
-          boundAt: user.deviceBoundAt,
-        });
-      }
+    const bindError = await bindLoginDevice(user, deviceId, 'pin');
+    if (bindError) return res.status(bindError.status).json(bindError.body);
 
-      if (!user.deviceIdBound) {
-        user.deviceIdBound = deviceId;
-        user.deviceBoundAt = new Date();
-        if (!Array.isArray(user.deviceHistory)) {
-          user.deviceHistory = [];
-        }
-        user.deviceHistory.push({
-          deviceId,
-          action: 'BOUND_PIN_LOGIN',
-          by: 'system',
-        });
-      }
+    return res.json(await completeLogin(req, user, { deviceId, method: 'pin', attempt }));
+  } catch (e) {
+    console.error('PIN_LOGIN_ERROR', e);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    await releaseAttempt(attempt);
+  }
+});
+
+const OTP_REQUEST_MESSAGE = 'If this account has a registered mobile number, an OTP has been sent to it.';
+
+/**
+ * POST /api/auth/otp/request
+ * Body: { username }
+ * Header (optional): X-Device-Id
+ *
+ * Sends a one-time login code by SMS to the user's registered mobile. The
+ * reply is always { ok, message, expiresIn, resendAfter } (seconds), whether
+ * or not the account exists, has a mobile, or was throttled; the SMS is sent
+ * in the background. Every request from a device the account has not logged
+ * in from counts against the IP login counter, so a client gets 429
+ * LOGIN_LOCKED / LOGIN_THROTTLED after too many.
+ * 503 OTP_UNAVAILABLE when no SMS provider is configured (SMS_PROVIDER).
+ */
+router.post('/otp/request', async (req, res) => {
+  try {
+    if (!smsConfigured()) {
+      return res.status(503).json({ error: 'OTP_UNAVAILABLE', message: 'OTP login is not enabled on this server.' });
     }
 
-    // ✅ Device tracking for VOLUNTEERS on PIN login (lenient, like normal login)
-    if (user.role === 'volunteer') {
-      if (deviceId && typeof deviceId === 'string' && deviceId.length >= 6) {
-        if (!Array.isArray(user.deviceHistory)) {
-          user.deviceHistory = [];
-        }
+    const { username, deviceId: bodyDeviceId } = req.body || {};
+    const deviceId = getDeviceIdFromHeaders(req) || bodyDeviceId || null;
 
-        if (user.deviceIdBound && user.deviceIdBound !== deviceId) {
-          user.deviceHistory.push({
-            deviceId: user.deviceIdBound,
-            action: 'VOLUNTEER_DEVICE_SWITCH_PIN',
-            by: 'system',
-          });
-        }
+    const usernameCandidate =
+      typeof username === 'string' && username.trim()
+        ? username.trim().toLowerCase()
+        : '';
+    if (!usernameCandidate) {
+      return res.status(400).json({ error: 'Missing username' });
+    }
 
-        user.deviceIdBound = deviceId;
-        user.deviceBoundAt = new Date();
-        user.deviceHistory.push({
-          deviceId,
-          action: 'VOLUNTEER_PIN_LOGIN',
-          by: 'system',
-        });
-      }
+    const user = await User.findOne({ username: usernameCandidate }).collation(
+      { locale: 'en', strength: 2 }
+    );
+
+    const attempt = loginAttempt(req, { username: usernameCandidate, user, deviceId, method: 'otp_request' });
+    // each request may send an SMS: count it per IP (not per account, whose
+    // counter would tell real usernames apart); known devices skip the IP counter
+    const ipKeys = attempt.keys.filter((k) => k.scope === 'ip');
+    const blocked = (await checkLoginAllowed(attempt.keys)) || (await reserveLoginAttempt(ipKeys, attempt.meta));
+    if (blocked) return sendLoginBlocked(res, blocked);
+    const lock = await recordLoginFailure(ipKeys);
+    if (lock) return sendLoginBlocked(res, lock);
+    if (user && user.enabled !== false && user.mobile) {
+      requestOtp(user, { deviceId, ip: req.ip })
+        .then((result) => {
+          if (result.error) console.warn('OTP_REQUEST_SKIPPED', String(user._id), result.error);
+        })
+        .catch((e) => console.error('OTP_REQUEST_ERROR', e));
     }
 
-    const { allowed, databases } = await buildDatabasesForUser(user);
-    const activeDatabaseId = chooseActiveDatabaseId(allowed);
+    return res.json({ ok: true, message: OTP_REQUEST_MESSAGE, ...otpTiming() });
+  } catch (e) {
+    console.error('OTP_REQUEST_ERROR', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/auth/otp/verify
+ * Body: { username, otp, deviceId? }
+ * Header (optional): X-Device-Id
+ *
+ * Logs in with the code from /otp/request: same device binding, tokens and
+ * response as /login. Wrong codes count toward the login lockout; errors are
+ * 400 OTP_INVALID (with attemptsLeft), OTP_EXPIRED, OTP_ATTEMPTS_EXCEEDED or
+ * OTP_NOT_REQUESTED (request a new code for the last three).
+ */
+router.post('/otp/verify', async (req, res) => {
+  let attempt = null;
+  try {
+    const { username, otp, deviceId: bodyDeviceId } = req.body || {};
+    const deviceId = getDeviceIdFromHeaders(req) || bodyDeviceId || null;
 
-    const payload = {
-      id: user._id,
-      role: user.role,
-      username: user.username || null,
-      allowedDatabaseIds: allowed,
-      deviceIdBound: user.deviceIdBound || null,
-    };
-    if (deviceId) payload.deviceId = deviceId;
+    const usernameCandidate =
+      typeof username === 'string' && username.trim()
+        ? username.trim().toLowerCase()
+        : '';
+    if (!usernameCandidate || !otp) {
+      return res.status(400).json({ error: 'Missing credentials' });
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '30d',
-    });
+    const user = await User.findOne({ username: usernameCandidate }).collation(
+      { locale: 'en', strength: 2 }
+    );
+
+    attempt = loginAttempt(req, { username: usernameCandidate, user, deviceId, method: 'otp' });
+    const blocked = await reserveAttempt(attempt);
+    if (blocked) return sendLoginBlocked(res, blocked);
+
+    if (!user) {
+      return rejectLogin(res, attempt, { error: 'OTP_NOT_REQUESTED' });
+    }
+
+    // Block disabled users
+    if (user.enabled === false) {
+      return res.status(403).json({ error: 'User disabled by admin' });
+    }
+
+    const result = await verifyOtp(user, String(otp));
+    if (result.error) {
+      return rejectLogin(res, attempt, result);
+    }
 
+    const bindError = await bindLoginDevice(user, deviceId, 'otp');
+    if (bindError) return res.status(bindError.status).json(bindError.body);
+
+    return res.json(await completeLogin(req, user, { deviceId, method: 'otp', attempt }));
+  } catch (e) {
+    console.error('OTP_VERIFY_ERROR', e);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    await releaseAttempt(attempt);
+  }
+});
+
+/**
+ * GET /api/auth/pin-policy
+ * PIN rules so the app can validate before submitting:
+ * { minLength, maxLength, digitsOnly, rejectSequences, rejectRepeated, bannedPins, expiryDays }
+ */
+router.get('/pin-policy', async (_req, res) => {
+  try {
+    res.json({ policy: await getPinPolicy() });
+  } catch (e) {
+    console.error('PIN_POLICY_ERROR', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/auth/pin
+ * Body: { oldPin?, newPin }
+ *
+ * Sets or changes the current user's PIN. `oldPin` is required when a PIN is
+ * set; wrong guesses count toward the login lockout like /pin-login.
+ * 400 PIN_POLICY when the new PIN breaks the policy.
+ */
+router.post('/pin', auth, async (req, res) => {
+  let attempt = null;
+  try {
+    const { oldPin, newPin } = req.body || {};
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const deviceId = req.deviceId || null;
+    attempt = loginAttempt(req, { username: user.username, user, deviceId, method: 'pin_change' });
+
+    if (user.pinHash) {
+      if (!oldPin) {
+        return res.status(400).json({ error: 'Current PIN is required' });
+      }
+      const blocked = await reserveAttempt(attempt);
+      if (blocked) return sendLoginBlocked(res, blocked);
+
+      const ok = await bcrypt.compare(String(oldPin), user.pinHash);
+      if (!ok) {
+        return rejectLogin(res, attempt, { error: 'Invalid PIN' });
+      }
+      attempt.pending = false;
+      await recordLoginSuccess(attempt.keys);
+    }
+
+    const policy = await getPinPolicy();
+    const pin = newPin === undefined || newPin === null ? '' : String(newPin);
+    const violation = pinPolicyViolation(pin, policy);
+    if (violation) {
+      return res.status(400).json({ error: 'PIN_POLICY', message: violation });
+    }
+    if (user.pinHash && (await bcrypt.compare(pin, user.pinHash))) {
+      return res.status(400).json({ error: 'PIN_POLICY', message: 'New PIN must be different from the current PIN.' });
+    }
+
+    await assignPin(user, pin);
     await user.save();
 
+    return res.json({ ok: true, pin: pinStatus(user, policy) });
+  } catch (e) {
+    console.error('PIN_CHANGE_ERROR', e);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    await releaseAttempt(attempt);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Header: X-Device-Id (required when the user's device rule is strict or max)
+ *
+ * Returns a new { token, expiresIn, refreshToken, refreshExpiresAt }; the
+ * refresh token sent in is used up. Sending an already used refresh token
+ * revokes the whole session (REFRESH_REUSED).
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Missing refresh token' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, { deviceId: req.deviceId || null });
+    if (result.error) {
+      return res.status(result.status || 401).json({ error: result.error });
+    }
+
     return res.json({
-      token,
-      user: buildUserPayload(user),
-      activeDatabaseId,
-      databases,
+      ...result.tokens,
+      user: buildUserPayload(result.user),
     });
   } catch (e) {
-    console.error('PIN_LOGIN_ERROR', e);
+    console.error('REFRESH_ERROR', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the current session: its access token stops working at once and
+ * its refresh token can no longer be used.
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.user?.sid) {
+      await revokeSession(req.user.sid, 'logout');
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('LOGOUT_ERROR', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -8,7 +8,7 @@ const router = Router();
 router.get(
   '/data',
   auth,                 // verifies JWT
-  requireSameDevice,    // ensures same device for candidate
+  requireSameDevice,    // ensures an allowed device (device policy)
   requireRole('candidate'), // ensures correct role
   (req, res) => {
     res.json({
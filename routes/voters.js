@@ -1,8 +1,45 @@
 // server/routes/voters.js
 import { Router } from 'express';
 import { resolveVoterModelForRequest } from '../lib/voterDatabases.js';
+import {
+  PHONES_FIELD,
+  addPhone,
+  addPrimaryPhone,
+  normalizeMobileNumber,
+  phoneSearchDigits,
+  primaryPhone,
+  removePhone,
+  setPrimaryPhone,
+  syncMobileWrite,
+  updatePhone,
+  voterPhones,
+} from '../lib/phones.js';
+import {
+  coalescePathsExpr,
+  getFieldProfile,
+  profilePaths,
+  profileWritePath,
+  readProfileValues,
+  searchPaths,
+} from '../lib/fieldProfiles.js';
+import { SEARCH_ROOT, refreshSearchFields } from '../lib/searchFields.js';
+import { fuzzySearchVoters } from '../lib/fuzzySearch.js';
+import { householdParts } from '../lib/households.js';
+import { buildStatsPipeline, resolveGroupPaths, summarizeStats } from '../lib/voterStats.js';
+import { fieldVersionsUpdate, isReservedField } from '../lib/fieldVersions.js';
+import { listTombstones, tombstoneCutoff } from '../lib/tombstones.js';
+import { applySyncChange } from '../lib/voterSync.js';
+import { claimChange, findChange, finishChange, journalResult, normalizeChangeId } from '../lib/syncJournal.js';
+import { recordPull, recordPush } from '../lib/syncCheckpoints.js';
+import { listHistory, recordHistory, rollbackVoter } from '../lib/voterHistory.js';
+import { checkWrite, getWritePolicy, mobileFields, normalizeFieldValue } from '../lib/writePolicy.js';
+import { resolveRequestDeviceId } from '../lib/deviceId.js';
+import { SUPPORT_HISTORY_LIMIT, resolveSupportChange, supportFilterConditions } from '../lib/support.js';
+import { parseCsvColumns, parseStreamFormat, streamVoters } from '../lib/voterStream.js';
+import { buildKeysetQuery, decodeCursor, encodeCursor, newWatermark } from '../lib/syncCursor.js';
+import { hasDevanagari, latinToDevanagariPattern, looseLatinKey } from '../lib/transliterate.js';
 import { auth } from '../middleware/auth.js';
-import { requireAuth } from '../middleware/roles.js';
+import { requireAuth, requireRole } from '../middleware/roles.js';
 
 const router = Router();
 
@@ -26,14 +63,6 @@ function parseFilters(qs) {
   return filters;
 }
 
-function normalizeMobileNumber(value) {
-  if (value === undefined || value === null) return null;
-  const digits = String(value).replace(/[^\d]/g, '');
-  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
-  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
-  return digits.length === 10 ? digits : null;
-}
-
 function pickMobileCandidate(body = {}) {
   const candidates = ['mobile', 'Mobile', 'phone', 'Phone', 'contact', 'Contact'];
   for (const key of candidates) {
@@ -46,21 +75,14 @@ function pickMobileCandidate(body = {}) {
   return null;
 }
 
-function buildMobileUpdate(normalizedMobile) {
+function buildMobileUpdate(normalizedMobile, profile) {
   if (!normalizedMobile) return null;
-  return {
-    mobile: normalizedMobile,
-    Mobile: normalizedMobile,
-    phone: normalizedMobile,
-    Phone: normalizedMobile,
-    contact: normalizedMobile,
-    Contact: normalizedMobile,
-    // common raw variants we’ve seen in imports
-    '__raw.Mobile': normalizedMobile,
-    '__raw.Mobile No': normalizedMobile,
-    '__raw.मोबाइल': normalizedMobile,
-    '__raw.Contact': normalizedMobile,
-  };
+  // write into every mobile path the collection's field profile knows about
+  const update = {};
+  for (const path of profilePaths(profile, 'mobile')) {
+    update[path] = normalizedMobile;
+  }
+  return update;
 }
 
 function safeProjectionFromCSV(csv) {
@@ -76,50 +98,233 @@ function safeProjectionFromCSV(csv) {
   return out;
 }
 
-function buildSearchQuery(q, filters) {
+function buildSearchQuery(q, filters, profile, qs = {}) {
   const query = { ...filters };
+  const support = supportFilterConditions(qs);
+  if (support.length) query.$and = support;
   if (!q) return query;
 
   const rx = new RegExp(esc(q), 'i');
-  query.$or = [
-    // canonical
-    { name: rx }, { Name: rx },
-    { voter_id: rx }, { EPIC: rx },
-    // phones
-    { mobile: rx }, { Mobile: rx },
-    { phone: rx },  { Phone: rx },
-    { contact: rx }, { Contact: rx },
-    // raw fallbacks (NOTE: do NOT use "__raw['…']" form; dot-path is correct)
-    { '__raw.Name': rx },
-    { '__raw.नाव': rx },
-    { '__raw.नाव + मोबा/ ईमेल नं.': rx },
-    { '__raw.EPIC': rx },
-    { '__raw.voter_id': rx },
-    { '__raw.कार्ड नं': rx },
-    { '__raw.Mobile': rx },
-    { '__raw.Mobile No': rx },
-    { '__raw.मोबाइल': rx },
-    { '__raw.Contact': rx },
-    { Booth: rx }, { '__raw.Booth': rx },
-  ];
+  // name / EPIC / phone / booth paths come from the collection's field profile
+  // (NOTE: raw columns are dot-paths like "__raw.नाव", never "__raw['…']")
+  query.$or = searchPaths(profile).map((path) => ({ [path]: rx }));
+
+  // every number of the structured phone list, whatever formatting was typed
+  const digits = phoneSearchDigits(q);
+  if (digits) query.$or.push({ [`${PHONES_FIELD}.number`]: new RegExp(digits) });
+
+  // transliteration: both scripts meet in the romanized "__search.name" key
+  const latinKey = looseLatinKey(q);
+  if (latinKey) {
+    query.$or.push({ [`${SEARCH_ROOT}.name`]: new RegExp(esc(latinKey), 'i') });
+  }
+  // Latin query against Devanagari names (covers voters not yet re-indexed)
+  if (!hasDevanagari(q)) {
+    const pattern = latinToDevanagariPattern(q);
+    if (pattern) {
+      const devRx = new RegExp(pattern);
+      for (const path of profilePaths(profile, 'name')) {
+        query.$or.push({ [path]: devRx });
+      }
+    }
+  }
   return query;
 }
 
-async function applyMobileUpdate(VoterModel, matchQuery, body) {
+function buildEpicMatch(epic, profile) {
+  return {
+    $or: profilePaths(profile, 'epic').map((path) => ({ [path]: epic })),
+  };
+}
+
+// Device the request came from: header, body, then the one in the token
+function requestDeviceId(req) {
+  return req.deviceId || resolveRequestDeviceId(req, req.body?.deviceId) || req.user?.deviceId || null;
+}
+
+function requestActor(req) {
+  return {
+    id: req.user?.id ? String(req.user.id) : null,
+    username: req.user?.username || null,
+    role: req.user?.role || null,
+    deviceId: requestDeviceId(req),
+  };
+}
+
+// 403 result for a write the collection's policy does not allow
+function policyDenied(violation) {
+  return { status: 403, error: violation.message, reason: violation.reason, field: violation.field };
+}
+
+// JSON body of a { status, error, reason?, field? } result
+function errorBody({ error, reason, field }) {
+  return reason ? { error, reason, field } : { error };
+}
+
+/** Check `values` ({ topLevelField: value }) against the collection's write policy */
+async function checkPolicy(databaseId, profile, actor, values) {
+  const policy = await getWritePolicy(databaseId, profile);
+  const violation = checkWrite(policy, actor.role, { op: 'update', values });
+  return violation ? policyDenied(violation) : null;
+}
+
+/**
+ * Write a normalized mobile into every mobile path of the matched voter.
+ * audit: { databaseId, actor, source } for the history entry.
+ */
+async function applyMobileUpdate(VoterModel, matchQuery, body, profile, audit) {
   const candidate = pickMobileCandidate(body);
   if (candidate === null) return { status: 400, error: 'Mobile number is required' };
 
   const normalized = normalizeMobileNumber(candidate);
   if (!normalized) return { status: 400, error: 'Invalid mobile number' };
 
+  const before = await VoterModel.findOne(matchQuery).lean();
+  if (!before) return { status: 404, error: 'Voter not found' };
+
+  // the number also becomes the primary entry of the phone list (others are kept)
+  const now = new Date();
+  const added = addPrimaryPhone(
+    voterPhones(before, readProfileValues(before, profile, 'mobile')),
+    { number: normalized, source: audit.source },
+    audit.actor,
+    now
+  );
+  if (added.error) return { status: 400, error: added.error };
+  const { list } = added;
+
+  const denied = await checkPolicy(audit.databaseId, profile, audit.actor, {
+    ...Object.fromEntries(mobileFields(profile).map((field) => [field, normalized])),
+    [PHONES_FIELD]: list,
+  });
+  if (denied) return denied;
+
+  const mobileSet = buildMobileUpdate(normalized, profile);
   const $set = {
-    ...buildMobileUpdate(normalized),
-    updatedAt: new Date(),
+    ...mobileSet,
+    [PHONES_FIELD]: list,
+    ...fieldVersionsUpdate([...Object.keys(mobileSet), PHONES_FIELD], now),
+    updatedAt: now,
   };
 
-  const doc = await VoterModel.findOneAndUpdate(matchQuery, { $set }, { new: true, lean: true });
+  const doc = await VoterModel.findOneAndUpdate({ _id: before._id }, { $set }, { new: true, lean: true });
   if (!doc) return { status: 404, error: 'Voter not found' };
-  return { status: 200, data: doc };
+  await recordHistory({ ...audit, voterId: doc._id, before, after: doc });
+  return { status: 200, data: await refreshSearchFields(VoterModel, doc, profile) };
+}
+
+/**
+ * Change the voter's phone list with `mutate(list) -> { list } | { status?, error }`
+ * and mirror the primary number into the legacy mobile paths (cleared when no
+ * number is left). audit: { databaseId, actor, source } for policy and history.
+ */
+async function applyPhonesChange(VoterModel, id, profile, audit, mutate) {
+  const before = await VoterModel.findById(id).lean();
+  if (!before) return { status: 404, error: 'Voter not found' };
+
+  const now = new Date();
+  const result = mutate(voterPhones(before, readProfileValues(before, profile, 'mobile')), now);
+  if (result.error) return { status: result.status || 400, error: result.error };
+
+  const { list } = result;
+  const primary = primaryPhone(list);
+  const denied = await checkPolicy(audit.databaseId, profile, audit.actor, {
+    ...Object.fromEntries(mobileFields(profile).map((field) => [field, primary ? primary.number : null])),
+    [PHONES_FIELD]: list,
+  });
+  if (denied) return denied;
+
+  const mobilePaths = profilePaths(profile, 'mobile');
+  const $set = {
+    [PHONES_FIELD]: list,
+    ...(primary ? buildMobileUpdate(primary.number, profile) : {}),
+    ...fieldVersionsUpdate([...mobilePaths, PHONES_FIELD], now),
+    updatedAt: now,
+  };
+  const update = primary
+    ? { $set }
+    : { $set, $unset: Object.fromEntries(mobilePaths.map((path) => [path, ''])) };
+
+  const doc = await VoterModel.findOneAndUpdate({ _id: before._id }, update, { new: true, lean: true });
+  if (!doc) return { status: 404, error: 'Voter not found' };
+  await recordHistory({ ...audit, voterId: doc._id, before, after: doc });
+  return { status: 200, data: await refreshSearchFields(VoterModel, doc, profile) };
+}
+
+/** A single voter as /search returns it: no __v, optional ?fields= projection */
+function toSearchShape(doc, projection) {
+  if (!doc) return doc;
+  const { __v, ...rest } = doc;
+  if (!projection) return rest;
+  const out = { _id: rest._id };
+  for (const key of Object.keys(projection)) {
+    if (rest[key] !== undefined) out[key] = rest[key];
+  }
+  return out;
+}
+
+/**
+ * Edit arbitrary top-level fields of the matched voter.
+ * input: { field: value }; null / "" clears a field. Each field must be in the
+ * role's editable list of the collection's write policy, and values are
+ * normalized (phones, dates, EPIC, numbers) and checked against its rules.
+ * A field the field profile maps is written where the voter keeps it (e.g.
+ * "__raw.पत्ता"). The phone list is edited through /:id/phones only; a mobile
+ * field written here becomes its primary number and is mirrored into every
+ * mobile path.
+ * audit: { databaseId, actor, source } for the history entry.
+ */
+async function applyFieldEdit(VoterModel, matchQuery, input, profile, audit) {
+  if (!input || typeof input !== 'object' || Array.isArray(input) || !Object.keys(input).length) {
+    return { status: 400, error: 'fields must be a non-empty object of { field: value }' };
+  }
+
+  const policy = await getWritePolicy(audit.databaseId, profile);
+  const values = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (isReservedField(field) || field === 'supportHistory') {
+      return { status: 400, error: `"${field}" cannot be edited`, reason: 'invalid_field', field };
+    }
+    if (field === PHONES_FIELD) {
+      return { status: 400, error: 'Edit phone numbers through /api/voters/:id/phones', reason: 'invalid_field', field };
+    }
+    values[field] = normalizeFieldValue(value, policy.rules[field]);
+  }
+  const violation = checkWrite(policy, audit.actor.role, { op: 'update', values });
+  if (violation) {
+    return violation.reason === 'field_not_writable'
+      ? policyDenied(violation)
+      : { status: 400, error: violation.message, reason: violation.reason, field: violation.field };
+  }
+
+  const before = await VoterModel.findOne(matchQuery).lean();
+  if (!before) return { status: 404, error: 'Voter not found' };
+
+  const now = new Date();
+  const mobileField = mobileFields(profile).find((field) => field in values);
+  const paths = Object.keys(values).map((field) => (
+    mobileField && field === mobileField ? field : profileWritePath(before, profile, field)
+  ));
+  const $set = { ...fieldVersionsUpdate(paths, now), updatedAt: now };
+  const $unset = {};
+  Object.values(values).forEach((value, i) => {
+    if (value === null || (Array.isArray(value) && !value.length)) $unset[paths[i]] = '';
+    else $set[paths[i]] = value;
+  });
+  if (mobileField) {
+    const touched = syncMobileWrite({ $set, $unset }, before, values[mobileField], {
+      paths: profilePaths(profile, 'mobile'),
+      actor: audit.actor,
+      now,
+    });
+    Object.assign($set, fieldVersionsUpdate(touched, now));
+  }
+  const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+
+  const doc = await VoterModel.findOneAndUpdate({ _id: before._id }, update, { new: true, lean: true });
+  if (!doc) return { status: 404, error: 'Voter not found' };
+  await recordHistory({ ...audit, voterId: doc._id, before, after: doc });
+  return { status: 200, data: await refreshSearchFields(VoterModel, doc, profile) };
 }
 
 /* ------------------------------- routes ------------------------------- */
@@ -127,10 +332,16 @@ async function applyMobileUpdate(VoterModel, matchQuery, body) {
 /**
  * GET /api/voters/search
  * databaseId=collection_name (required when multiple databases assigned)
- * q= string                 (regex search on name, voter_id, phones, plus __raw fallbacks)
+ * q= string                 (regex search on the name / EPIC / phone / booth paths of the field profile;
+ *                             names also match across Devanagari/Latin spellings)
+ * mode=fuzzy               (optional: also match phonetic / misspelled names, ranked by
+ *                             relevance; each result carries _score and _match { field, path, value, reason };
+ *                             totalApproximate is true when the candidate cap cut the match set short)
  * page= number>=1           (default 1)
  * limit= number<=100        (default 20)
  * filters[field]=value      (generic equals filter for any field)
+ * support=supporter,neutral (optional: support status, "unknown" includes untagged voters)
+ * tags=a,b                  (optional: voters carrying any of these tags)
  * fields=name,voter_id,...  (optional CSV for projection)
  */
 router.get('/search', auth, requireAuth, async (req, res) => {
@@ -145,10 +356,27 @@ router.get('/search', auth, requireAuth, async (req, res) => {
     const skip = (page - 1) * limit;
 
     const filters = parseFilters(req.query);
-    const findQuery = buildSearchQuery(q, filters);
+    const profile = await getFieldProfile(databaseId);
+    const findQuery = buildSearchQuery(q, filters, profile, req.query);
 
     const projection = safeProjectionFromCSV(req.query.fields);
 
+    if (req.query.mode === 'fuzzy' && q) {
+      const { results, total, totalApproximate } = await fuzzySearchVoters(VoterModel, {
+        q, baseQuery: findQuery, profile, projection, skip, limit,
+      });
+      return res.json({
+        results,
+        page,
+        limit,
+        total,
+        totalApproximate,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        mode: 'fuzzy',
+        databaseId,
+      });
+    }
+
     const [results, total] = await Promise.all([
       VoterModel.find(findQuery)
         .select(projection ? projection : '-__v')
@@ -172,11 +400,15 @@ router.get('/search', auth, requireAuth, async (req, res) => {
   }
 });
 
+const fileSafe = (s) => String(s).replace(/[^\w.-]+/g, '_');
+
 /**
  * GET /api/voters/all
  * databaseId=collection_name (required when multiple databases assigned)
  * Loads ALL voter records (no pagination). Optional q= and filters=.
- * WARNING: for very large datasets, prefer /search with paging.
+ * format=ndjson|csv streams rows from a cursor instead of one JSON array
+ * (CSV columns: columns=a,b or fields=a,b; logical names like name/epic resolve via the field profile).
+ * WARNING: for very large datasets, prefer /search with paging or a streamed format.
  */
 router.get('/all', auth, requireAuth, async (req, res) => {
   try {
@@ -188,13 +420,24 @@ router.get('/all', auth, requireAuth, async (req, res) => {
     const filters = parseFilters(req.query);
     const projection = safeProjectionFromCSV(req.query.fields) || undefined;
 
-    const findQuery = buildSearchQuery(q, filters);
+    const profile = await getFieldProfile(databaseId);
+    const findQuery = buildSearchQuery(q, filters, profile, req.query);
 
     // Optional hard cap to prevent accidental OOM in cloud; lift if you need
     const HARD_CAP = parseInt(process.env.VOTERS_ALL_HARDCAP || '0', 10); // 0 = no cap
     let cursor = VoterModel.find(findQuery, projection).lean();
     if (HARD_CAP > 0) cursor = cursor.limit(HARD_CAP);
 
+    const format = parseStreamFormat(req.query.format);
+    if (format) {
+      return streamVoters(res, cursor.cursor(), {
+        format,
+        columns: parseCsvColumns(req.query),
+        profile,
+        filename: fileSafe(databaseId),
+      });
+    }
+
     const docs = await cursor.exec();
     res.json({ total: docs.length, results: docs, databaseId });
   } catch (e) {
@@ -203,6 +446,193 @@ router.get('/all', auth, requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/voters/stats
+ * databaseId=collection_name (required when multiple databases assigned)
+ * groupBy=booth              (logical field from the field profile, or any document path; default booth)
+ * q= / filters[field]=value / support= / tags=   (same as /search)
+ * Per group and overall: total, gender breakdown, age bands, voters with a mobile and their share.
+ * Ages in Devanagari digits are read from the search keys; rebuild them
+ * (POST /api/admin/databases/:id/search-fields/rebuild) for older rolls.
+ */
+router.get('/stats', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res);
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const profile = await getFieldProfile(databaseId);
+    const group = resolveGroupPaths(req.query.groupBy, profile);
+    if (group.error) return res.status(400).json({ error: group.error });
+
+    const q = String(req.query.q || '').trim();
+    const match = buildSearchQuery(q, parseFilters(req.query), profile, req.query);
+
+    const rows = await VoterModel.aggregate(buildStatsPipeline(match, group.paths, profile)).allowDiskUse(true);
+    const { groups, totals } = summarizeStats(rows);
+
+    res.json({ groupBy: group.groupBy, groups, totals, databaseId });
+  } catch (e) {
+    console.error('stats error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/* ----------------------------- HOUSEHOLDS ----------------------------- */
+
+const HOUSEHOLD_PATH = `${SEARCH_ROOT}.household`;
+
+/**
+ * GET /api/voters/households
+ * databaseId=collection_name (required when multiple databases assigned)
+ * q= / filters[field]=value  (same as /search; a household is listed if any member matches)
+ * minMembers= number         (optional, default 1)
+ * page= / limit=<=100        (default 1 / 20)
+ * Households are derived from booth + address + house number + surname (see lib/households.js).
+ */
+router.get('/households', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res);
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const q = String(req.query.q || '').trim();
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
+    const skip = (page - 1) * limit;
+    const minMembers = Math.max(parseInt(req.query.minMembers || '1', 10) || 1, 1);
+
+    const profile = await getFieldProfile(databaseId);
+    const match = {
+      ...buildSearchQuery(q, parseFilters(req.query), profile, req.query),
+      [HOUSEHOLD_PATH]: { $type: 'string' },
+    };
+
+    const group = {
+      _id: `$${HOUSEHOLD_PATH}`,
+      members: { $sum: 1 },
+      sampleId: { $first: '$_id' },
+    };
+    const boothExpr = coalescePathsExpr(profilePaths(profile, 'booth'));
+    const houseExpr = coalescePathsExpr(profilePaths(profile, 'house'));
+    if (boothExpr) group.booth = { $min: boothExpr };
+    if (houseExpr) group.house = { $min: houseExpr };
+
+    const [result] = await VoterModel.aggregate([
+      { $match: match },
+      { $group: group },
+      ...(minMembers > 1 ? [{ $match: { members: { $gte: minMembers } } }] : []),
+      { $sort: { booth: 1, house: 1, _id: 1 } },
+      { $facet: { rows: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'n' }] } },
+    ]).allowDiskUse(true);
+
+    const rows = result?.rows || [];
+    const total = result?.total?.[0]?.n || 0;
+
+    const samples = await VoterModel.find({ _id: { $in: rows.map((r) => r.sampleId) } }).lean();
+    const sampleById = new Map(samples.map((d) => [String(d._id), d]));
+
+    const households = rows.map((r) => ({
+      id: r._id,
+      members: r.members,
+      ...householdParts(sampleById.get(String(r.sampleId)) || {}, profile),
+    }));
+
+    res.json({
+      households,
+      page,
+      limit,
+      total,
+      pages: Math.max(1, Math.ceil(total / limit)),
+      databaseId,
+    });
+  } catch (e) {
+    console.error('households error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/voters/households/:id
+ * Every member of one household.
+ */
+router.get('/households/:id', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res);
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const id = String(req.params.id || '').trim();
+    const members = await VoterModel.find({ [HOUSEHOLD_PATH]: id })
+      .select('-__v')
+      .sort({ _id: 1 })
+      .lean();
+    if (!members.length) return res.status(404).json({ error: 'Household not found' });
+
+    const profile = await getFieldProfile(databaseId);
+    res.json({
+      household: { id, members: members.length, ...householdParts(members[0], profile) },
+      members,
+      databaseId,
+    });
+  } catch (e) {
+    console.error('household detail error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/voters/households/:id/mobile
+ * Body: { mobile | Mobile | phone | ... | value, voterId?, applyToAll? }
+ * applyToAll=true writes the number to every member; otherwise voterId
+ * (a member of this household) is required.
+ */
+router.patch('/households/:id/mobile', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const id = String(req.params.id || '').trim();
+    const { voterId, applyToAll } = req.body || {};
+
+    const members = await VoterModel.find({ [HOUSEHOLD_PATH]: id }).select('_id').lean();
+    if (!members.length) return res.status(404).json({ error: 'Household not found' });
+
+    let targets;
+    if (applyToAll === true) {
+      targets = members.map((m) => m._id);
+    } else {
+      if (!voterId) return res.status(400).json({ error: 'voterId is required unless applyToAll is true' });
+      const member = members.find((m) => String(m._id) === String(voterId));
+      if (!member) return res.status(404).json({ error: 'Voter is not a member of this household' });
+      targets = [member._id];
+    }
+
+    const profile = await getFieldProfile(databaseId);
+    const updated = [];
+    for (const targetId of targets) {
+      const result = await applyMobileUpdate(
+        VoterModel,
+        { _id: targetId, [HOUSEHOLD_PATH]: id },
+        req.body,
+        profile,
+        { databaseId, actor: requestActor(req), source: 'household' }
+      );
+      // validation and policy errors are identical for every member: stop at the first
+      if (result.error && (result.status === 400 || result.status === 403)) {
+        return res.status(result.status).json(errorBody(result));
+      }
+      if (result.data) updated.push(result.data);
+    }
+
+    res.json({ household: id, updated, count: updated.length });
+  } catch (e) {
+    console.error('household mobile patch error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /**
  * PATCH /api/voters/by-epic/:epic
  * Body can contain any of: { mobile | Mobile | phone | Phone | contact | Contact | value }
@@ -211,23 +641,21 @@ router.patch('/by-epic/:epic', auth, requireAuth, async (req, res) => {
   try {
     const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
     if (!ctx) return;
-    const { model: VoterModel } = ctx;
+    const { model: VoterModel, databaseId } = ctx;
 
     const epic = String(req.params.epic || '').trim();
     if (!epic) return res.status(400).json({ error: 'EPIC is required' });
 
-    // EPIC variants in different imports
-    const match = {
-      $or: [
-        { voter_id: epic },
-        { EPIC: epic },
-        { '__raw.EPIC': epic },
-        { '__raw.कार्ड नं': epic },
-      ],
-    };
+    // EPIC variants in different imports, resolved through the field profile
+    const profile = await getFieldProfile(databaseId);
+    const match = buildEpicMatch(epic, profile);
 
-    const result = await applyMobileUpdate(VoterModel, match, req.body);
-    if (result.error) return res.status(result.status).json({ error: result.error });
+    const result = await applyMobileUpdate(VoterModel, match, req.body, profile, {
+      databaseId,
+      actor: requestActor(req),
+      source: 'by-epic',
+    });
+    if (result.error) return res.status(result.status).json(errorBody(result));
     res.json(result.data);
   } catch (e) {
     console.error('by-epic patch error', e);
@@ -235,6 +663,210 @@ router.patch('/by-epic/:epic', auth, requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/voters/:id/support
+ * Body: { status?: supporter|opposed|neutral|unknown, tags?: [], addTags?: [], removeTags?: [], note? }
+ * Stores the current leaning on the voter and appends a supportHistory entry
+ * with the acting user and device.
+ */
+router.patch('/:id/support', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const { id } = req.params;
+    const current = await VoterModel.findById(id).lean();
+    if (!current) return res.status(404).json({ error: 'Voter not found' });
+
+    const change = resolveSupportChange(req.body || {}, current.support || {});
+    if (change.error) return res.status(400).json({ error: change.error });
+
+    const profile = await getFieldProfile(databaseId);
+    const denied = await checkPolicy(databaseId, profile, requestActor(req), {
+      support: { status: change.status, tags: change.tags },
+    });
+    if (denied) return res.status(denied.status).json(errorBody(denied));
+
+    const now = new Date();
+    const by = {
+      id: req.user?.id ? String(req.user.id) : null,
+      username: req.user?.username || null,
+      role: req.user?.role || null,
+    };
+
+    const doc = await VoterModel.findOneAndUpdate(
+      { _id: id },
+      {
+        $set: {
+          support: { status: change.status, tags: change.tags, updatedAt: now, updatedBy: by },
+          ...fieldVersionsUpdate(['support', 'supportHistory'], now),
+          updatedAt: now,
+        },
+        $push: {
+          supportHistory: {
+            $each: [{
+              status: change.status,
+              tags: change.tags,
+              previousStatus: current.support?.status || 'unknown',
+              note: change.note,
+              at: now,
+              by,
+              deviceId: requestDeviceId(req),
+            }],
+            $slice: -SUPPORT_HISTORY_LIMIT,
+          },
+        },
+      },
+      { new: true, lean: true }
+    );
+    if (!doc) return res.status(404).json({ error: 'Voter not found' });
+    await recordHistory({ databaseId, voterId: doc._id, before: current, after: doc, source: 'support', actor: requestActor(req) });
+    res.json(doc);
+  } catch (e) {
+    console.error('support patch error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/voters/editable-fields
+ * Fields the current user's role may edit in the selected database, with the
+ * rules PATCH .../fields applies: { fields: [name] | "*", rules: { field: rule } }.
+ */
+router.get('/editable-fields', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res);
+    if (!ctx) return;
+    const { databaseId } = ctx;
+
+    const policy = await getWritePolicy(databaseId, await getFieldProfile(databaseId));
+    const access = policy.roles[req.user?.role] || { fields: [] };
+    // the phone list has its own endpoints
+    const fields = access.fields === '*' ? '*' : access.fields.filter((field) => field !== PHONES_FIELD);
+    const rules = fields === '*'
+      ? policy.rules
+      : Object.fromEntries(fields.map((field) => [field, policy.rules[field] || null]));
+    res.json({ databaseId, role: req.user?.role || null, fields, rules });
+  } catch (e) {
+    console.error('editable fields error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/voters/:id/fields
+ * PATCH /api/voters/by-epic/:epic/fields
+ * Body: { fields: { address?, alternatePhones?, birthDate?, caste?, community?, remarks?, ... } }
+ * Any field in the role's editable list (GET /editable-fields); null or "" clears it.
+ * Phones are normalized to 10 digits and dates to YYYY-MM-DD.
+ * Returns the updated voter as /search returns it (?fields= projection supported).
+ */
+async function handleFieldEdit(req, res, matchFor) {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const profile = await getFieldProfile(databaseId);
+    const match = matchFor(profile);
+    if (!match) return res.status(400).json({ error: 'EPIC is required' });
+
+    const result = await applyFieldEdit(VoterModel, match, req.body?.fields, profile, {
+      databaseId,
+      actor: requestActor(req),
+      source: 'edit',
+    });
+    if (result.error) return res.status(result.status).json(errorBody(result));
+    res.json(toSearchShape(result.data, safeProjectionFromCSV(req.query.fields)));
+  } catch (e) {
+    console.error('field edit error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+router.patch('/by-epic/:epic/fields', auth, requireAuth, (req, res) => handleFieldEdit(req, res, (profile) => {
+  const epic = String(req.params.epic || '').trim();
+  return epic ? buildEpicMatch(epic, profile) : null;
+}));
+
+router.patch('/:id/fields', auth, requireAuth, (req, res) => handleFieldEdit(req, res, () => ({ _id: req.params.id })));
+
+/* ------------------------------- phones ------------------------------- */
+
+/**
+ * GET /api/voters/:id/phones
+ * { phones: [{ number, label, source, addedBy, addedAt, verified, verifiedBy, verifiedAt, primary }] }
+ * Voters without a stored list get one derived from their mobile fields.
+ */
+router.get('/:id/phones', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res);
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const doc = await VoterModel.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'Voter not found' });
+
+    const profile = await getFieldProfile(databaseId);
+    res.json({ _id: doc._id, phones: voterPhones(doc, readProfileValues(doc, profile, 'mobile')) });
+  } catch (e) {
+    console.error('phones list error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Shared handler: apply a phone-list change and answer with the updated voter
+async function handlePhonesChange(req, res, mutate) {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const profile = await getFieldProfile(databaseId);
+    const actor = requestActor(req);
+    const result = await applyPhonesChange(
+      VoterModel,
+      req.params.id,
+      profile,
+      { databaseId, actor, source: 'phones' },
+      (list, now) => mutate(list, actor, now)
+    );
+    if (result.error) return res.status(result.status).json(errorBody(result));
+    res.json(result.data);
+  } catch (e) {
+    console.error('phones change error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * POST /api/voters/:id/phones
+ * Body: { number, label?: mobile|whatsapp|home|work|relative|other, source?, verified?, primary? }
+ * Adds the number (an existing number only gets label / verified / primary updated).
+ */
+router.post('/:id/phones', auth, requireAuth, (req, res) => handlePhonesChange(
+  req, res, (list, actor, now) => addPhone(list, req.body || {}, actor, now)
+));
+
+/**
+ * PATCH /api/voters/:id/phones/:number
+ * Body: { label?, verified? } — verifying records who verified it and when.
+ */
+router.patch('/:id/phones/:number', auth, requireAuth, (req, res) => handlePhonesChange(
+  req, res, (list, actor, now) => updatePhone(list, req.params.number, req.body || {}, actor, now)
+));
+
+/** DELETE /api/voters/:id/phones/:number (the next number becomes primary) */
+router.delete('/:id/phones/:number', auth, requireAuth, (req, res) => handlePhonesChange(
+  req, res, (list) => removePhone(list, req.params.number)
+));
+
+/** POST /api/voters/:id/phones/:number/primary */
+router.post('/:id/phones/:number/primary', auth, requireAuth, (req, res) => handlePhonesChange(
+  req, res, (list) => setPrimaryPhone(list, req.params.number)
+));
+
 /**
  * PATCH /api/voters/:id
  * Body can contain any of: { mobile | Mobile | phone | Phone | contact | Contact | value }
@@ -243,11 +875,16 @@ router.patch('/:id', auth, requireAuth, async (req, res) => {
   try {
     const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
     if (!ctx) return;
-    const { model: VoterModel } = ctx;
+    const { model: VoterModel, databaseId } = ctx;
 
     const { id } = req.params;
-    const result = await applyMobileUpdate(VoterModel, { _id: id }, req.body);
-    if (result.error) return res.status(result.status).json({ error: result.error });
+    const profile = await getFieldProfile(databaseId);
+    const result = await applyMobileUpdate(VoterModel, { _id: id }, req.body, profile, {
+      databaseId,
+      actor: requestActor(req),
+      source: 'patch',
+    });
+    if (result.error) return res.status(result.status).json(errorBody(result));
     res.json(result.data);
   } catch (e) {
     console.error('id patch error', e);
@@ -255,11 +892,98 @@ router.patch('/:id', auth, requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/voters/:id/history?limit=50&beforeVersion=
+ * Change trail of one voter, newest first:
+ * { items: [{ version, op, source, changes: [{ field, before?, after? }], user, deviceId, at }], hasMore }
+ * A missing before/after means the field did not exist on that side.
+ */
+router.get('/:id/history', auth, requireAuth, async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res);
+    if (!ctx) return;
+    const { databaseId } = ctx;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10), 1), 200);
+    const beforeVersion = parseInt(req.query.beforeVersion || '', 10) || null;
+
+    const { items, hasMore } = await listHistory(databaseId, req.params.id, { limit, beforeVersion });
+    res.json({ voterId: String(req.params.id), databaseId, items, hasMore });
+  } catch (e) {
+    console.error('voter history error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/voters/:id/history/:version/rollback   (admin)
+ * Restores the voter to its state right after `version` (recreating it if it
+ * was deleted since, deleting it if it did not exist yet). The rollback is
+ * itself recorded in the history. 409 when the voter no longer matches its
+ * newest history entry (changed by a write that kept no history).
+ */
+router.post('/:id/history/:version/rollback', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const ctx = resolveVoterModelForRequest(req, res, { requireExplicitSelection: true });
+    if (!ctx) return;
+    const { model: VoterModel, databaseId } = ctx;
+
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: 'Invalid version' });
+
+    const profile = await getFieldProfile(databaseId);
+    const result = await rollbackVoter(
+      { VoterModel, databaseId, profile, actor: requestActor(req) },
+      req.params.id,
+      version
+    );
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true, databaseId, ...result.data });
+  } catch (e) {
+    console.error('voter rollback error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* --------------------------- SYNC ENDPOINTS --------------------------- */
+
+// Tombstones for an incremental pull, plus whether `since` predates the purge window
+async function deletionsSince(databaseId, since, until) {
+  const cutoff = await tombstoneCutoff();
+  const deleted = await listTombstones(databaseId, since, until);
+  return { deleted, fullResyncRequired: since < cutoff };
+}
+
 /**
- * GET /api/voters/export?page=1&limit=5000&since=ISO
+ * Record a finished pull as the device's sync checkpoint, unless it cannot
+ * have brought the device up to date (`since` older than the tombstone window).
+ */
+async function recordCompletedPull(req, databaseId, { since, watermark, mode }) {
+  if (since && since < (await tombstoneCutoff())) return;
+  await recordPull(requestActor(req), databaseId, { watermark, mode });
+}
+
+/**
+ * GET /api/voters/export?cursor=&limit=5000&since=ISO
  * databaseId=collection_name (required when multiple databases assigned)
  * Paged export for initial/full pull; supports incremental pulls with ?since=updatedAt ISO.
+ *
+ * Keyset mode (send `cursor`, empty for the first page): echo back `nextCursor`
+ * until hasMore=false, then use `watermark` as the next `since`.
+ * Legacy mode (send `page`, no cursor): skip/limit paging, kept for older apps.
+ * Stream mode (format=ndjson|csv): the whole (since, watermark] window in one response,
+ * with optional q= / filters= / fields= as in /all; the watermark is sent in X-Sync-Watermark.
+ * Incremental streams (since=) are NDJSON only: tombstones follow the voters as
+ * `{ _id, _deleted: true, deletedAt }` lines and X-Sync-Full-Resync-Required is set.
+ *
+ * Incremental JSON pulls also return `deleted: [{ _id, deletedAt }]` (tombstones) on the
+ * first page. `fullResyncRequired: true` means `since` is older than the tombstone
+ * retention window, so the device must drop its copy and do a full pull.
+ *
+ * Pulls that bring the device up to date are recorded as its sync checkpoint
+ * (GET /api/admin/sync/devices/stale): the last keyset page, a legacy pull that
+ * fits on one page, or a completed NDJSON stream without q / filters / fields.
+ * Pulls whose `since` requires a full resync are never recorded.
  */
 router.get('/export', auth, requireAuth, async (req, res) => {
   try {
@@ -267,6 +991,97 @@ router.get('/export', auth, requireAuth, async (req, res) => {
     if (!ctx) return;
     const { model: VoterModel, databaseId } = ctx;
 
+    const format = parseStreamFormat(req.query.format);
+    if (format) {
+      const since = req.query.since ? new Date(req.query.since) : null;
+      if (since && Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'invalid_since' });
+      }
+      // CSV has no way to carry deletions, so it cannot serve an incremental pull
+      if (since && format !== 'ndjson') {
+        return res.status(400).json({ error: 'since_requires_ndjson' });
+      }
+      const watermark = newWatermark();
+      const { filter, sort } = buildKeysetQuery({ since, watermark });
+
+      const headers = { 'X-Sync-Watermark': watermark.toISOString() };
+      let trailer = [];
+      if (since) {
+        const { deleted, fullResyncRequired } = await deletionsSince(databaseId, since, watermark);
+        headers['X-Sync-Full-Resync-Required'] = String(fullResyncRequired);
+        trailer = deleted.map((t) => ({ _id: t._id, _deleted: true, deletedAt: t.deletedAt }));
+      }
+
+      const q = String(req.query.q || '').trim();
+      const profile = await getFieldProfile(databaseId);
+      const searchQuery = buildSearchQuery(q, parseFilters(req.query), profile, req.query);
+      const projection = safeProjectionFromCSV(req.query.fields) || undefined;
+
+      const cursor = VoterModel.find({ $and: [filter, searchQuery] }, projection)
+        .sort(sort)
+        .lean()
+        .cursor();
+
+      const completed = await streamVoters(res, cursor, {
+        format,
+        columns: parseCsvColumns(req.query),
+        profile,
+        filename: `${fileSafe(databaseId)}_export`,
+        headers,
+        trailer,
+      });
+      // a filtered or partial-field export does not sync the device
+      if (completed && format === 'ndjson' && !q && !Object.keys(searchQuery).length && !projection) {
+        await recordCompletedPull(req, databaseId, { since, watermark, mode: format });
+      }
+      return;
+    }
+
+    if (req.query.cursor !== undefined) {
+      const limit = Math.min(Math.max(parseInt(req.query.limit || '5000', 10), 1), 20000);
+
+      let state;
+      let firstPage = false;
+      try {
+        state = decodeCursor(req.query.cursor);
+      } catch {
+        return res.status(400).json({ error: 'invalid_cursor' });
+      }
+      if (!state) {
+        const since = req.query.since ? new Date(req.query.since) : null;
+        if (since && Number.isNaN(since.getTime())) {
+          return res.status(400).json({ error: 'invalid_since' });
+        }
+        state = { since, watermark: newWatermark() };
+        firstPage = true;
+      }
+
+      const { filter, sort } = buildKeysetQuery(state);
+      const rows = await VoterModel.find(filter).sort(sort).limit(limit + 1).lean();
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+
+      const nextCursor = hasMore
+        ? encodeCursor({ lastDoc: items[items.length - 1], watermark: state.watermark, since: state.since })
+        : null;
+
+      const response = {
+        items,
+        hasMore,
+        nextCursor,
+        watermark: state.watermark.toISOString(),
+        serverTime: new Date().toISOString(),
+        databaseId,
+      };
+      if (firstPage && state.since) {
+        Object.assign(response, await deletionsSince(databaseId, state.since, state.watermark));
+      }
+      if (!hasMore) {
+        await recordCompletedPull(req, databaseId, { since: state.since, watermark: state.watermark, mode: 'keyset' });
+      }
+      return res.json(response);
+    }
+
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const limit = Math.min(Math.max(parseInt(req.query.limit || '5000', 10), 1), 20000);
     const skip = (page - 1) * limit;
@@ -282,7 +1097,15 @@ router.get('/export', auth, requireAuth, async (req, res) => {
     const hasMore = skip + items.length < count;
     const serverTime = new Date().toISOString();
 
-    res.json({ items, hasMore, serverTime, page, count, databaseId });
+    const response = { items, hasMore, serverTime, page, count, databaseId };
+    if (page === 1 && since && !Number.isNaN(since.getTime())) {
+      Object.assign(response, await deletionsSince(databaseId, since, new Date(serverTime)));
+    }
+    // skip/limit pages can shift between requests, so only a single-page pull counts
+    if (page === 1 && !hasMore && !(since && Number.isNaN(since.getTime()))) {
+      await recordCompletedPull(req, databaseId, { since, watermark: serverTime, mode: 'page' });
+    }
+    res.json(response);
   } catch (e) {
     console.error('export error', e);
     res.status(500).json({ error: 'export_failed' });
@@ -292,8 +1115,23 @@ router.get('/export', auth, requireAuth, async (req, res) => {
 /**
  * POST /api/voters/bulk-upsert
  * Body should include databaseId when user has multiple assignments.
- * { changes: [{ _id, op: "upsert", payload: {...}, updatedAt }] }
- * Last-write-wins using updatedAt.
+ * { changes: [{ changeId?, _id, op: "upsert" | "delete", payload: {...}, updatedAt, fieldVersions? }] }
+ *
+ * Upserts merge field by field: each top-level field keeps its own version in
+ * __fieldVersions, and a client value is applied when its version (from
+ * `fieldVersions[field]`, else `updatedAt`) is not older than the server's.
+ * Older differing values are left alone and reported in
+ * `conflicts: [{ _id, field, serverValue, clientValue, serverVersion, clientVersion }]`;
+ * the change still counts in successIds once processed.
+ * "delete" removes the voter and leaves a tombstone that incremental /export
+ * pulls return under `deleted`; a delete older than the last server edit is
+ * reported as a conflict with field null.
+ *
+ * Every change is written to the sync journal with the user, device and
+ * outcome. A change carrying a client `changeId` (unique per user) is applied
+ * once: a retried batch gets the stored outcome back and the id is listed in
+ * `replayed`. GET /api/voters/sync/changes/:changeId returns that outcome.
+ * The batch totals and failures are kept as the device's last push checkpoint.
  */
 router.post('/bulk-upsert', auth, requireAuth, async (req, res) => {
   try {
@@ -303,42 +1141,108 @@ router.post('/bulk-upsert', auth, requireAuth, async (req, res) => {
 
     const { changes } = req.body || {};
     if (!Array.isArray(changes) || !changes.length) {
-      return res.json({ successIds: [], failed: [] });
+      return res.json({ successIds: [], failed: [], conflicts: [], replayed: [] });
     }
 
+    const profile = await getFieldProfile(databaseId);
+    const policy = await getWritePolicy(databaseId, profile);
+    const actor = requestActor(req);
+    const syncCtx = { VoterModel, databaseId, profile, policy, actor };
+
     const successIds = [];
     const failed = [];
+    const conflicts = [];
+    const replayed = [];
+
+    const report = (ch, outcome) => {
+      const _id = ch?._id;
+      if (outcome.status === 'failed') {
+        const entry = { _id, changeId: ch?.changeId, reason: outcome.reason || 'exception' };
+        if (outcome.field) entry.field = outcome.field;
+        if (outcome.message) entry.message = outcome.message;
+        failed.push(entry);
+        return;
+      }
+      for (const c of outcome.conflicts || []) conflicts.push({ _id, changeId: ch?.changeId, ...c });
+      successIds.push(_id);
+    };
 
     for (const ch of changes) {
+      const changeId = normalizeChangeId(ch?.changeId);
+      if (changeId === false) { failed.push({ _id: ch?._id, reason: 'bad_change_id' }); continue; }
+
+      let claim;
       try {
-        const { _id, op, payload, updatedAt } = ch;
-        if (!(_id && op === 'upsert')) { failed.push({ _id, reason: 'bad_change' }); continue; }
-
-        const doc = await VoterModel.findById(_id);
-        if (!doc) {
-          await VoterModel.create({ _id, ...(payload || {}) });
-          successIds.push(_id);
-          continue;
-        }
-        const remoteTime = new Date(doc.updatedAt || 0).getTime();
-        const localTime = new Date(updatedAt || 0).getTime();
-        if (!Number.isNaN(localTime) && localTime >= remoteTime) {
-          Object.assign(doc, payload || {});
-          await doc.save();
-        }
-        successIds.push(_id);
+        claim = await claimChange({ changeId, actor, databaseId, change: ch });
+      } catch (e) {
+        console.error('sync journal claim fail', e);
+        failed.push({ _id: ch?._id, changeId, reason: 'exception' });
+        continue;
+      }
+      if (claim.busy) { failed.push({ _id: ch?._id, changeId, reason: 'in_progress' }); continue; }
+      if (claim.replay) {
+        replayed.push(changeId);
+        report(ch, claim.replay);
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await applySyncChange(syncCtx, ch);
       } catch (e) {
         console.error('upsert fail', e);
-        failed.push({ _id: ch._id, reason: 'exception' });
+        outcome = { status: 'failed', reason: 'exception', conflicts: [] };
+      }
+      report(ch, outcome);
+
+      try {
+        await finishChange(claim.entry, outcome);
+      } catch (e) {
+        console.error('sync journal finish fail', e);
       }
     }
 
-    res.json({ successIds, failed, databaseId });
+    await recordPush(actor, databaseId, {
+      stats: {
+        received: changes.length,
+        applied: successIds.length,
+        conflicts: conflicts.length,
+        replayed: replayed.length,
+      },
+      failed,
+    });
+
+    res.json({ successIds, failed, conflicts, replayed, databaseId });
   } catch (e) {
     console.error('bulk-upsert error', e);
     res.status(500).json({ error: 'bulk_upsert_failed' });
   }
 });
 
+/**
+ * GET /api/voters/sync/changes/:changeId
+ * Outcome of a change pushed by the current user (e.g. after a bulk-upsert
+ * timeout): { changeId, _id, op, status, reason, conflicts, databaseId, ... }.
+ * status "processing" means the change is still being applied.
+ * Admins may pass ?userId= to look up another user's change.
+ */
+router.get('/sync/changes/:changeId', auth, requireAuth, async (req, res) => {
+  try {
+    const changeId = normalizeChangeId(req.params.changeId);
+    if (!changeId) return res.status(400).json({ error: 'Invalid changeId' });
+
+    const userId = req.user?.role === 'admin' && req.query.userId
+      ? String(req.query.userId)
+      : String(req.user?.id);
+
+    const entry = await findChange(userId, changeId);
+    if (!entry) return res.status(404).json({ error: 'Change not found' });
+    res.json(journalResult(entry));
+  } catch (e) {
+    console.error('sync change lookup error', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /* -------------------------------- export ------------------------------ */
 export default router;
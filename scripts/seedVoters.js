@@ -0,0 +1,72 @@
+// scripts/seedVoters.js
+// Import a voter roll from the command line (same rules as the admin upload).
+//
+// Usage:
+//   npm run seed -- <file.csv|file.xlsx> <databaseId> <mapping.json> [--insert] [--dry-run]
+//
+// mapping.json: { "<column header>": "name" | "epic" | "mobile" | "booth" | "<path>" }
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../db.js';
+import { getVoterModel } from '../models/Voter.js';
+import { getFieldProfile } from '../lib/fieldProfiles.js';
+import { ensureRecommendedIndexes } from '../lib/voterIndexes.js';
+import {
+  importVoterRows,
+  normalizeMapping,
+  parseSheet,
+  validateImportCollection,
+} from '../lib/voterImport.js';
+
+dotenv.config();
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter((a) => a.startsWith('--')));
+  const [file, databaseIdArg, mappingFile] = args.filter((a) => !a.startsWith('--'));
+
+  if (!file || !databaseIdArg || !mappingFile) {
+    console.error('Usage: npm run seed -- <file> <databaseId> <mapping.json> [--insert] [--dry-run]');
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    console.error('Missing MONGO_URI in environment');
+    process.exit(1);
+  }
+
+  const target = validateImportCollection(databaseIdArg);
+  if (target.error) throw new Error(target.error);
+
+  const buffer = await fs.readFile(file);
+  const sheet = await parseSheet(buffer, { filename: path.basename(file) });
+  const { mapping, error } = normalizeMapping(await fs.readFile(mappingFile, 'utf8'), sheet.headers);
+  if (error) throw new Error(`${error} Headers: ${sheet.headers.join(', ')}`);
+
+  const epicMapped = mapping.some((m) => m.field === 'epic');
+  const mode = flags.has('--insert') || !epicMapped ? 'insert' : 'upsert';
+  const dryRun = flags.has('--dry-run');
+
+  await connectDB(process.env.MONGO_URI);
+  try {
+    const profile = await getFieldProfile(target.databaseId);
+    const report = await importVoterRows(getVoterModel(target.databaseId), sheet.rows, {
+      mapping,
+      profile,
+      mode,
+      dryRun,
+    });
+    if (!dryRun && report.valid > 0) await ensureRecommendedIndexes(target.databaseId);
+
+    console.log(JSON.stringify({ databaseId: target.databaseId, mode, dryRun, ...report }, null, 2));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((e) => {
+  console.error('SEED_VOTERS_ERROR', e.message || e);
+  process.exit(1);
+});
@@ -7,9 +7,12 @@ import { connectDB } from './db.js';
 import authRoutes from './routes/auth.js';
 import voterRoutes from './routes/voters.js';
 import adminRoutes from './routes/admin.js';
+import adminImportRoutes from './routes/admin.imports.js';
+import adminDeviceRoutes from './routes/admin.devices.js';
 import User from './models/User.js';
 import bcrypt from 'bcryptjs';
 import candidateRoutes from './routes/candidate.js';
+import { startTombstonePurgeTimer } from './lib/tombstones.js';
 import { CORS_ALLOWED_HEADERS as IMPORTED_CORS_HEADERS, resolveRequestDeviceId } from './lib/deviceId.js';
 
 dotenv.config();
@@ -77,6 +80,7 @@ app.use(
     origin: (origin, cb) => (isOriginAllowed(origin) ? cb(null, true) : cb(new Error('Not allowed by CORS'))),
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ALLOWED_HEADERS,
+    exposedHeaders: ['Content-Disposition', 'X-Sync-Watermark', 'X-Sync-Full-Resync-Required'],
     credentials: true, // true only if using cookies across origins
   })
 );
@@ -101,6 +105,8 @@ app.get('/api/health', (req, res) => res.json({ ok: true, ts: Date.now() }));
 /* --------------------------------- Routes --------------------------------- */
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/admin', adminImportRoutes);
+app.use('/api/admin', adminDeviceRoutes);
 app.use('/api/voters', voterRoutes);
 app.use('/api/candidate', candidateRoutes);
 
@@ -160,6 +166,7 @@ if (!process.env.MONGO_URI) {
 connectDB(process.env.MONGO_URI)
   .then(async () => {
     await ensureDefaultAdmin();
+    startTombstonePurgeTimer();
     const server = app.listen(PORT, () => console.log(`API listening on :${PORT}`));
 
     // Graceful shutdown
@@ -0,0 +1,114 @@
+// test/authTokens.test.js
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import AuthSession from '../models/AuthSession.js';
+import Setting from '../models/Setting.js';
+import User from '../models/User.js';
+import {
+  issueTokens,
+  revokeSession,
+  revokeUserTokens,
+  rotateRefreshToken,
+  tokenRejection,
+} from '../lib/authTokens.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const sessions = memoryModel(AuthSession);
+const users = memoryModel(User);
+memoryModel(Setting);
+
+let user;
+
+beforeEach(() => {
+  sessions.reset();
+  users.reset();
+  [user] = users.insert([{ username: 'asha', passwordHash: 'x', role: 'operator', allowedDatabaseIds: ['ward_12'] }]);
+});
+
+const decode = (tokens) => jwt.verify(tokens.token, process.env.JWT_SECRET);
+
+test('issueTokens signs the user and session into the access token', async () => {
+  const tokens = await issueTokens(user, { deviceId: 'device-aaaa', method: 'password' });
+  const claims = decode(tokens);
+
+  assert.equal(claims.role, 'operator');
+  assert.deepEqual(claims.allowedDatabaseIds, ['ward_12']);
+  assert.equal(claims.sid, String(sessions.rows[0]._id));
+  assert.equal(claims.deviceId, 'device-aaaa');
+  assert.ok(tokens.refreshToken.startsWith(`${claims.sid}.`));
+  assert.equal(await tokenRejection(claims), null);
+});
+
+test('rotateRefreshToken replaces the refresh token of the same session', async () => {
+  const first = await issueTokens(user);
+  const { tokens } = await rotateRefreshToken(first.refreshToken);
+
+  assert.notEqual(tokens.refreshToken, first.refreshToken);
+  assert.equal(decode(tokens).sid, decode(first).sid);
+  assert.equal(sessions.rows.length, 1);
+
+  const { tokens: again } = await rotateRefreshToken(tokens.refreshToken);
+  assert.ok(again.refreshToken);
+});
+
+test('rotateRefreshToken rejects malformed and unknown tokens', async () => {
+  const { refreshToken } = await issueTokens(user);
+  const [sid] = refreshToken.split('.');
+
+  assert.deepEqual(await rotateRefreshToken('nonsense'), { error: 'REFRESH_INVALID' });
+  assert.deepEqual(await rotateRefreshToken(`${sid}.wrong-secret`), { error: 'REFRESH_INVALID' });
+});
+
+test('a rotated refresh token coming back revokes the session', async () => {
+  const first = await issueTokens(user);
+  const { tokens } = await rotateRefreshToken(first.refreshToken);
+
+  assert.deepEqual(await rotateRefreshToken(first.refreshToken), { error: 'REFRESH_REUSED' });
+  assert.equal(sessions.rows[0].revokedReason, 'refresh_reuse');
+  // the thief's copy and the app's copy both die with the session
+  assert.deepEqual(await rotateRefreshToken(tokens.refreshToken), { error: 'REFRESH_INVALID' });
+  assert.equal(await tokenRejection(decode(tokens)), 'TOKEN_REVOKED');
+});
+
+test('parallel refreshes with one token rotate it once', async () => {
+  const { refreshToken } = await issueTokens(user);
+  const results = await Promise.all([rotateRefreshToken(refreshToken), rotateRefreshToken(refreshToken)]);
+
+  assert.equal(results.filter((r) => r.tokens).length, 1);
+  assert.deepEqual(results.find((r) => !r.tokens), { error: 'REFRESH_INVALID' });
+});
+
+test('logging out revokes the access and refresh token of that session only', async () => {
+  const phone = await issueTokens(user, { deviceId: 'device-aaaa' });
+  const laptop = await issueTokens(user, { deviceId: 'device-bbbb' });
+
+  await revokeSession(decode(phone).sid, 'logout');
+
+  assert.equal(await tokenRejection(decode(phone)), 'TOKEN_REVOKED');
+  assert.deepEqual(await rotateRefreshToken(phone.refreshToken), { error: 'REFRESH_INVALID' });
+  assert.equal(await tokenRejection(decode(laptop)), null);
+});
+
+test('revokeUserTokens ends every session of the user', async () => {
+  const tokens = await issueTokens(user);
+  await revokeUserTokens(user._id, 'role_changed');
+
+  assert.equal(await tokenRejection(decode(tokens)), 'TOKEN_REVOKED');
+  assert.deepEqual(await rotateRefreshToken(tokens.refreshToken), { error: 'REFRESH_INVALID' });
+  assert.equal(users.rows[0].tokenVersion, 1);
+
+  // tokens from before sessions existed are checked by token version alone
+  assert.equal(await tokenRejection({ id: String(user._id), tv: 0 }), 'TOKEN_REVOKED');
+  assert.equal(await tokenRejection({ id: String(user._id), tv: 1 }), null);
+});
+
+test('a disabled user can neither use nor refresh tokens', async () => {
+  const tokens = await issueTokens(user);
+  users.rows[0].enabled = false;
+
+  assert.equal(await tokenRejection(decode(tokens)), 'USER_DISABLED');
+  assert.deepEqual(await rotateRefreshToken(tokens.refreshToken), { error: 'USER_DISABLED' });
+});
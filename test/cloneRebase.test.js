@@ -0,0 +1,122 @@
+// test/cloneRebase.test.js
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import FieldProfile from '../models/FieldProfile.js';
+import Setting from '../models/Setting.js';
+import VoterHistory from '../models/VoterHistory.js';
+import VoterTombstone from '../models/VoterTombstone.js';
+import { getVoterModel } from '../models/Voter.js';
+import { REMOVED_FLAG, getRebaseState, rebaseClone, startRebase } from '../lib/cloneRebase.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const MASTER = 'ward_12';
+const CLONE = 'u_asha_ward_12';
+
+const MasterModel = getVoterModel(MASTER);
+const CloneModel = getVoterModel(CLONE);
+const master = memoryModel(MasterModel);
+const clone = memoryModel(CloneModel);
+const history = memoryModel(VoterHistory);
+const tombstones = memoryModel(VoterTombstone);
+memoryModel(FieldProfile);
+memoryModel(Setting);
+mock.method(CloneModel.collection, 'insertOne', (doc) => CloneModel.create(doc));
+
+const actor = { id: 'admin1', username: 'admin' };
+
+beforeEach(() => {
+  for (const store of [master, clone, history, tombstones]) store.reset();
+});
+
+// imported rolls have ObjectId _ids
+const ids = Object.fromEntries(['v1', 'v2', 'v3', 'team-1'].map((key) => [key, new mongoose.Types.ObjectId()]));
+const cloned = (key) => clone.rows.find((v) => String(v._id) === String(ids[key]));
+
+// the clone as $out made it: same _ids and data
+function seed(voters) {
+  master.insert(voters);
+  clone.insert(voters);
+}
+
+test('new master voters are copied and missing ones flagged, not deleted', async () => {
+  seed([{ _id: ids.v1, name: 'Asha' }, { _id: ids.v2, name: 'Ravi' }]);
+  master.rows.splice(1, 1);
+  master.insert({ _id: ids.v3, name: 'Meena' });
+  clone.insert({ _id: ids['team-1'], name: 'Added by team' });
+  history.insert({ databaseId: CLONE, voterId: String(ids['team-1']), version: 1, op: 'create', changes: [] });
+
+  const summary = await rebaseClone(CLONE, MASTER, { actor });
+
+  assert.deepEqual([summary.scanned, summary.added, summary.unchanged, summary.removed], [2, 1, 1, 1]);
+  assert.equal(cloned('v3').name, 'Meena');
+  assert.ok(cloned('v3').__search);
+  assert.ok(cloned('v2')[REMOVED_FLAG] instanceof Date);
+  assert.equal(cloned('team-1')[REMOVED_FLAG], undefined);
+  assert.ok(history.rows.some((h) => h.voterId === String(ids.v3) && h.op === 'create' && h.source === 'rebase'));
+});
+
+test('master changes merge in unless the team edited or owns the field', async () => {
+  seed([{ _id: ids.v1, name: 'Asha', Booth: '12', address: 'Old', mobile: '9876543210' }]);
+  Object.assign(master.rows[0], { name: 'Asha Patil', Booth: '14', address: 'New', mobile: '9123456789' });
+  cloned('v1').address = 'Team fixed';
+  history.insert({
+    databaseId: CLONE, voterId: String(ids.v1), version: 1, op: 'update', source: 'patch',
+    changes: [{ field: 'address', before: 'Old', after: 'Team fixed' }],
+  });
+
+  const summary = await rebaseClone(CLONE, MASTER, { actor });
+
+  assert.equal(summary.merged, 1);
+  assert.deepEqual(summary.keptFields, { address: 1, mobile: 1 });
+  assert.deepEqual(
+    [cloned('v1').name, cloned('v1').Booth, cloned('v1').address, cloned('v1').mobile],
+    ['Asha Patil', '14', 'Team fixed', '9876543210']
+  );
+  assert.equal(history.rows.at(-1).source, 'rebase');
+});
+
+test('voters the team deleted stay deleted, tombstone or not', async () => {
+  seed([{ _id: ids.v1, name: 'Asha' }, { _id: ids.v2, name: 'Ravi' }]);
+  clone.reset();
+  tombstones.insert({ databaseId: CLONE, voterId: String(ids.v1), deletedAt: new Date() });
+  history.insert({ databaseId: CLONE, voterId: String(ids.v2), version: 1, op: 'delete', changes: [] });
+
+  const summary = await rebaseClone(CLONE, MASTER, { actor });
+  assert.equal(summary.skippedDeleted, 2);
+  assert.equal(clone.rows.length, 0);
+});
+
+test('a voter back in the master is restored', async () => {
+  seed([{ _id: ids.v1, name: 'Asha' }]);
+  cloned('v1')[REMOVED_FLAG] = new Date();
+
+  const summary = await rebaseClone(CLONE, MASTER, { actor });
+  assert.equal(summary.restored, 1);
+  assert.equal(cloned('v1')[REMOVED_FLAG], undefined);
+});
+
+test('a dry run counts without writing', async () => {
+  seed([{ _id: ids.v1, name: 'Asha' }]);
+  master.rows[0].name = 'Asha Patil';
+  master.insert({ _id: ids.v2, name: 'Ravi' });
+  const before = JSON.stringify(clone.rows);
+
+  const summary = await rebaseClone(CLONE, MASTER, { dryRun: true, actor });
+  assert.deepEqual([summary.added, summary.merged], [1, 1]);
+  assert.equal(JSON.stringify(clone.rows), before);
+  assert.equal(history.rows.length, 0);
+});
+
+test('startRebase runs once at a time and records the outcome', async () => {
+  seed([{ _id: ids.v1, name: 'Asha' }]);
+
+  const status = startRebase(CLONE, MASTER, { actor });
+  assert.equal(status.state, 'running');
+  assert.equal(startRebase(CLONE, MASTER, { actor }), null);
+
+  while (getRebaseState(CLONE).state === 'running') await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(getRebaseState(CLONE).state, 'done');
+  assert.equal(getRebaseState(CLONE).summary.unchanged, 1);
+  assert.deepEqual(getRebaseState('u_other_ward_12'), { state: 'idle' });
+});
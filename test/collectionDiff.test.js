@@ -0,0 +1,125 @@
+// test/collectionDiff.test.js
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import FieldProfile from '../models/FieldProfile.js';
+import { getVoterModel } from '../models/Voter.js';
+import {
+  DIFF_TYPES,
+  decodeDiffCursor,
+  diffCsvRows,
+  diffPage,
+  diffSummary,
+  encodeDiffCursor,
+} from '../lib/collectionDiff.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const MASTER = 'ward_12';
+const CLONE = 'u_asha_ward_12';
+
+const master = memoryModel(getVoterModel(MASTER));
+const clone = memoryModel(getVoterModel(CLONE));
+memoryModel(FieldProfile);
+
+const ids = Object.fromEntries(
+  ['same', 'edited', 'reimported', 'masterCopy', 'added', 'removed'].map((key) => [key, new mongoose.Types.ObjectId()])
+);
+
+beforeEach(() => {
+  master.reset();
+  clone.reset();
+  master.insert([
+    { _id: ids.same, name: 'Asha', voter_id: 'ABC0001' },
+    { _id: ids.edited, name: 'Ravi', voter_id: 'ABC0002' },
+    { _id: ids.masterCopy, name: 'Meena', voter_id: 'ABC0003' },
+    { _id: ids.removed, name: 'Sunil', voter_id: 'ABC0004' },
+  ]);
+  clone.insert([
+    { _id: ids.same, name: 'Asha', voter_id: 'ABC0001' },
+    { _id: ids.edited, name: 'Ravi Kumar', voter_id: 'ABC0002' },
+    { _id: ids.reimported, name: 'Meena K', voter_id: 'ABC0003' },
+    { _id: ids.added, name: 'Kiran' },
+  ]);
+});
+
+const all = { types: DIFF_TYPES };
+
+async function walk(matchBy, limit) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await diffPage(CLONE, MASTER, { ...all, matchBy, cursor, limit });
+    assert.ok(page.items.length <= limit);
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+test('records are paired by _id first and EPIC second', async () => {
+  const items = await walk('both', 50);
+  assert.deepEqual(
+    items.map((i) => [i.type, String(i._id), i.matchedBy]),
+    [
+      ['modified', String(ids.edited), 'id'],
+      ['modified', String(ids.reimported), 'epic'],
+      ['added', String(ids.added), null],
+      ['removed', String(ids.removed), null],
+    ]
+  );
+  const edited = items[0];
+  assert.deepEqual(edited.changes, [{ field: 'name', before: 'Ravi', after: 'Ravi Kumar' }]);
+  assert.equal(String(items[1].otherId), String(ids.masterCopy));
+  assert.equal(items[1].epic, 'ABC0003');
+});
+
+test('the match mode decides what counts as the same voter', async () => {
+  assert.deepEqual(await diffSummary(CLONE, MASTER, { ...all, matchBy: 'both' }), { added: 1, removed: 1, modified: 2 });
+  assert.deepEqual(await diffSummary(CLONE, MASTER, { ...all, matchBy: 'id' }), { added: 2, removed: 2, modified: 1 });
+  assert.deepEqual(await diffSummary(CLONE, MASTER, { ...all, matchBy: 'epic' }), { added: 1, removed: 1, modified: 2 });
+});
+
+test('only the requested types are reported', async () => {
+  assert.deepEqual(await diffSummary(CLONE, MASTER, { matchBy: 'both', types: ['removed'] }), { removed: 1 });
+  const { items } = await diffPage(CLONE, MASTER, { matchBy: 'both', types: ['added'], limit: 10 });
+  assert.deepEqual(items.map((i) => String(i._id)), [String(ids.added)]);
+});
+
+test('paging one item at a time walks the same report across both phases', async () => {
+  const whole = await walk('both', 50);
+  const paged = await walk('both', 1);
+  assert.deepEqual(paged.map((i) => [i.type, String(i._id)]), whole.map((i) => [i.type, String(i._id)]));
+});
+
+test('diff cursors round-trip and reject tampering', () => {
+  const token = encodeDiffCursor({ phase: 2, lastId: ids.removed });
+  const decoded = decodeDiffCursor(token);
+  assert.equal(decoded.phase, 2);
+  assert.equal(decoded.lastId.type, 'objectId');
+  assert.equal(String(decoded.lastId.value), String(ids.removed));
+
+  assert.equal(decodeDiffCursor(''), null);
+  assert.throws(() => decodeDiffCursor('not-a-cursor'), /Invalid cursor/);
+  const badPhase = Buffer.from(JSON.stringify({ p: 3, i: JSON.parse(Buffer.from(token, 'base64url')).i })).toString('base64url');
+  assert.throws(() => decodeDiffCursor(badPhase), /Invalid cursor/);
+});
+
+test('CSV rows are one per changed field or per added and removed record', async () => {
+  const rows = diffCsvRows(CLONE, MASTER, { ...all, matchBy: 'both' });
+  const seen = [];
+  for await (const row of rows) seen.push([row.type, row.field, row.value, row.otherValue]);
+  assert.deepEqual(seen, [
+    ['modified', 'name', 'Ravi Kumar', 'Ravi'],
+    ['modified', 'name', 'Meena K', 'Meena'],
+    ['added', undefined, undefined, undefined],
+    ['removed', undefined, undefined, undefined],
+  ]);
+});
+
+test('closing the CSV rows early stops the comparison', async () => {
+  const rows = diffCsvRows(CLONE, MASTER, { ...all, matchBy: 'both' });
+  const iterator = rows[Symbol.asyncIterator]();
+  assert.equal((await iterator.next()).value.type, 'modified');
+  await rows.close();
+  assert.equal((await iterator.next()).done, true);
+});
@@ -0,0 +1,133 @@
+// test/devicePolicy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_DEVICE_POLICY,
+  applyLoginDevice,
+  changedDeviceRoles,
+  checkRefreshDevice,
+  checkRequestDevice,
+  enforceDeviceRule,
+  knownDeviceIds,
+  normalizeDevicePolicy,
+  normalizeDeviceRule,
+  removeDevice,
+  resetDevices,
+  resolveDeviceRule,
+} from '../lib/devicePolicy.js';
+
+const ACTIONS = { bound: 'BOUND_LOGIN', track: 'VOLUNTEER_LOGIN', switch: 'VOLUNTEER_DEVICE_SWITCH', label: 'login' };
+const PHONE_A = 'device-aaaa';
+const PHONE_B = 'device-bbbb';
+const PHONE_C = 'device-cccc';
+
+test('normalizeDeviceRule accepts modes and bounded device limits', () => {
+  assert.deepEqual(normalizeDeviceRule('Strict'), { rule: { mode: 'strict' } });
+  assert.deepEqual(normalizeDeviceRule({ mode: 'max', maxDevices: 2 }), { rule: { mode: 'max', maxDevices: 2 } });
+  assert.match(normalizeDeviceRule({ mode: 'max', maxDevices: 0 }).error, /maxDevices/);
+  assert.match(normalizeDeviceRule('sometimes').error, /mode must be one of/);
+});
+
+test('normalizeDevicePolicy keeps defaults for roles it does not set', () => {
+  const { policy } = normalizeDevicePolicy({ roles: { volunteer: 'strict' } });
+  assert.deepEqual(policy.roles, { ...DEFAULT_DEVICE_POLICY.roles, volunteer: { mode: 'strict' } });
+  assert.match(normalizeDevicePolicy({ roles: { guest: 'off' } }).error, /Unknown role/);
+});
+
+test('changedDeviceRoles lists the roles whose rule changed', () => {
+  const { policy } = normalizeDevicePolicy({
+    roles: { volunteer: { mode: 'max', maxDevices: 2 }, candidate: 'strict' },
+  });
+  assert.deepEqual(changedDeviceRoles(DEFAULT_DEVICE_POLICY, policy), ['volunteer']);
+  const { policy: fewer } = normalizeDevicePolicy({ roles: { volunteer: { mode: 'max', maxDevices: 1 } } });
+  assert.deepEqual(changedDeviceRoles(policy, fewer), ['volunteer']);
+  assert.deepEqual(changedDeviceRoles(fewer, fewer), []);
+});
+
+test('resolveDeviceRule prefers the user override over the role rule', () => {
+  assert.deepEqual(resolveDeviceRule({ role: 'candidate' }, DEFAULT_DEVICE_POLICY), { mode: 'strict', source: 'role' });
+  assert.deepEqual(
+    resolveDeviceRule({ role: 'candidate', devicePolicy: { mode: 'max', maxDevices: 3 } }, DEFAULT_DEVICE_POLICY),
+    { mode: 'max', maxDevices: 3, source: 'user' }
+  );
+  assert.deepEqual(resolveDeviceRule({ role: 'nobody' }, DEFAULT_DEVICE_POLICY), { mode: 'off', source: 'role' });
+});
+
+test('strict binds the first device and refuses any other', () => {
+  const user = {};
+  const rule = { mode: 'strict' };
+  assert.equal(applyLoginDevice(user, PHONE_A, rule, ACTIONS), null);
+  assert.equal(user.deviceIdBound, PHONE_A);
+  assert.equal(applyLoginDevice(user, PHONE_B, rule, ACTIONS).body.error, 'ACCOUNT_LOCKED_DIFFERENT_DEVICE');
+  assert.equal(applyLoginDevice(user, 'x', rule, ACTIONS).status, 400);
+  assert.equal(applyLoginDevice(user, PHONE_A, rule, ACTIONS), null);
+});
+
+test('max allows up to maxDevices different devices', () => {
+  const user = {};
+  const rule = { mode: 'max', maxDevices: 2 };
+  assert.equal(applyLoginDevice(user, PHONE_A, rule, ACTIONS), null);
+  assert.equal(applyLoginDevice(user, PHONE_B, rule, ACTIONS), null);
+  assert.equal(applyLoginDevice(user, PHONE_C, rule, ACTIONS).body.error, 'DEVICE_LIMIT_REACHED');
+  assert.equal(applyLoginDevice(user, PHONE_A, rule, ACTIONS), null);
+  assert.deepEqual(knownDeviceIds(user), [PHONE_A, PHONE_B]);
+});
+
+test('track records device switches without refusing them', () => {
+  const user = {};
+  const rule = { mode: 'track' };
+  assert.equal(applyLoginDevice(user, PHONE_A, rule, ACTIONS), null);
+  assert.equal(applyLoginDevice(user, PHONE_B, rule, ACTIONS), null);
+  assert.equal(user.deviceIdBound, PHONE_B);
+  assert.deepEqual(user.deviceHistory.map((h) => h.action), ['VOLUNTEER_LOGIN', 'VOLUNTEER_DEVICE_SWITCH', 'VOLUNTEER_LOGIN']);
+  assert.equal(applyLoginDevice(user, null, rule, ACTIONS), null);
+});
+
+test('knownDeviceIds counts a binding made before the device list existed', () => {
+  assert.deepEqual(knownDeviceIds({ deviceIdBound: PHONE_A }), [PHONE_A]);
+  assert.deepEqual(knownDeviceIds({ deviceIdBound: PHONE_A, devices: [{ deviceId: PHONE_B }] }), [PHONE_B]);
+});
+
+test('checkRequestDevice only lets allowed devices through', () => {
+  const user = { deviceIdBound: PHONE_A, devices: [{ deviceId: PHONE_A }] };
+  assert.equal(checkRequestDevice(user, PHONE_A, { mode: 'strict' }), null);
+  assert.equal(checkRequestDevice(user, PHONE_B, { mode: 'strict' }).status, 423);
+  assert.equal(checkRequestDevice({}, PHONE_A, { mode: 'strict' }).body.error, 'DEVICE_NOT_BOUND');
+  assert.equal(checkRequestDevice(user, PHONE_B, { mode: 'track' }), null);
+});
+
+test('checkRefreshDevice keeps a refresh token on its own, allowed device', () => {
+  const user = { deviceIdBound: PHONE_A, devices: [{ deviceId: PHONE_A }] };
+  assert.deepEqual(checkRefreshDevice(user, PHONE_A, PHONE_B, { mode: 'off' }), { status: 401, error: 'DEVICE_MISMATCH' });
+  assert.deepEqual(checkRefreshDevice(user, PHONE_A, null, { mode: 'strict' }), { status: 401, error: 'DEVICE_REQUIRED' });
+  assert.equal(checkRefreshDevice(user, null, null, { mode: 'track' }), null);
+  assert.equal(checkRefreshDevice(user, PHONE_A, PHONE_A, { mode: 'strict' }), null);
+  assert.deepEqual(
+    checkRefreshDevice({ ...user, devices: [{ deviceId: PHONE_B }] }, null, PHONE_A, { mode: 'max', maxDevices: 1 }),
+    { status: 423, error: 'ACCOUNT_LOCKED_DIFFERENT_DEVICE' }
+  );
+});
+
+test('enforceDeviceRule keeps the most recently seen devices under a tighter max', () => {
+  const user = {
+    deviceIdBound: PHONE_A,
+    devices: [
+      { deviceId: PHONE_A, lastSeenAt: new Date('2026-01-01') },
+      { deviceId: PHONE_B, lastSeenAt: new Date('2026-03-01') },
+      { deviceId: PHONE_C, lastSeenAt: new Date('2026-02-01') },
+    ],
+  };
+  assert.deepEqual(enforceDeviceRule(user, { mode: 'max', maxDevices: 2 }, 'admin'), [PHONE_B, PHONE_C]);
+  assert.equal(user.deviceIdBound, null);
+  assert.equal(enforceDeviceRule(user, { mode: 'off' }, 'admin'), null);
+});
+
+test('removeDevice and resetDevices forget devices with a history entry', () => {
+  const user = { deviceIdBound: PHONE_A, devices: [{ deviceId: PHONE_A }, { deviceId: PHONE_B }] };
+  assert.equal(removeDevice(user, PHONE_C, 'admin'), false);
+  assert.equal(removeDevice(user, PHONE_B, 'admin'), true);
+  assert.deepEqual(knownDeviceIds(user), [PHONE_A]);
+  resetDevices(user, 'admin');
+  assert.deepEqual(knownDeviceIds(user), []);
+  assert.deepEqual(user.deviceHistory.map((h) => h.action), ['REMOVED', 'RESET']);
+});
@@ -0,0 +1,82 @@
+// test/fieldProfiles.test.js
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import FieldProfile from '../models/FieldProfile.js';
+import {
+  DEFAULT_FIELD_PROFILE,
+  deleteFieldProfile,
+  getFieldProfile,
+  normalizeProfileFields,
+  profilePaths,
+  profileWritePath,
+  saveFieldProfile,
+  searchPaths,
+} from '../lib/fieldProfiles.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const profiles = memoryModel(FieldProfile);
+
+beforeEach(async () => {
+  profiles.reset();
+  await deleteFieldProfile('none'); // drops the cached profiles
+});
+
+test('normalizeProfileFields trims and de-duplicates paths', () => {
+  assert.deepEqual(normalizeProfileFields({ name: [' __raw.नाव ', '__raw.नाव'], epic: 'EPIC' }), {
+    fields: { name: ['__raw.नाव'], epic: ['EPIC'] },
+  });
+});
+
+test('normalizeProfileFields refuses unknown fields and unsafe paths', () => {
+  assert.match(normalizeProfileFields({ nickname: ['x'] }).error, /Unknown field "nickname"/);
+  assert.match(normalizeProfileFields({ name: ['$where'] }).error, /Invalid path for "name"/);
+  assert.match(normalizeProfileFields({ name: ['a..b'] }).error, /Invalid path/);
+  assert.match(normalizeProfileFields({ name: [''] }).error, /Invalid path/);
+  assert.match(normalizeProfileFields(['name']).error, /must be an object/);
+});
+
+test('a collection without a profile uses the defaults', async () => {
+  const profile = await getFieldProfile('ward_12');
+  assert.equal(profile.isDefault, true);
+  assert.deepEqual(profilePaths(profile, 'name'), DEFAULT_FIELD_PROFILE.name);
+  assert.deepEqual(profilePaths(profile, 'nickname'), []);
+});
+
+test('a stored profile replaces the defaults of the fields it maps', async () => {
+  await saveFieldProfile('ward_12', { name: ['__raw.नाव'] }, 'admin');
+  const profile = await getFieldProfile('ward_12');
+
+  assert.equal(profile.source, 'ward_12');
+  assert.deepEqual(profilePaths(profile, 'name'), ['__raw.नाव']);
+  assert.deepEqual(profilePaths(profile, 'epic'), DEFAULT_FIELD_PROFILE.epic);
+});
+
+test('per-user clones inherit the profile of their master', async () => {
+  await saveFieldProfile('ward_1', { name: ['w1'] });
+  await saveFieldProfile('ward_12', { name: ['w12'] });
+
+  const clone = await getFieldProfile('u_asha_ward_12');
+  assert.equal(clone.source, 'ward_12');
+  assert.deepEqual(profilePaths(clone, 'name'), ['w12']);
+
+  await saveFieldProfile('u_asha_ward_12', { name: ['own'] });
+  assert.deepEqual(profilePaths(await getFieldProfile('u_asha_ward_12'), 'name'), ['own']);
+
+  assert.equal(await deleteFieldProfile('u_asha_ward_12'), true);
+  assert.deepEqual(profilePaths(await getFieldProfile('u_asha_ward_12'), 'name'), ['w12']);
+});
+
+test('searchPaths lists the searched fields once each', async () => {
+  await saveFieldProfile('ward_12', { name: ['shared'], epic: ['shared', 'EPIC'], mobile: ['m'], booth: ['b'] });
+  assert.deepEqual(searchPaths(await getFieldProfile('ward_12')), ['shared', 'EPIC', 'm', 'b']);
+});
+
+test('profileWritePath writes a profile field where the voter keeps it', () => {
+  const profile = { fields: DEFAULT_FIELD_PROFILE };
+  const imported = { __raw: { पत्ता: 'Old address', EPIC: 'ABC1234567' } };
+  assert.equal(profileWritePath(imported, profile, 'address'), '__raw.पत्ता');
+  assert.equal(profileWritePath(imported, profile, 'Address'), '__raw.पत्ता', 'any path of the field');
+  assert.equal(profileWritePath({ address: ' ' }, profile, 'address'), 'address', 'blank values do not count');
+  assert.equal(profileWritePath({}, profile, 'address'), 'address');
+  assert.equal(profileWritePath(imported, profile, 'caste'), 'caste', 'not a profile field');
+});
@@ -0,0 +1,91 @@
+// test/fieldVersions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  FIELD_VERSIONS_ROOT,
+  fieldVersionsUpdate,
+  isReservedField,
+  mergeFieldChanges,
+  mergedSetUpdate,
+  sameValue,
+} from '../lib/fieldVersions.js';
+
+const T1 = '2026-01-01T00:00:00.000Z';
+const T2 = '2026-01-02T00:00:00.000Z';
+const T3 = '2026-01-03T00:00:00.000Z';
+
+test('isReservedField refuses server fields, operators and dotted paths', () => {
+  for (const field of ['_id', 'updatedAt', '__search', FIELD_VERSIONS_ROOT, '__masterVersions', '$set', 'a.b']) {
+    assert.equal(isReservedField(field), true, field);
+  }
+  assert.equal(isReservedField('name'), false);
+});
+
+test('sameValue compares plain values deeply and ObjectIds by hex', () => {
+  const id = new mongoose.Types.ObjectId();
+  assert.equal(sameValue({ a: [1, 2] }, { a: [1, 2] }), true);
+  assert.equal(sameValue({ by: id }, { by: new mongoose.Types.ObjectId(id.toHexString()) }), true);
+  assert.equal(sameValue('1', 1), false);
+});
+
+test('fieldVersionsUpdate stamps top-level fields and skips reserved ones', () => {
+  const at = new Date(T1);
+  assert.deepEqual(fieldVersionsUpdate(['support.tags', 'name', '__search.name'], at), {
+    [`${FIELD_VERSIONS_ROOT}.support`]: at,
+    [`${FIELD_VERSIONS_ROOT}.name`]: at,
+  });
+});
+
+test('mergeFieldChanges merges edits to different fields of one voter', () => {
+  const doc = {
+    name: 'Ram',
+    mobile: '9800000000',
+    updatedAt: new Date(T1),
+    [FIELD_VERSIONS_ROOT]: { name: new Date(T2), mobile: new Date(T1) },
+  };
+  const result = mergeFieldChanges(doc, {
+    payload: { name: 'Ram', mobile: '9811111111' },
+    updatedAt: T3,
+  });
+  assert.deepEqual(result.values, { mobile: '9811111111' });
+  assert.deepEqual(result.versions, { mobile: new Date(T3) });
+  assert.deepEqual(result.conflicts, []);
+});
+
+test('mergeFieldChanges reports an older client edit as a conflict', () => {
+  const doc = { name: 'Ram', [FIELD_VERSIONS_ROOT]: { name: new Date(T3) } };
+  const result = mergeFieldChanges(doc, {
+    payload: { name: 'Shyam', age: 40 },
+    updatedAt: T1,
+    fieldVersions: { age: T3 },
+  });
+  assert.deepEqual(result.values, { age: 40 });
+  assert.deepEqual(result.conflicts, [{
+    field: 'name',
+    serverValue: 'Ram',
+    clientValue: 'Shyam',
+    serverVersion: T3,
+    clientVersion: T1,
+  }]);
+});
+
+test('mergeFieldChanges falls back to updatedAt for unversioned fields', () => {
+  const doc = { name: 'Ram', updatedAt: new Date(T2) };
+  assert.equal(mergeFieldChanges(doc, { payload: { name: 'Shyam' }, updatedAt: T1 }).conflicts.length, 1);
+  assert.deepEqual(mergeFieldChanges(doc, { payload: { name: 'Shyam' }, updatedAt: T3 }).values, { name: 'Shyam' });
+});
+
+test('mergeFieldChanges accepts every field on create and skips reserved keys', () => {
+  const result = mergeFieldChanges(null, { payload: { name: 'Ram', _id: 'x', 'a.b': 1 }, updatedAt: T1 });
+  assert.deepEqual(result.values, { name: 'Ram' });
+  assert.deepEqual(result.ignored, ['_id', 'a.b']);
+});
+
+test('mergedSetUpdate writes values with their version stamps', () => {
+  const at = new Date(T1);
+  assert.deepEqual(mergedSetUpdate({ values: { name: 'Ram' }, versions: { name: at } }), {
+    name: 'Ram',
+    [`${FIELD_VERSIONS_ROOT}.name`]: at,
+  });
+});
@@ -0,0 +1,454 @@
+// test/helpers/memoryModel.js
+// In-memory stand-in for a Mongoose model, for tests of lib/ modules that
+// talk to Mongo. Every call first waits a tick, like a round trip to the
+// server, then runs in one step, like a single-document Mongo operation:
+// parallel callers interleave between calls, never inside one.
+// Inserts get the schema's defaults and timestamps and respect its unique
+// indexes (E11000). Aggregation runs $match, $sort, $limit and $group
+// ($first, $sum). Operators and stages it does not know throw instead of
+// being ignored. Results are plain objects, lean or not, and ObjectIds match
+// their hex strings as they do once Mongoose has cast them.
+
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+
+const { Types } = mongoose;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const isObjectId = (v) => v instanceof Types.ObjectId;
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !isObjectId(v) && !(v instanceof RegExp);
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+}
+
+/* ------------------------------- values ------------------------------- */
+
+// BSON comparison order of the types tests meet
+function typeRank(v) {
+  if (v === undefined || v === null) return 1;
+  if (typeof v === 'number') return 2;
+  if (typeof v === 'string') return 3;
+  if (Array.isArray(v)) return 5;
+  if (isObjectId(v)) return 7;
+  if (typeof v === 'boolean') return 8;
+  if (v instanceof Date) return 9;
+  return 4;
+}
+
+// a hex string compared with an ObjectId stands for that ObjectId (Mongoose casts it)
+function castPair(a, b) {
+  if (isObjectId(a) && typeof b === 'string' && Types.ObjectId.isValid(b)) return [a, new Types.ObjectId(b)];
+  if (isObjectId(b) && typeof a === 'string' && Types.ObjectId.isValid(a)) return [new Types.ObjectId(a), b];
+  return [a, b];
+}
+
+/** BSON-style ordering: by type bracket first, then by value */
+export function compareValues(left, right) {
+  const [a, b] = castPair(left, right);
+  const rank = typeRank(a) - typeRank(b);
+  if (rank) return rank;
+  if (a === undefined || a === null) return 0;
+  if (isObjectId(a)) return a.toHexString() < b.toHexString() ? -1 : a.toHexString() > b.toHexString() ? 1 : 0;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  const x = JSON.stringify(a);
+  const y = JSON.stringify(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function sameValue(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+function getPath(doc, path) {
+  let node = doc;
+  for (const part of path.split('.')) {
+    if (node === undefined || node === null) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let node = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split('.');
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+/* ------------------------------- queries ------------------------------- */
+
+const TYPE_NAMES = {
+  number: 2, double: 2, int: 2, long: 2, decimal: 2,
+  string: 3, object: 4, array: 5, objectId: 7, bool: 8, date: 9, null: 1,
+};
+
+// value or, for an array field, any of its items
+function anyOf(value, test) {
+  return test(value) || (Array.isArray(value) && value.some(test));
+}
+
+function compareOp(value, operand, ok) {
+  return anyOf(value, (v) => typeRank(v) === typeRank(castPair(v, operand)[1]) && ok(compareValues(v, operand)));
+}
+
+function equalsOp(value, operand) {
+  if (operand instanceof RegExp) return anyOf(value, (v) => typeof v === 'string' && operand.test(v));
+  if (operand === null) return value === undefined || value === null;
+  return anyOf(value, (v) => sameValue(v, operand));
+}
+
+const QUERY_OPS = {
+  $eq: equalsOp,
+  $ne: (value, operand) => !equalsOp(value, operand),
+  $gt: (value, operand) => compareOp(value, operand, (c) => c > 0),
+  $gte: (value, operand) => compareOp(value, operand, (c) => c >= 0),
+  $lt: (value, operand) => compareOp(value, operand, (c) => c < 0),
+  $lte: (value, operand) => compareOp(value, operand, (c) => c <= 0),
+  $in: (value, operand) => operand.some((item) => equalsOp(value, item)),
+  $nin: (value, operand) => !operand.some((item) => equalsOp(value, item)),
+  $exists: (value, operand) => (value !== undefined) === !!operand,
+  $type: (value, operand) => value !== undefined && (TYPE_NAMES[operand] === typeRank(value) || (Array.isArray(value) && value.some((v) => TYPE_NAMES[operand] === typeRank(v)))),
+  $size: (value, operand) => Array.isArray(value) && value.length === operand,
+  $not: (value, operand) => !matchCondition(value, operand),
+  $elemMatch: (value, operand) => Array.isArray(value) && value.some((item) => (isPlainObject(item) ? matches(item, operand) : matchCondition(item, operand))),
+};
+
+function matchCondition(value, cond) {
+  if (!isPlainObject(cond) || !Object.keys(cond).some((k) => k.startsWith('$'))) return equalsOp(value, cond);
+  return Object.entries(cond).every(([op, operand]) => {
+    if (op === '$options') return true;
+    if (op === '$regex') {
+      const rx = operand instanceof RegExp ? operand : new RegExp(operand, cond.$options || '');
+      return equalsOp(value, rx);
+    }
+    if (!QUERY_OPS[op]) throw new Error(`memoryModel: unsupported query operator ${op}`);
+    return QUERY_OPS[op](value, operand);
+  });
+}
+
+/** Whether a document matches a Mongo filter */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((f) => matches(doc, f));
+    if (key === '$and') return cond.every((f) => matches(doc, f));
+    if (key === '$nor') return !cond.some((f) => matches(doc, f));
+    if (key.startsWith('$')) throw new Error(`memoryModel: unsupported query operator ${key}`);
+    return matchCondition(getPath(doc, key), cond);
+  });
+}
+
+/** Sort documents by a Mongo sort spec ({ field: 1 | -1 }) */
+export function sortDocuments(docs, spec = {}) {
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [key, dir] of keys) {
+      const c = compareValues(getPath(a, key), getPath(b, key));
+      if (c) return dir < 0 ? -c : c;
+    }
+    return 0;
+  });
+}
+
+/* ------------------------------- updates ------------------------------- */
+
+const UPDATE_OPS = {
+  $set: (doc, path, value) => setPath(doc, path, clone(value)),
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, value) => setPath(doc, path, (getPath(doc, path) || 0) + value),
+  $min: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) < 0) setPath(doc, path, clone(value));
+  },
+  $max: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) > 0) setPath(doc, path, clone(value));
+  },
+  $push: (doc, path, value) => {
+    const list = Array.isArray(getPath(doc, path)) ? getPath(doc, path) : [];
+    const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+    list.push(...items.map(clone));
+    if (isPlainObject(value) && value.$slice !== undefined) list.splice(0, Math.max(0, list.length - Math.abs(value.$slice)));
+    setPath(doc, path, list);
+  },
+  $addToSet: (doc, path, value) => {
+    const list = Array.isArray(getPath(doc, path)) ? getPath(doc, path) : [];
+    const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+    for (const item of items) if (!list.some((v) => sameValue(v, item))) list.push(clone(item));
+    setPath(doc, path, list);
+  },
+  $pull: (doc, path, cond) => {
+    const list = getPath(doc, path);
+    if (!Array.isArray(list)) return;
+    setPath(doc, path, list.filter((item) => !(isPlainObject(item) && isPlainObject(cond) ? matches(item, cond) : matchCondition(item, cond))));
+  },
+};
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  const ops = Object.keys(update).some((k) => k.startsWith('$')) ? update : { $set: update };
+  for (const [op, fields] of Object.entries(ops)) {
+    if (op === '$setOnInsert') {
+      if (inserting) for (const [path, value] of Object.entries(fields)) setPath(doc, path, clone(value));
+      continue;
+    }
+    if (!UPDATE_OPS[op]) throw new Error(`memoryModel: unsupported update operator ${op}`);
+    for (const [path, value] of Object.entries(fields)) UPDATE_OPS[op](doc, path, value);
+  }
+}
+
+// equality fields of a filter seed an upserted document
+function seedFromFilter(filter) {
+  const doc = {};
+  for (const [key, cond] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isPlainObject(cond) && Object.keys(cond).some((k) => k.startsWith('$'))) {
+      if ('$eq' in cond) setPath(doc, key, clone(cond.$eq));
+      continue;
+    }
+    setPath(doc, key, clone(cond));
+  }
+  return doc;
+}
+
+/* ----------------------------- aggregation ----------------------------- */
+
+// value of an expression: "$path" reads the document, anything else is a constant
+function expressionValue(doc, expr) {
+  return typeof expr === 'string' && expr.startsWith('$') ? getPath(doc, expr.slice(1)) : expr;
+}
+
+const ACCUMULATORS = {
+  $first: (docs, expr) => (docs.length ? expressionValue(docs[0], expr) : null),
+  $sum: (docs, expr) => docs.reduce((n, doc) => n + (Number(expressionValue(doc, expr)) || 0), 0),
+};
+
+function groupStage(docs, { _id: keyExpr, ...fields }) {
+  const groups = [];
+  for (const doc of docs) {
+    const key = expressionValue(doc, keyExpr) ?? null;
+    let group = groups.find((g) => sameValue(g.key, key));
+    if (!group) groups.push((group = { key, docs: [] }));
+    group.docs.push(doc);
+  }
+  return groups.map(({ key, docs: members }) => {
+    const out = { _id: key };
+    for (const [field, acc] of Object.entries(fields)) {
+      const [op, expr] = Object.entries(acc)[0];
+      if (!ACCUMULATORS[op]) throw new Error(`memoryModel: unsupported accumulator ${op}`);
+      out[field] = ACCUMULATORS[op](members, expr);
+    }
+    return out;
+  });
+}
+
+const STAGES = {
+  $match: (docs, filter) => docs.filter((doc) => matches(doc, filter)),
+  $sort: (docs, spec) => sortDocuments(docs, spec),
+  $limit: (docs, n) => docs.slice(0, n),
+  $group: groupStage,
+};
+
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((out, stage) => {
+    const [name, arg] = Object.entries(stage)[0];
+    if (!STAGES[name]) throw new Error(`memoryModel: unsupported pipeline stage ${name}`);
+    return STAGES[name](out, arg);
+  }, docs);
+}
+
+/* -------------------------------- model -------------------------------- */
+
+function duplicateKeyError(index) {
+  const err = new Error(`E11000 duplicate key error (${Object.keys(index).join(', ')})`);
+  err.code = 11000;
+  return err;
+}
+
+/**
+ * Replace the collection behind `Model` with an in-memory one for the rest
+ * of the test file. Returns { rows, reset(), insert(docs) }; `rows` is the
+ * live list of stored documents.
+ */
+export function memoryModel(Model) {
+  const state = { rows: [] };
+  const timestamps = !!Model.schema.options.timestamps;
+  const uniqueIndexes = [
+    [{ _id: 1 }, {}],
+    ...Model.schema.indexes().filter(([, options]) => options?.unique),
+  ];
+
+  function checkUnique(doc, except = null) {
+    for (const [fields, options] of uniqueIndexes) {
+      if (options.partialFilterExpression && !matches(doc, options.partialFilterExpression)) continue;
+      const clash = state.rows.some((row) => row !== except
+        && (!options.partialFilterExpression || matches(row, options.partialFilterExpression))
+        && Object.keys(fields).every((key) => sameValue(getPath(row, key), getPath(doc, key))));
+      if (clash) throw duplicateKeyError(fields);
+    }
+  }
+
+  function insertOne(input) {
+    const doc = new Model(input).toObject({ depopulate: true, flattenMaps: true, versionKey: false });
+    if (timestamps) {
+      const now = new Date();
+      doc.createdAt = doc.createdAt || now;
+      doc.updatedAt = doc.updatedAt || now;
+    }
+    checkUnique(doc);
+    state.rows.push(doc);
+    return doc;
+  }
+
+  function updateRow(row, update, options = {}) {
+    const next = clone(row);
+    applyUpdate(next, update);
+    const modified = JSON.stringify(next) !== JSON.stringify(row);
+    if (modified && timestamps && options.timestamps !== false) next.updatedAt = new Date();
+    checkUnique(next, row);
+    Object.keys(row).forEach((k) => delete row[k]);
+    Object.assign(row, next);
+    return modified;
+  }
+
+  function upsertRow(filter, update) {
+    const seed = seedFromFilter(filter);
+    applyUpdate(seed, update, { inserting: true });
+    return insertOne(seed);
+  }
+
+  function findRows(filter, { sort } = {}) {
+    const found = state.rows.filter((row) => matches(row, filter || {}));
+    return sort ? sortDocuments(found, sort) : found;
+  }
+
+  // chainable query, run when awaited
+  function query(run, many) {
+    const opts = {};
+    const q = {
+      lean: () => q,
+      select: () => q,
+      collation: () => q,
+      session: () => q,
+      sort: (spec) => { opts.sort = spec; return q; },
+      skip: (n) => { opts.skip = n; return q; },
+      limit: (n) => { opts.limit = n; return q; },
+      exec: async () => {
+        await tick();
+        const result = run(opts);
+        if (!many) return clone(result ?? null);
+        const from = opts.skip || 0;
+        return clone(result.slice(from, opts.limit ? from + opts.limit : undefined));
+      },
+      then: (resolve, reject) => q.exec().then(resolve, reject),
+      cursor: () => ({
+        async *[Symbol.asyncIterator]() {
+          const docs = await q.exec();
+          yield* many ? docs : [docs].filter(Boolean);
+        },
+        close: async () => {},
+      }),
+    };
+    return q;
+  }
+
+  const methods = {
+    find: (filter) => query((opts) => findRows(filter, opts), true),
+    findOne: (filter) => query((opts) => findRows(filter, opts)[0], false),
+    findById: (id) => methods.findOne({ _id: id }),
+    countDocuments: (filter) => query(() => findRows(filter).length, false),
+    exists: (filter) => query(() => (findRows(filter)[0] ? { _id: findRows(filter)[0]._id } : null), false),
+    distinct: (field, filter) => query(() => {
+      const values = [];
+      for (const row of findRows(filter)) {
+        const value = getPath(row, field);
+        for (const v of Array.isArray(value) ? value : [value]) {
+          if (v !== undefined && !values.some((seen) => sameValue(seen, v))) values.push(v);
+        }
+      }
+      return values;
+    }, true),
+    aggregate: (pipeline) => query(() => runPipeline(state.rows, pipeline), true),
+    create: async (input) => {
+      await tick();
+      return Array.isArray(input) ? input.map((doc) => clone(insertOne(doc))) : clone(insertOne(input));
+    },
+    insertMany: async (docs) => {
+      await tick();
+      return docs.map((doc) => clone(insertOne(doc)));
+    },
+    updateOne: async (filter, update, options = {}) => {
+      await tick();
+      const row = findRows(filter, options)[0];
+      if (row) return { acknowledged: true, matchedCount: 1, modifiedCount: updateRow(row, update, options) ? 1 : 0, upsertedCount: 0 };
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const doc = upsertRow(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    },
+    updateMany: async (filter, update, options = {}) => {
+      await tick();
+      let modifiedCount = 0;
+      const rows = findRows(filter);
+      for (const row of rows) if (updateRow(row, update, options)) modifiedCount += 1;
+      return { acknowledged: true, matchedCount: rows.length, modifiedCount, upsertedCount: 0 };
+    },
+    findOneAndUpdate: (filter, update, options = {}) => query(() => {
+      const after = options.new || options.returnDocument === 'after';
+      const row = findRows(filter, options)[0];
+      if (!row) {
+        if (!options.upsert) return null;
+        const doc = upsertRow(filter, update);
+        return after ? doc : null;
+      }
+      const before = clone(row);
+      updateRow(row, update, options);
+      return after ? row : before;
+    }, false),
+    findByIdAndUpdate: (id, update, options) => methods.findOneAndUpdate({ _id: id }, update, options),
+    deleteOne: async (filter) => {
+      await tick();
+      const row = findRows(filter)[0];
+      if (row) state.rows.splice(state.rows.indexOf(row), 1);
+      return { acknowledged: true, deletedCount: row ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      await tick();
+      const before = state.rows.length;
+      state.rows = state.rows.filter((row) => !matches(row, filter || {}));
+      return { acknowledged: true, deletedCount: before - state.rows.length };
+    },
+    findOneAndDelete: (filter) => query(() => {
+      const row = findRows(filter)[0];
+      if (row) state.rows.splice(state.rows.indexOf(row), 1);
+      return row;
+    }, false),
+  };
+
+  for (const [name, impl] of Object.entries(methods)) mock.method(Model, name, impl);
+
+  return {
+    get rows() {
+      return state.rows;
+    },
+    reset() {
+      state.rows = [];
+    },
+    insert(docs) {
+      return (Array.isArray(docs) ? docs : [docs]).map((doc) => insertOne(doc));
+    },
+  };
+}
@@ -0,0 +1,41 @@
+// test/households.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FIELD_PROFILE } from '../lib/fieldProfiles.js';
+import { householdKey, householdParts, surnameOf } from '../lib/households.js';
+import { buildSearchFields } from '../lib/searchFields.js';
+
+const profile = { fields: DEFAULT_FIELD_PROFILE };
+
+const voter = (name, raw = {}) => ({ name, Booth: '12', __raw: { 'House No': '4/B', पत्ता: 'शिवाजी नगर', ...raw } });
+
+test('surnameOf prefers the surname column over the first word of the name', () => {
+  assert.equal(surnameOf({ name: 'पाटील आशा रमेश' }, profile), 'पाटील');
+  assert.equal(surnameOf({ name: 'Asha Patil', surname: 'Patil' }, profile), 'Patil');
+  assert.equal(surnameOf({}, profile), '');
+});
+
+test('householdParts reads booth, address, house and surname through the profile', () => {
+  assert.deepEqual(householdParts(voter('पाटील आशा'), profile), {
+    booth: '12',
+    address: 'शिवाजी नगर',
+    house: '4/B',
+    surname: 'पाटील',
+  });
+});
+
+test('members of one family share a household key', () => {
+  const key = householdKey(voter('पाटील आशा'), profile);
+  assert.match(key, /^[0-9a-f]{20}$/);
+  assert.equal(householdKey(voter('पाटील रमेश'), profile), key);
+  assert.notEqual(householdKey(voter('जाधव सुनील'), profile), key);
+  assert.notEqual(householdKey(voter('पाटील आशा', { 'House No': '5' }), profile), key);
+});
+
+test('a voter without house number or address has no household', () => {
+  assert.equal(householdKey({ name: 'पाटील आशा', Booth: '12' }, profile), null);
+});
+
+test('the household key is stored with the search fields', () => {
+  assert.equal(buildSearchFields(voter('पाटील आशा'), profile).household, householdKey(voter('पाटील आशा'), profile));
+});
@@ -0,0 +1,109 @@
+// test/loginOtp.test.js
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import LoginOtp from '../models/LoginOtp.js';
+import { registerSmsProvider } from '../lib/sms.js';
+import { otpTiming, requestOtp, verifyOtp } from '../lib/loginOtp.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const otps = memoryModel(LoginOtp);
+
+// codes "sent" by SMS during a test
+let outbox = [];
+registerSmsProvider('test', () => ({
+  async send({ to, message }) {
+    outbox.push({ to, code: /\d{6}/.exec(message)[0] });
+  },
+}));
+registerSmsProvider('down', () => ({
+  async send() {
+    throw new Error('gateway unreachable');
+  },
+}));
+
+const user = { _id: 'u1', mobile: '9876543210' };
+
+beforeEach(() => {
+  otps.reset();
+  outbox = [];
+  process.env.SMS_PROVIDER = 'test';
+});
+
+test('a sent code logs in once', async () => {
+  assert.deepEqual(await requestOtp(user), otpTiming());
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].to, '9876543210');
+
+  assert.deepEqual(await verifyOtp(user, outbox[0].code), { ok: true });
+  assert.deepEqual(await verifyOtp(user, outbox[0].code), { error: 'OTP_NOT_REQUESTED' });
+});
+
+test('only the hash of the code is stored', async () => {
+  await requestOtp(user);
+  assert.ok(otps.rows[0].codeHash);
+  assert.ok(!JSON.stringify(otps.rows[0]).includes(outbox[0].code));
+});
+
+test('wrong codes count down to OTP_ATTEMPTS_EXCEEDED', async () => {
+  await requestOtp(user);
+  const wrong = outbox[0].code === '000000' ? '111111' : '000000';
+
+  assert.deepEqual(await verifyOtp(user, wrong), { error: 'OTP_INVALID', attemptsLeft: 4 });
+  for (let i = 0; i < 3; i++) await verifyOtp(user, wrong);
+  assert.deepEqual(await verifyOtp(user, wrong), { error: 'OTP_ATTEMPTS_EXCEEDED' });
+  assert.deepEqual(await verifyOtp(user, outbox[0].code), { error: 'OTP_ATTEMPTS_EXCEEDED' });
+});
+
+test('an expired code is refused', async () => {
+  await requestOtp(user);
+  otps.rows[0].expiresAt = new Date(Date.now() - 1000);
+  assert.deepEqual(await verifyOtp(user, outbox[0].code), { error: 'OTP_EXPIRED' });
+});
+
+test('a code must be requested first', async () => {
+  assert.deepEqual(await verifyOtp(user, '123456'), { error: 'OTP_NOT_REQUESTED' });
+});
+
+test('resends are throttled', async () => {
+  await requestOtp(user);
+  const again = await requestOtp(user);
+  assert.equal(again.error, 'OTP_RESEND_TOO_SOON');
+  assert.ok(again.retryAfter >= 1);
+  assert.equal(outbox.length, 1);
+});
+
+test('a failed send leaves no usable code behind', async () => {
+  process.env.SMS_PROVIDER = 'down';
+  mock.method(console, 'error', () => {});
+  try {
+    assert.deepEqual(await requestOtp(user), { error: 'OTP_SEND_FAILED' });
+  } finally {
+    console.error.mock.restore();
+  }
+  assert.deepEqual(await verifyOtp(user, '123456'), { error: 'OTP_NOT_REQUESTED' });
+});
+
+test('parallel requests send one code', async () => {
+  const results = await Promise.all(Array.from({ length: 10 }, () => requestOtp(user)));
+
+  assert.equal(outbox.length, 1);
+  assert.equal(results.filter((r) => !r.error).length, 1);
+  assert.ok(results.filter((r) => r.error).every((r) => r.error === 'OTP_RESEND_TOO_SOON'));
+  assert.equal(otps.rows.length, 1);
+  assert.equal(otps.rows[0].sendCount, 1);
+});
+
+test('parallel resends cannot pass the hourly limit', async () => {
+  for (let i = 0; i < 4; i++) {
+    await requestOtp(user);
+    otps.rows[0].sentAt = new Date(Date.now() - 61000); // past the resend interval
+  }
+  const results = await Promise.all(Array.from({ length: 10 }, () => requestOtp(user)));
+
+  assert.equal(results.filter((r) => !r.error).length, 1);
+  assert.equal(outbox.length, 5);
+  assert.equal(otps.rows[0].sendCount, 5);
+
+  otps.rows[0].sentAt = new Date(Date.now() - 61000);
+  assert.equal((await requestOtp(user)).error, 'OTP_SEND_LIMIT');
+});
@@ -0,0 +1,139 @@
+// test/loginThrottle.test.js
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import LoginAttempt from '../models/LoginAttempt.js';
+import {
+  accountAttemptsFilter,
+  checkLoginAllowed,
+  loginAttemptKeys,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  reserveLoginAttempt,
+  unlockLogin,
+} from '../lib/loginThrottle.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const attempts = memoryModel(LoginAttempt);
+
+beforeEach(() => attempts.reset());
+
+const keys = loginAttemptKeys({ username: 'Asha', ip: '10.0.0.1', deviceId: 'device-aaaa' });
+
+function counter(scope, value) {
+  return attempts.rows.find((r) => r.scope === scope && r.value === value);
+}
+
+// one wrong guess as the login routes make it: reserve, then settle as failed
+async function guess(attemptKeys = keys) {
+  const block = await reserveLoginAttempt(attemptKeys, { method: 'password' });
+  if (block) return block;
+  return (await recordLoginFailure(attemptKeys)) || 'rejected';
+}
+
+async function guessTimes(n, attemptKeys = keys) {
+  let last = null;
+  for (let i = 0; i < n; i++) last = await guess(attemptKeys);
+  return last;
+}
+
+test('loginAttemptKeys counts the device together with the account', () => {
+  assert.deepEqual(keys, [
+    { scope: 'account', value: 'asha' },
+    { scope: 'device', value: 'asha:device-aaaa' },
+    { scope: 'ip', value: '10.0.0.1' },
+  ]);
+  assert.deepEqual(loginAttemptKeys({ ip: '10.0.0.1', deviceId: 'device-aaaa' }), [{ scope: 'ip', value: '10.0.0.1' }]);
+});
+
+test('loginAttemptKeys leaves the IP counter out for a known device', () => {
+  assert.deepEqual(
+    loginAttemptKeys({ username: 'asha', ip: '10.0.0.1', deviceId: 'device-aaaa', knownDevice: true }).map((k) => k.scope),
+    ['account', 'device']
+  );
+});
+
+test('a few failures make the next attempt wait', async () => {
+  assert.equal(await guessTimes(2), 'rejected');
+  assert.equal(await checkLoginAllowed(keys), null);
+
+  assert.equal(await guess(), 'rejected');
+  const blocked = await reserveLoginAttempt(keys);
+  assert.equal(blocked.error, 'LOGIN_THROTTLED');
+  assert.ok(blocked.retryAfter >= 1);
+  assert.equal(counter('account', 'asha').failures, 3, 'a refused attempt is not counted');
+});
+
+test('the account locks at its failure limit', async () => {
+  for (let i = 0; i < 4; i++) {
+    assert.equal(await guess(), 'rejected');
+    for (const row of attempts.rows) row.nextAttemptAt = null; // skip the progressive delay
+  }
+  const lock = await guess();
+  assert.equal(lock.error, 'LOGIN_LOCKED');
+  assert.equal(lock.scope, 'account');
+  assert.equal((await checkLoginAllowed(keys)).error, 'LOGIN_LOCKED');
+});
+
+test('parallel guesses are counted before any of them is checked', async () => {
+  const results = await Promise.all(Array.from({ length: 20 }, () => reserveLoginAttempt(keys)));
+  const admitted = results.filter((r) => r === null).length;
+
+  // the third failure starts the progressive delay, so a burst gets three guesses
+  assert.equal(admitted, 3);
+  assert.ok(results.every((r) => r === null || r.error === 'LOGIN_THROTTLED'));
+  assert.equal(counter('account', 'asha').failures, 3);
+  assert.equal(counter('ip', '10.0.0.1').failures, 3);
+});
+
+test('parallel guesses cannot pass the lockout limit', async () => {
+  const noDelay = [{ scope: 'account', value: 'ravi' }];
+  attempts.insert({ scope: 'account', value: 'ravi', failures: 4, lastFailureAt: new Date() });
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => reserveLoginAttempt(noDelay)));
+  assert.equal(results.filter((r) => r === null).length, 1);
+
+  const lock = await recordLoginFailure(noDelay);
+  assert.equal(lock.error, 'LOGIN_LOCKED');
+  assert.equal(counter('account', 'ravi').lockCount, 1);
+});
+
+test('failures against other accounts do not lock a device out', async () => {
+  for (const username of ['ravi', 'sunil', 'meena', 'kiran', 'ajay', 'vijay']) {
+    await guessTimes(2, loginAttemptKeys({ username, deviceId: 'device-aaaa' }));
+  }
+  assert.equal(await checkLoginAllowed(loginAttemptKeys({ username: 'asha', deviceId: 'device-aaaa' })), null);
+});
+
+test('a locked IP does not block a device the account already used', async () => {
+  attempts.insert({ scope: 'ip', value: '10.0.0.1', lockedUntil: new Date(Date.now() + 60000) });
+  assert.equal((await reserveLoginAttempt(keys)).scope, 'ip');
+  assert.equal(counter('account', 'asha'), undefined, 'nothing is counted on a block');
+
+  const known = loginAttemptKeys({ username: 'asha', ip: '10.0.0.1', deviceId: 'device-aaaa', knownDevice: true });
+  assert.equal(await reserveLoginAttempt(known), null);
+});
+
+test('a successful login clears the account and device counters and refunds the IP', async () => {
+  await guessTimes(2);
+  assert.equal(await reserveLoginAttempt(keys), null);
+  await recordLoginSuccess(keys);
+  assert.deepEqual(attempts.rows.map((r) => [r.scope, r.failures]), [['ip', 2]]);
+});
+
+test('a released attempt is not counted', async () => {
+  assert.equal(await reserveLoginAttempt(keys), null);
+  await releaseLoginAttempt(keys);
+  assert.deepEqual(attempts.rows.map((r) => r.failures), [0, 0, 0]);
+});
+
+test('unlocking an account clears its per-device counters but not IPs', async () => {
+  attempts.insert([
+    { scope: 'account', value: 'asha', lockedUntil: new Date(Date.now() + 60000) },
+    { scope: 'device', value: 'asha:device-aaaa', lockedUntil: new Date(Date.now() + 60000) },
+    { scope: 'device', value: 'ashaa:device-aaaa', failures: 2 },
+    { scope: 'ip', value: '10.0.0.1', failures: 2 },
+  ]);
+  assert.equal(await unlockLogin(accountAttemptsFilter('Asha')), 2);
+  assert.deepEqual(attempts.rows.map((r) => r.value), ['ashaa:device-aaaa', '10.0.0.1']);
+});
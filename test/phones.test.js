@@ -0,0 +1,52 @@
+// test/phones.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_PHONES,
+  addPhone,
+  addPrimaryPhone,
+  phonesAfterMobileWrite,
+  primaryPhone,
+  removePhone,
+} from '../lib/phones.js';
+
+const actor = { id: 'u1', username: 'asha' };
+
+function fullList() {
+  let list = [];
+  for (let i = 0; i < MAX_PHONES; i++) {
+    list = addPhone(list, { number: `98765${String(i).padStart(5, '0')}` }, actor).list;
+  }
+  return list;
+}
+
+test('addPhone keeps exactly one primary', () => {
+  let { list } = addPhone([], { number: '9876543210' }, actor);
+  ({ list } = addPhone(list, { number: '9123456789', primary: true }, actor));
+  assert.deepEqual(list.map((p) => [p.number, p.primary]), [['9876543210', false], ['9123456789', true]]);
+  ({ list } = removePhone(list, '9123456789'));
+  assert.equal(primaryPhone(list).number, '9876543210');
+});
+
+test('addPhone refuses a number past the limit', () => {
+  assert.match(addPhone(fullList(), { number: '9123456789' }, actor).error, /at most/);
+});
+
+test('addPrimaryPhone replaces the old primary of a full list', () => {
+  const list = fullList();
+  const { list: next } = addPrimaryPhone(list, { number: '9123456789' }, actor);
+  assert.equal(next.length, MAX_PHONES);
+  assert.equal(primaryPhone(next).number, '9123456789');
+  assert.ok(!next.some((p) => p.number === list[0].number));
+});
+
+test('addPrimaryPhone passes other errors through', () => {
+  assert.equal(addPrimaryPhone(fullList(), { number: '12' }, actor).error, 'Invalid mobile number');
+});
+
+test('phonesAfterMobileWrite follows the legacy mobile value', () => {
+  const doc = { phones: addPhone([], { number: '9876543210' }, actor).list };
+  assert.equal(phonesAfterMobileWrite({}, '9123456789', actor), null);
+  assert.equal(primaryPhone(phonesAfterMobileWrite(doc, '9123456789', actor)).number, '9123456789');
+  assert.deepEqual(phonesAfterMobileWrite(doc, '', actor), []);
+});
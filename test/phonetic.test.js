@@ -0,0 +1,58 @@
+// test/phonetic.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, maxEditsFor, nameTokens, phoneticKey } from '../lib/phonetic.js';
+import { scoreVoter } from '../lib/fuzzySearch.js';
+import { DEFAULT_FIELD_PROFILE } from '../lib/fieldProfiles.js';
+
+const profile = { fields: DEFAULT_FIELD_PROFILE };
+
+test('phoneticKey folds spelling variants and scripts together', () => {
+  assert.equal(phoneticKey('deshmukh'), 'dsmk');
+  assert.equal(phoneticKey('Desmukh'), 'dsmk');
+  assert.equal(phoneticKey('देशमुख'), 'dsmk');
+  assert.equal(phoneticKey('anil'), 'anl');
+  assert.equal(phoneticKey('123'), '');
+});
+
+test('nameTokens splits a name into loose Latin words', () => {
+  assert.deepEqual(nameTokens('Ramesh  PATIL'), ['ramesh', 'patil']);
+  assert.deepEqual(nameTokens('रमेश पाटील'), ['ramesh', 'patil']);
+  assert.deepEqual(nameTokens(''), []);
+});
+
+test('editDistance counts edits and bails out past the limit', () => {
+  assert.equal(editDistance('patil', 'patil'), 0);
+  assert.equal(editDistance('patil', 'patel'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('kitten', 'sitting', 1), 2);
+  assert.equal(editDistance('ab', 'abcdef', 2), 3);
+});
+
+test('maxEditsFor tolerates more edits on longer words', () => {
+  assert.equal(maxEditsFor(3), 0);
+  assert.equal(maxEditsFor(5), 1);
+  assert.equal(maxEditsFor(9), 2);
+});
+
+test('scoreVoter ranks exact, phonetic and identifier matches', () => {
+  const doc = { name: 'रमेश पाटील', voter_id: 'ABC1234567' };
+
+  const exact = scoreVoter(doc, 'ramesh patil', profile);
+  assert.equal(exact.reason, 'exact');
+  assert.equal(exact.field, 'name');
+
+  const misspelt = scoreVoter(doc, 'rmesh patl', profile);
+  assert.equal(misspelt.reason, 'phonetic');
+  assert.ok(misspelt.score < exact.score);
+
+  const epic = scoreVoter(doc, 'abc1234567', profile);
+  assert.equal(epic.field, 'epic');
+  assert.equal(epic.score, 100);
+  assert.equal(scoreVoter(doc, 'ABC12', profile).reason, 'prefix');
+});
+
+test('scoreVoter needs every typed word to match', () => {
+  assert.equal(scoreVoter({ name: 'रमेश पाटील' }, 'ramesh deshmukh', profile), null);
+  assert.equal(scoreVoter({ name: '' }, 'ramesh', profile), null);
+});
@@ -0,0 +1,79 @@
+// test/pinPolicy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import {
+  DEFAULT_PIN_POLICY,
+  assignPin,
+  normalizePinPolicy,
+  pinExpiresAt,
+  pinPolicyViolation,
+  pinStatus,
+} from '../lib/pinPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('pinPolicyViolation accepts a PIN that follows the default policy', () => {
+  assert.equal(pinPolicyViolation('4827', DEFAULT_PIN_POLICY), null);
+  assert.equal(pinPolicyViolation('90817263', DEFAULT_PIN_POLICY), null);
+});
+
+test('pinPolicyViolation rejects trivial PINs', () => {
+  const cases = {
+    '': 'PIN is required.',
+    '123': 'PIN must be 4 to 8 characters long.',
+    '12a4': 'PIN must contain digits only.',
+    '0000': 'PIN cannot be a single repeated digit.',
+    '1234': 'PIN cannot be a run of consecutive digits.',
+    '9876': 'PIN cannot be a run of consecutive digits.',
+    '2580': 'This PIN is too easy to guess.',
+  };
+  for (const [pin, message] of Object.entries(cases)) {
+    assert.equal(pinPolicyViolation(pin, DEFAULT_PIN_POLICY), message, pin);
+  }
+  assert.equal(pinPolicyViolation(1234, DEFAULT_PIN_POLICY), 'PIN is required.');
+});
+
+test('pinPolicyViolation follows a relaxed policy', () => {
+  const { policy } = normalizePinPolicy({
+    minLength: 6,
+    maxLength: 6,
+    digitsOnly: false,
+    rejectSequences: false,
+    bannedPins: [],
+  });
+  assert.equal(pinPolicyViolation('1234', policy), 'PIN must be 6 characters long.');
+  assert.equal(pinPolicyViolation('123456', policy), null);
+  assert.equal(pinPolicyViolation('ab12cd', policy), null);
+});
+
+test('normalizePinPolicy merges over the defaults and validates', () => {
+  assert.deepEqual(normalizePinPolicy({ expiryDays: 90, bannedPins: [' 1111 ', '1111', ''] }).policy, {
+    ...DEFAULT_PIN_POLICY,
+    bannedPins: ['1111'],
+    expiryDays: 90,
+  });
+  assert.match(normalizePinPolicy({ minLength: 3 }).error, /minLength/);
+  assert.match(normalizePinPolicy({ minLength: 8, maxLength: 6 }).error, /greater than maxLength/);
+  assert.match(normalizePinPolicy({ digitsOnly: 'yes' }).error, /digitsOnly/);
+  assert.match(normalizePinPolicy({ expiryDays: -1 }).error, /expiryDays/);
+  assert.match(normalizePinPolicy([]).error, /object/);
+});
+
+test('pinStatus reports expiry from pinSetAt, or createdAt for older PINs', () => {
+  const policy = { ...DEFAULT_PIN_POLICY, expiryDays: 30 };
+  const fresh = { pinHash: 'x', pinSetAt: new Date(Date.now() - DAY_MS) };
+  const old = { pinHash: 'x', createdAt: new Date(Date.now() - 31 * DAY_MS) };
+
+  assert.equal(pinStatus(fresh, policy).expired, false);
+  assert.equal(pinStatus(old, policy).expired, true);
+  assert.equal(pinExpiresAt(fresh, DEFAULT_PIN_POLICY), null);
+  assert.deepEqual(pinStatus({}, policy), { set: false, expired: false, expiresAt: null });
+});
+
+test('assignPin stores a hash of the PIN and when it was set', async () => {
+  const user = {};
+  await assignPin(user, '4827');
+  assert.ok(await bcrypt.compare('4827', user.pinHash));
+  assert.ok(user.pinSetAt instanceof Date);
+});
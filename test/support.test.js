@@ -0,0 +1,67 @@
+// test/support.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSupportStatus,
+  normalizeTags,
+  resolveSupportChange,
+  supportFilterConditions,
+} from '../lib/support.js';
+import { matches } from './helpers/memoryModel.js';
+
+test('normalizeTags lowercases, trims and de-duplicates', () => {
+  assert.deepEqual(normalizeTags(' Youth, youth ,Farmer,'), ['youth', 'farmer']);
+  assert.deepEqual(normalizeTags(['A', ' b ']), ['a', 'b']);
+  assert.deepEqual(normalizeTags(undefined), []);
+  assert.equal(normalizeTags(['x'.repeat(41)]), null);
+  assert.equal(normalizeTags(Array.from({ length: 21 }, (_, i) => `t${i}`)), null);
+});
+
+test('normalizeSupportStatus accepts the known statuses only', () => {
+  assert.equal(normalizeSupportStatus(' Supporter '), 'supporter');
+  assert.equal(normalizeSupportStatus('maybe'), null);
+});
+
+test('resolveSupportChange keeps what the body leaves out', () => {
+  const current = { status: 'neutral', tags: ['youth'] };
+
+  assert.deepEqual(resolveSupportChange({ status: 'supporter', note: '  met at rally ' }, current), {
+    status: 'supporter',
+    tags: ['youth'],
+    note: 'met at rally',
+  });
+  assert.deepEqual(resolveSupportChange({ addTags: 'farmer', removeTags: ['youth'] }, current), {
+    status: 'neutral',
+    tags: ['farmer'],
+    note: null,
+  });
+  assert.deepEqual(resolveSupportChange({ tags: [] }, current).tags, []);
+  assert.equal(resolveSupportChange({ tags: 'x' }, {}).status, 'unknown');
+});
+
+test('resolveSupportChange refuses empty and invalid changes', () => {
+  assert.match(resolveSupportChange({}, {}).error, /Nothing to update/);
+  assert.match(resolveSupportChange({ status: 'maybe' }).error, /status must be one of/);
+  assert.match(resolveSupportChange({ addTags: ['x'.repeat(41)] }).error, /tags: at most/);
+
+  const full = { tags: Array.from({ length: 20 }, (_, i) => `t${i}`) };
+  assert.match(resolveSupportChange({ addTags: 'one-more' }, full).error, /at most 20 tags/);
+});
+
+test('supportFilterConditions matches untagged voters as unknown', () => {
+  const voters = [
+    { _id: 1, support: { status: 'supporter', tags: ['youth'] } },
+    { _id: 2, support: { status: 'unknown', tags: [] } },
+    { _id: 3 },
+    { _id: 4, support: { status: 'opposed', tags: ['farmer'] } },
+  ];
+  const search = (qs) => {
+    const conditions = supportFilterConditions(qs);
+    return voters.filter((v) => matches(v, conditions.length ? { $and: conditions } : {})).map((v) => v._id);
+  };
+
+  assert.deepEqual(supportFilterConditions({}), []);
+  assert.deepEqual(search({ support: 'unknown' }), [2, 3]);
+  assert.deepEqual(search({ support: 'supporter,opposed', tags: 'farmer' }), [4]);
+  assert.deepEqual(search({ support: 'bogus' }), [1, 2, 3, 4]);
+});
@@ -0,0 +1,83 @@
+// test/syncCheckpoints.test.js
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import SyncCheckpoint from '../models/SyncCheckpoint.js';
+import { listStaleDevices, recordPull, recordPush } from '../lib/syncCheckpoints.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const checkpoints = memoryModel(SyncCheckpoint);
+
+beforeEach(() => checkpoints.reset());
+
+const HOUR = 60 * 60 * 1000;
+const asha = { id: 'u1', username: 'asha', role: 'volunteer', deviceId: 'device-aaaa' };
+const ravi = { id: 'u2', username: 'ravi', role: 'volunteer', deviceId: 'device-bbbb' };
+
+test('a pull is recorded once per user, device and collection', async () => {
+  const watermark = '2026-10-01T10:00:00.000Z';
+  await recordPull(asha, 'ward_12', { watermark, mode: 'keyset' });
+  await recordPull(asha, 'ward_12', { watermark, mode: 'ndjson' });
+  await recordPull({ ...asha, deviceId: undefined }, 'ward_12', { watermark: null, mode: 'csv' });
+
+  assert.deepEqual(checkpoints.rows.map((r) => [r.deviceId, r.lastPullMode]), [['device-aaaa', 'ndjson'], ['unknown', 'csv']]);
+  assert.equal(checkpoints.rows[0].lastPullWatermark.toISOString(), watermark);
+  assert.equal(checkpoints.rows[1].lastPullWatermark.getTime(), checkpoints.rows[1].lastPullAt.getTime(), 'no watermark: the pull time');
+});
+
+test('a push keeps its failure reasons until a clean push clears the count', async () => {
+  const stats = { received: 3, applied: 1, conflicts: 0, replayed: 0 };
+  await recordPush(asha, 'ward_12', { stats, failed: [{ reason: 'policy_denied' }, { reason: 'policy_denied' }, {}] });
+
+  const row = checkpoints.rows[0];
+  assert.equal(row.pendingFailures, 3);
+  assert.deepEqual(row.lastPushStats, { ...stats, failed: 3 });
+  assert.deepEqual(row.lastFailureReasons, { policy_denied: 2, exception: 1 });
+
+  await recordPush(asha, 'ward_12', { stats: { received: 3, applied: 3, conflicts: 0, replayed: 0 } });
+  assert.equal(checkpoints.rows[0].pendingFailures, 0);
+  assert.deepEqual(checkpoints.rows[0].lastFailureReasons, { policy_denied: 2, exception: 1 }, 'kept for the record');
+});
+
+test('recording never fails the sync request', async () => {
+  mock.method(console, 'error', () => {});
+  const failing = mock.method(SyncCheckpoint, 'updateOne', async () => {
+    throw new Error('down');
+  });
+  try {
+    await recordPull(asha, 'ward_12', { watermark: null });
+    await recordPush(asha, 'ward_12', { stats: {} });
+  } finally {
+    failing.mock.restore();
+    console.error.mock.restore();
+  }
+  await recordPull({ username: 'anonymous' }, 'ward_12', { watermark: null });
+  assert.equal(checkpoints.rows.length, 0);
+});
+
+test('stale devices are those behind on pulls or left with failed pushes', async () => {
+  const now = Date.now();
+  checkpoints.insert([
+    { userId: 'u1', deviceId: 'fresh', databaseId: 'ward_12', lastPullAt: new Date(now - HOUR) },
+    { userId: 'u1', deviceId: 'behind', databaseId: 'ward_12', lastPullAt: new Date(now - 30 * HOUR) },
+    { userId: 'u2', deviceId: 'never', databaseId: 'ward_12', lastPullAt: null, pendingFailures: 0 },
+    { userId: 'u2', deviceId: 'failing', databaseId: 'ward_7', lastPullAt: new Date(now - HOUR), pendingFailures: 2 },
+  ]);
+
+  const stale = await listStaleDevices({ hours: 24 });
+  assert.deepEqual(stale.map((d) => [d.deviceId, d.reasons]), [
+    ['never', ['stale']],
+    ['behind', ['stale']],
+    ['failing', ['push_failed']],
+  ]);
+  assert.equal(stale[1].hoursSincePull, 30);
+  assert.equal(stale[0].hoursSincePull, null);
+
+  assert.deepEqual((await listStaleDevices({ hours: 24, userIds: ['u1'] })).map((d) => d.deviceId), ['behind']);
+  assert.deepEqual((await listStaleDevices({ hours: 24, databaseId: 'ward_7' })).map((d) => d.deviceId), ['failing']);
+  assert.equal((await listStaleDevices({ hours: 24, limit: 1 })).length, 1);
+});
+
+test('a device that only pushed has not synced yet', async () => {
+  await recordPush(ravi, 'ward_12', { stats: { received: 1, applied: 1, conflicts: 0, replayed: 0 } });
+  assert.deepEqual((await listStaleDevices({ hours: 24 })).map((d) => [d.username, d.reasons]), [['ravi', ['stale']]]);
+});
@@ -0,0 +1,92 @@
+// test/syncCursor.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildKeysetQuery, decodeCursor, encodeCursor, newWatermark } from '../lib/syncCursor.js';
+import { matches, sortDocuments } from './helpers/memoryModel.js';
+
+const { Types } = mongoose;
+
+// one page as GET /api/voters/export serves it
+function page(docs, token, { since = null, limit = 2 } = {}) {
+  const state = decodeCursor(token) || { since, watermark: newWatermark() };
+  const { filter, sort } = buildKeysetQuery(state);
+  const rows = sortDocuments(docs.filter((d) => matches(d, filter)), sort).slice(0, limit + 1);
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const next = hasMore
+    ? encodeCursor({ lastDoc: items[items.length - 1], watermark: state.watermark, since: state.since })
+    : null;
+  return { items, next };
+}
+
+function pullAll(docs, options) {
+  const seen = [];
+  let token = null;
+  do {
+    const { items, next } = page(docs, token, options);
+    seen.push(...items);
+    token = next;
+  } while (token);
+  return seen;
+}
+
+const oid = (n) => new Types.ObjectId(`65a0000000000000000000${String(n).padStart(2, '0')}`);
+
+test('a full pull walks mixed _id types once, in BSON order', () => {
+  const docs = [oid(2), 'b', 10, oid(1), 'a', 2, 'c', oid(3)].map((_id) => ({ _id }));
+  const ids = pullAll(docs).map((d) => d._id);
+
+  assert.deepEqual(ids, [2, 10, 'a', 'b', 'c', oid(1), oid(2), oid(3)]);
+});
+
+test('a full pull does not skip a type bracket at a page boundary', () => {
+  const docs = [1, 2, 'a', oid(1)].map((_id) => ({ _id }));
+  assert.deepEqual(pullAll(docs, { limit: 1 }).map((d) => d._id), [1, 2, 'a', oid(1)]);
+});
+
+test('an incremental pull pages through equal updatedAt values by _id', () => {
+  const since = new Date(Date.now() - 60 * 60 * 1000);
+  const at = (minutesAgo) => new Date(Date.now() - minutesAgo * 60 * 1000);
+  const docs = [
+    { _id: 'old', updatedAt: at(120) },
+    { _id: oid(1), updatedAt: at(30) },
+    { _id: 'x', updatedAt: at(30) },
+    { _id: 5, updatedAt: at(30) },
+    { _id: 'y', updatedAt: at(10) },
+  ];
+
+  assert.deepEqual(pullAll(docs, { since }).map((d) => d._id), [5, 'x', oid(1), 'y']);
+});
+
+test('edits made during a pull wait for the next one', () => {
+  const since = new Date(Date.now() - 60 * 60 * 1000);
+  const docs = [1, 2, 3, 4].map((_id) => ({ _id, updatedAt: new Date(Date.now() - 30 * 60 * 1000) }));
+
+  const first = page(docs, null, { since });
+  docs[0].updatedAt = new Date(); // edited after the watermark was fixed
+  const second = page(docs, first.next, { since });
+
+  assert.deepEqual([...first.items, ...second.items].map((d) => d._id), [1, 2, 3, 4]);
+  assert.ok(decodeCursor(first.next).watermark < docs[0].updatedAt);
+});
+
+test('cursors round-trip and malformed ones are refused', () => {
+  const watermark = newWatermark();
+  const since = new Date(watermark.getTime() - 1000);
+  const decoded = decodeCursor(encodeCursor({ lastDoc: { _id: oid(7), updatedAt: watermark }, watermark, since }));
+
+  assert.equal(decoded.watermark.getTime(), watermark.getTime());
+  assert.equal(decoded.since.getTime(), since.getTime());
+  assert.deepEqual(decoded.lastId, { type: 'objectId', value: oid(7) });
+  assert.equal(decoded.lastUpdatedAt.getTime(), watermark.getTime());
+  assert.equal(decodeCursor(''), null);
+
+  assert.throws(() => decodeCursor('not-a-cursor'), /Invalid cursor/);
+  const noId = Buffer.from(JSON.stringify({ w: watermark.toISOString() })).toString('base64url');
+  assert.throws(() => decodeCursor(noId), /Invalid cursor/);
+  const noUpdatedAt = Buffer.from(JSON.stringify({
+    w: watermark.toISOString(), s: since.toISOString(), i: { t: 'number', v: 1 },
+  })).toString('base64url');
+  assert.throws(() => decodeCursor(noUpdatedAt), /Invalid cursor/);
+});
@@ -0,0 +1,93 @@
+// test/syncJournal.test.js
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import SyncJournal from '../models/SyncJournal.js';
+import { claimChange, findChange, finishChange, journalResult, normalizeChangeId } from '../lib/syncJournal.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const journal = memoryModel(SyncJournal);
+
+beforeEach(() => journal.reset());
+
+const actor = { id: 'u1', username: 'asha', deviceId: 'device-aaaa' };
+const change = { _id: 'v1', op: 'update' };
+
+function claim(changeId, who = actor) {
+  return claimChange({ changeId, actor: who, databaseId: 'ward_12', change });
+}
+
+test('normalizeChangeId trims valid IDs and flags malformed ones', () => {
+  assert.equal(normalizeChangeId(' c-1 '), 'c-1');
+  assert.equal(normalizeChangeId(undefined), null);
+  assert.equal(normalizeChangeId(''), null);
+  assert.equal(normalizeChangeId('has space'), false);
+  assert.equal(normalizeChangeId('x'.repeat(129)), false);
+});
+
+test('a new change is claimed as processing', async () => {
+  const { entry } = await claim('c-1');
+
+  assert.equal(entry.status, 'processing');
+  assert.equal(entry.voterId, 'v1');
+  assert.equal(entry.op, 'update');
+  assert.equal(journal.rows.length, 1);
+});
+
+test('a processed change is replayed with its stored outcome', async () => {
+  const { entry } = await claim('c-1');
+  await finishChange(entry, { status: 'conflict', conflicts: [{ field: 'mobile' }] });
+
+  const first = await claim('c-1');
+  const second = await claim('c-1');
+  assert.equal(first.replay.replays, 1);
+  assert.equal(second.replay.replays, 2);
+
+  const result = journalResult(second.replay);
+  assert.equal(result.status, 'conflict');
+  assert.deepEqual(result.conflicts, [{ field: 'mobile' }]);
+  assert.ok(result.processedAt instanceof Date);
+  assert.equal(journal.rows.length, 1);
+});
+
+test('a change still being applied is busy', async () => {
+  await claim('c-1');
+  assert.deepEqual(await claim('c-1'), { busy: true });
+});
+
+test('parallel claims of one change ID let one request apply it', async () => {
+  const results = await Promise.all(Array.from({ length: 5 }, () => claim('c-1')));
+
+  assert.equal(results.filter((r) => r.entry).length, 1);
+  assert.ok(results.filter((r) => !r.entry).every((r) => r.busy === true));
+});
+
+test('a stale claim is taken over by the next request', async () => {
+  await claim('c-1');
+  journal.rows[0].receivedAt = new Date(Date.now() - 3 * 60 * 1000);
+
+  const phone = { ...actor, deviceId: 'device-bbbb' };
+  const results = await Promise.all([claim('c-1', phone), claim('c-1', phone)]);
+  const taken = results.find((r) => r.entry);
+
+  assert.ok(taken, 'one request reclaims it');
+  assert.deepEqual(results.find((r) => !r.entry), { busy: true });
+  assert.equal(taken.entry.deviceId, 'device-bbbb');
+  assert.ok(taken.entry.receivedAt > new Date(Date.now() - 1000));
+});
+
+test('change IDs are per user; changes without one are never deduplicated', async () => {
+  await claim('c-1');
+  assert.ok((await claim('c-1', { ...actor, id: 'u2' })).entry);
+
+  assert.ok((await claim(null)).entry);
+  assert.ok((await claim(null)).entry);
+  assert.equal(journal.rows.length, 4);
+});
+
+test('findChange looks a change up by user and change ID', async () => {
+  const { entry } = await claim('c-1');
+  await finishChange(entry, { status: 'applied' });
+
+  assert.equal((await findChange('u1', 'c-1')).status, 'applied');
+  assert.equal(await findChange('u2', 'c-1'), null);
+});
@@ -0,0 +1,70 @@
+// test/tombstones.test.js
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Setting from '../models/Setting.js';
+import VoterTombstone from '../models/VoterTombstone.js';
+import {
+  clearTombstone,
+  getTombstoneRetentionDays,
+  listTombstones,
+  purgeExpiredTombstones,
+  recordTombstone,
+  setTombstoneRetentionDays,
+  tombstoneCutoff,
+} from '../lib/tombstones.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const tombstones = memoryModel(VoterTombstone);
+memoryModel(Setting);
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(Date.now() - n * DAY);
+
+beforeEach(async () => {
+  tombstones.reset();
+  await setTombstoneRetentionDays(90, 'admin');
+});
+
+test('a voter deleted twice keeps one tombstone with the latest time', async () => {
+  await recordTombstone('ward_12', 7, { deletedBy: 'asha', at: daysAgo(2) });
+  await recordTombstone('ward_12', '7', { deletedBy: 'ravi', deviceId: 'device-bbbb', at: daysAgo(1) });
+
+  assert.equal(tombstones.rows.length, 1);
+  assert.equal(tombstones.rows[0].voterId, '7');
+  assert.equal(tombstones.rows[0].deletedBy, 'ravi');
+  assert.deepEqual(await listTombstones('ward_1', null, new Date()), []);
+});
+
+test('re-creating a voter clears its tombstone', async () => {
+  await recordTombstone('ward_12', 'v1');
+  await recordTombstone('ward_1', 'v1');
+  await clearTombstone('ward_12', 'v1');
+  assert.deepEqual(tombstones.rows.map((t) => t.databaseId), ['ward_1']);
+});
+
+test('listTombstones returns the window (since, until] in deletion order', async () => {
+  await recordTombstone('ward_12', 'a', { at: daysAgo(3) });
+  await recordTombstone('ward_12', 'b', { at: daysAgo(1) });
+  await recordTombstone('ward_12', 'c', { at: daysAgo(5) });
+  await recordTombstone('ward_1', 'd', { at: daysAgo(1) });
+
+  assert.deepEqual((await listTombstones('ward_12', null, new Date())).map((t) => t._id), ['c', 'a', 'b']);
+  assert.deepEqual((await listTombstones('ward_12', daysAgo(5), daysAgo(2))).map((t) => t._id), ['a']);
+});
+
+test('tombstones older than the retention window are purged', async () => {
+  await setTombstoneRetentionDays(30, 'admin');
+  await recordTombstone('ward_12', 'old', { at: daysAgo(31) });
+  await recordTombstone('ward_12', 'new', { at: daysAgo(29) });
+
+  const { purged, cutoff } = await purgeExpiredTombstones();
+  assert.equal(purged, 1);
+  assert.ok(Math.abs(cutoff.getTime() - daysAgo(30).getTime()) < 1000);
+  assert.deepEqual(tombstones.rows.map((t) => t.voterId), ['new']);
+});
+
+test('an unusable retention setting falls back to 90 days', async () => {
+  await setTombstoneRetentionDays('soon', 'admin');
+  assert.equal(await getTombstoneRetentionDays(), 90);
+  assert.equal((await tombstoneCutoff(90 * DAY)).getTime(), 0);
+});
@@ -0,0 +1,54 @@
+// test/transliterate.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  devanagariToLatin,
+  hasDevanagari,
+  latinToDevanagariPattern,
+  looseLatinKey,
+  normalizeDigits,
+} from '../lib/transliterate.js';
+
+test('devanagariToLatin romanizes names and drops the final schwa', () => {
+  assert.equal(devanagariToLatin('पाटील'), 'paatiil');
+  assert.equal(devanagariToLatin('देशमुख'), 'deshmukh');
+  assert.equal(devanagariToLatin('शिंदे'), 'shinde');
+});
+
+test('devanagariToLatin writes ज्ञ as "dny" and passes Latin text through', () => {
+  assert.equal(devanagariToLatin('ज्ञानेश्वर'), 'dnyaaneshvar');
+  assert.equal(devanagariToLatin('Patil 12'), 'Patil 12');
+  assert.equal(devanagariToLatin(null), '');
+});
+
+test('looseLatinKey gives typed and roll spellings the same key', () => {
+  for (const [typed, roll] of [
+    ['patil', 'पाटील'],
+    ['PAATIL', 'पाटील'],
+    ['Deshmukh', 'देशमुख'],
+    ['dnyaneshwar', 'ज्ञानेश्वर'],
+    ['shinde', 'शिंदे'],
+  ]) {
+    assert.equal(looseLatinKey(typed), looseLatinKey(roll), `${typed} / ${roll}`);
+  }
+});
+
+test('looseLatinKey unifies common consonant swaps and squeezes spaces', () => {
+  assert.equal(looseLatinKey('Phadke'), looseLatinKey('fadke'));
+  assert.equal(looseLatinKey('  Ram   Jadhav '), 'ram jadhav');
+  assert.equal(looseLatinKey('Sheetal'), looseLatinKey('shital'));
+});
+
+test('latinToDevanagariPattern matches the Devanagari spelling of a Latin query', () => {
+  const rx = new RegExp(latinToDevanagariPattern('patil'));
+  assert.ok(rx.test('पाटील'));
+  assert.ok(new RegExp(latinToDevanagariPattern('ram jadhav')).test('राम जाधव'));
+  assert.equal(latinToDevanagariPattern('१२३'), '');
+});
+
+test('normalizeDigits and hasDevanagari', () => {
+  assert.equal(normalizeDigits('वय ४२'), 'वय 42');
+  assert.equal(normalizeDigits(undefined), '');
+  assert.equal(hasDevanagari('abc'), false);
+  assert.equal(hasDevanagari('अ'), true);
+});
@@ -0,0 +1,151 @@
+// test/voterHistory.test.js
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Setting from '../models/Setting.js';
+import VoterHistory from '../models/VoterHistory.js';
+import VoterTombstone from '../models/VoterTombstone.js';
+import { DEFAULT_FIELD_PROFILE } from '../lib/fieldProfiles.js';
+import { diffDocuments, listHistory, recordHistory, rollbackVoter } from '../lib/voterHistory.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+// a voter collection with client string ids next to ObjectIds, read raw
+const Voter = mongoose.model(
+  'HistoryTestVoter',
+  new mongoose.Schema({ _id: mongoose.Schema.Types.Mixed }, { strict: false, versionKey: false, collection: 'ward_12' })
+);
+const voters = memoryModel(Voter);
+const history = memoryModel(VoterHistory);
+const tombstones = memoryModel(VoterTombstone);
+memoryModel(Setting);
+
+const collection = {
+  findOne: (filter) => Voter.findOne(filter).lean(),
+  insertOne: (doc) => Voter.create(doc),
+  deleteOne: (filter) => Voter.deleteOne(filter),
+  updateOne: (filter, update) => Voter.updateOne(filter, update),
+  findOneAndUpdate: (filter, update, { returnDocument }) =>
+    Voter.findOneAndUpdate(filter, update, { new: returnDocument === 'after' }).lean(),
+};
+
+const actor = { id: 'u1', username: 'asha', role: 'admin', deviceId: 'device-aaaa' };
+const ctx = { VoterModel: { collection }, databaseId: 'ward_12', profile: { fields: DEFAULT_FIELD_PROFILE }, actor };
+
+beforeEach(() => {
+  voters.reset();
+  history.reset();
+  tombstones.reset();
+});
+
+// write a voter state the way the routes do: store it, then record the change
+async function save(_id, fields) {
+  const before = voters.rows.find((v) => v._id === _id) || null;
+  const after = fields && { _id, ...fields };
+  if (before) voters.rows.splice(voters.rows.indexOf(before), 1);
+  if (after) voters.insert(after);
+  await recordHistory({ databaseId: 'ward_12', voterId: _id, before, after, source: 'patch', actor });
+}
+
+test('diffDocuments lists top-level changes and skips bookkeeping fields', () => {
+  const before = { _id: 1, name: 'Asha', Booth: '12', updatedAt: new Date(1), __search: { name: 'asha' } };
+  const after = { _id: 1, name: 'Asha Patil', mobile: '9876543210', updatedAt: new Date(2), __search: { name: 'asha patil' } };
+
+  assert.deepEqual(diffDocuments(before, after), [
+    { field: 'name', before: 'Asha', after: 'Asha Patil' },
+    { field: 'Booth', before: '12' },
+    { field: 'mobile', after: '9876543210' },
+  ]);
+  assert.deepEqual(diffDocuments(null, { _id: 1, name: 'Asha' }), [{ field: 'name', after: 'Asha' }]);
+});
+
+test('recordHistory numbers entries per voter and skips empty updates', async () => {
+  await save('v1', { name: 'Asha' });
+  await save('v1', { name: 'Asha Patil' });
+  await save('v1', { name: 'Asha Patil' });
+  await save('v1', null);
+
+  assert.deepEqual(history.rows.map((h) => [h.version, h.op]), [[1, 'create'], [2, 'update'], [3, 'delete']]);
+  assert.equal(history.rows[1].user.username, 'asha');
+  assert.equal(history.rows[1].deviceId, 'device-aaaa');
+});
+
+test('parallel writes to one voter get distinct versions', async () => {
+  await Promise.all(['a', 'b', 'c'].map((name) => recordHistory({
+    databaseId: 'ward_12', voterId: 'v1', before: { name: 'x' }, after: { name }, actor,
+  })));
+  assert.deepEqual(history.rows.map((h) => h.version).sort(), [1, 2, 3]);
+});
+
+test('recordHistory never fails the write it describes', async () => {
+  mock.method(VoterHistory, 'create', async () => {
+    throw new Error('disk full');
+  });
+  mock.method(console, 'error', () => {});
+  try {
+    assert.equal(await recordHistory({ databaseId: 'ward_12', voterId: 'v1', before: null, after: { name: 'x' } }), null);
+  } finally {
+    VoterHistory.create.mock.restore();
+    console.error.mock.restore();
+  }
+});
+
+test('listHistory pages newest first', async () => {
+  for (const name of ['a', 'b', 'c', 'd']) await save('v1', { name });
+
+  const first = await listHistory('ward_12', 'v1', { limit: 3 });
+  assert.deepEqual(first.items.map((h) => h.version), [4, 3, 2]);
+  assert.equal(first.hasMore, true);
+  const rest = await listHistory('ward_12', 'v1', { limit: 3, beforeVersion: 2 });
+  assert.deepEqual(rest, { items: [rest.items[0]], hasMore: false });
+  assert.equal(rest.items[0].version, 1);
+});
+
+test('a rollback restores the fields of that version and is recorded', async () => {
+  await save('v1', { name: 'Asha', Booth: '12' });
+  await save('v1', { name: 'Asha Patil', Booth: '12', mobile: '9876543210' });
+  await save('v1', { name: 'A. Patil', Booth: '14', mobile: '9876543210' });
+
+  const result = await rollbackVoter(ctx, 'v1', 1);
+  assert.equal(result.status, 200);
+  assert.equal(result.data.voter.name, 'Asha');
+  assert.equal(result.data.voter.Booth, '12');
+  assert.equal(voters.rows[0].mobile, undefined);
+  assert.equal(voters.rows[0].__search.name, 'asha');
+
+  const entry = history.rows.at(-1);
+  assert.deepEqual([entry.version, entry.source, entry.rolledBackTo], [4, 'rollback', 1]);
+});
+
+test('a rollback to before a deletion brings the voter back under its string id', async () => {
+  await save('6f1a2b3c4d5e6f7a8b9c0d1e', { name: 'Asha' });
+  voters.insert({ _id: 'client-1', name: 'other' });
+  await save('6f1a2b3c4d5e6f7a8b9c0d1e', null);
+  tombstones.insert({ databaseId: 'ward_12', voterId: '6f1a2b3c4d5e6f7a8b9c0d1e', deletedAt: new Date() });
+
+  const result = await rollbackVoter(ctx, '6f1a2b3c4d5e6f7a8b9c0d1e', 1);
+  assert.equal(result.status, 200);
+  assert.equal(result.data.voter._id, '6f1a2b3c4d5e6f7a8b9c0d1e');
+  assert.ok(voters.rows.some((v) => v._id === '6f1a2b3c4d5e6f7a8b9c0d1e' && v.name === 'Asha'));
+  assert.equal(tombstones.rows.length, 0);
+});
+
+test('a rollback to a deleted version deletes the voter again', async () => {
+  await save('v1', { name: 'Asha' });
+  await save('v1', null);
+  await save('v1', { name: 'Asha again' });
+
+  const result = await rollbackVoter(ctx, 'v1', 2);
+  assert.deepEqual(result.data, { voter: null, deleted: true, version: 2 });
+  assert.equal(voters.rows.length, 0);
+  assert.equal(tombstones.rows[0].voterId, 'v1');
+  assert.equal(history.rows.at(-1).op, 'delete');
+});
+
+test('rollbacks are refused for unknown versions and voters changed outside their history', async () => {
+  await save('v1', { name: 'Asha' });
+  await save('v1', { name: 'Asha Patil' });
+  assert.deepEqual(await rollbackVoter(ctx, 'v1', 9), { status: 404, error: 'Version not found' });
+
+  voters.rows[0].name = 'edited elsewhere';
+  assert.equal((await rollbackVoter(ctx, 'v1', 1)).status, 409);
+});
@@ -0,0 +1,47 @@
+// test/voterImport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMapping, parseSheet, validateImportCollection } from '../lib/voterImport.js';
+
+test('validateImportCollection accepts voter collection names', () => {
+  assert.deepEqual(validateImportCollection(' ward_12 '), { databaseId: 'ward_12' });
+  assert.deepEqual(validateImportCollection('voters'), { databaseId: 'voters' });
+});
+
+test('validateImportCollection refuses server collections in any case', () => {
+  for (const name of ['users', 'Users', 'Party', 'party', 'field_profiles', 'auth_sessions', 'settings', 'login_attempts']) {
+    assert.match(validateImportCollection(name).error, /server collection/, name);
+  }
+});
+
+test('validateImportCollection refuses clones, system and malformed names', () => {
+  assert.match(validateImportCollection('u_ward_12').error, /u_\*/);
+  assert.equal(validateImportCollection('system.views').error, 'databaseId may only contain letters, digits, "_" and "-" (max 64).');
+  assert.equal(validateImportCollection('systemx').error, 'Invalid databaseId.');
+  assert.equal(validateImportCollection('').error, 'databaseId is required.');
+});
+
+test('normalizeMapping checks columns and target fields', () => {
+  const headers = ['Name', 'EPIC'];
+  assert.deepEqual(normalizeMapping('{"Name":"name","EPIC":"epic"}', headers), {
+    mapping: [
+      { column: 'Name', field: 'name' },
+      { column: 'EPIC', field: 'epic' },
+    ],
+  });
+  assert.equal(normalizeMapping('{', headers).error, 'mapping must be valid JSON.');
+  assert.match(normalizeMapping({ Age: 'age' }, headers).error, /not in the file/);
+  assert.match(normalizeMapping({ Name: '__raw.x' }, headers).error, /reserved field/);
+  assert.match(normalizeMapping({ Name: 'name', EPIC: 'name' }, headers).error, /more than once/);
+});
+
+test('parseSheet reads UTF-8 CSV and skips blank rows', async () => {
+  const csv = Buffer.from('\uFEFFName,EPIC\nआशा,ABC1234567\n,\nRavi,XYZ7654321\n', 'utf8');
+  assert.deepEqual(await parseSheet(csv, { filename: 'roll.csv' }), {
+    headers: ['Name', 'EPIC'],
+    rows: [
+      { Name: 'आशा', EPIC: 'ABC1234567' },
+      { Name: 'Ravi', EPIC: 'XYZ7654321' },
+    ],
+  });
+});
@@ -0,0 +1,90 @@
+// test/voterIndexes.test.js
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import FieldProfile from '../models/FieldProfile.js';
+import { saveFieldProfile } from '../lib/fieldProfiles.js';
+import {
+  dropIndex,
+  ensureRecommendedIndexes,
+  getIndexBuildState,
+  normalizeIndexRequest,
+  recommendedIndexSpecs,
+} from '../lib/voterIndexes.js';
+import { memoryModel } from './helpers/memoryModel.js';
+
+const profiles = memoryModel(FieldProfile);
+
+// collections of a stand-in mongoose.connection.db: name -> index specs
+let collections = {};
+
+mongoose.connection.db = {
+  collection: (name) => ({
+    async indexes() {
+      return [{ key: { _id: 1 }, name: '_id_' }, ...(collections[name] || [])];
+    },
+    async createIndexes(specs) {
+      if (name === 'broken') throw new Error('index build failed');
+      collections[name] = [...(collections[name] || []), ...specs];
+      return specs.map((s) => s.name);
+    },
+  }),
+};
+
+after(() => {
+  delete mongoose.connection.db;
+});
+
+beforeEach(async () => {
+  profiles.reset();
+  collections = {};
+  await saveFieldProfile('ward_12', { epic: ['EPIC', '__raw.EPIC'], booth: ['Booth'] });
+});
+
+const profile = { fields: { epic: ['EPIC', '__raw.EPIC'], booth: ['Booth'] } };
+
+test('recommendedIndexSpecs follows the field profile', () => {
+  const specs = recommendedIndexSpecs(profile);
+  const names = specs.map((s) => s.name);
+
+  assert.deepEqual(specs[0], { key: { updatedAt: 1, _id: 1 }, name: 'rec_updatedAt_id' });
+  assert.ok(names.includes('rec_epic_EPIC'));
+  assert.ok(names.includes('rec_epic___raw.EPIC'));
+  assert.ok(names.includes('rec_booth_Booth'));
+  assert.ok(names.includes('rec_search_tokens'));
+});
+
+test('normalizeIndexRequest accepts directions and known options only', () => {
+  assert.deepEqual(normalizeIndexRequest({ keys: { ' EPIC ': '1', Booth: -1 }, options: { name: ' by_epic ', unique: true, weights: {} } }), {
+    spec: { key: { EPIC: 1, Booth: -1 }, name: 'by_epic', unique: true },
+  });
+  assert.match(normalizeIndexRequest({}).error, /keys must be an object/);
+  assert.match(normalizeIndexRequest({ keys: { $where: 1 } }).error, /Invalid index field/);
+  assert.match(normalizeIndexRequest({ keys: { EPIC: 'text' } }).error, /must be 1 or -1/);
+});
+
+test('ensureRecommendedIndexes creates only the missing indexes', async () => {
+  collections.ward_12 = [{ key: { EPIC: 1 }, name: 'custom_epic' }];
+
+  const status = await ensureRecommendedIndexes('ward_12');
+  assert.equal(status.state, 'ready');
+  assert.ok(!status.created.includes('rec_epic_EPIC'));
+  assert.ok(status.created.includes('rec_epic___raw.EPIC'));
+
+  const again = await ensureRecommendedIndexes('ward_12');
+  assert.deepEqual(again.created, []);
+  assert.equal(getIndexBuildState('ward_12').state, 'ready');
+});
+
+test('a failed build is recorded', async () => {
+  await assert.rejects(ensureRecommendedIndexes('broken'), /index build failed/);
+  const state = getIndexBuildState('broken');
+  assert.equal(state.state, 'failed');
+  assert.equal(state.error, 'index build failed');
+  assert.ok(state.finishedAt);
+  assert.deepEqual(getIndexBuildState('elsewhere'), { state: 'idle' });
+});
+
+test('the _id index cannot be dropped', async () => {
+  await assert.rejects(dropIndex('ward_12', '_id_'), /cannot be dropped/);
+});
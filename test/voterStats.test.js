@@ -0,0 +1,54 @@
+// test/voterStats.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FIELD_PROFILE } from '../lib/fieldProfiles.js';
+import { buildSearchFields } from '../lib/searchFields.js';
+import { buildStatsPipeline, resolveGroupPaths, summarizeStats } from '../lib/voterStats.js';
+
+const profile = { fields: DEFAULT_FIELD_PROFILE };
+
+const row = (g, gender, band, n, mobiles = 0) => ({ _id: { g, gender, band }, n, mobiles });
+
+test('resolveGroupPaths takes a profile field or a plain path', () => {
+  assert.deepEqual(resolveGroupPaths(undefined, profile), { groupBy: 'booth', paths: DEFAULT_FIELD_PROFILE.booth });
+  assert.deepEqual(resolveGroupPaths(' __raw.Ward ', profile), { groupBy: '__raw.Ward', paths: ['__raw.Ward'] });
+  assert.deepEqual(resolveGroupPaths('$where', profile), { error: 'Invalid groupBy' });
+  assert.deepEqual(resolveGroupPaths('a..b', profile), { error: 'Invalid groupBy' });
+});
+
+test('buildStatsPipeline groups by the coalesced path, gender and age band', () => {
+  const [match, project, group] = buildStatsPipeline({ Booth: '12' }, ['Booth', '__raw.Booth'], profile);
+
+  assert.deepEqual(match, { $match: { Booth: '12' } });
+  assert.deepEqual(project.$project.g, { $ifNull: ['$Booth', '$__raw.Booth'] });
+  assert.deepEqual(group.$group._id, { g: '$g', gender: '$gender', band: '$band' });
+  assert.deepEqual(buildStatsPipeline({}, [], profile)[1].$project.g, { $literal: null });
+});
+
+test('summarizeStats folds rows into sorted groups and totals', () => {
+  const { groups, totals } = summarizeStats([
+    row('10', 'पुरुष', '18-25', 3, 1),
+    row('2', 'F', '60+', 2, 2),
+    row('10', 'स्त्री', 'unknown', 1, 0),
+    row(null, 'x', '26-35', 4, 1),
+    row(' 2 ', 'm', '60+', 1, 1),
+  ]);
+
+  assert.deepEqual(groups.map((g) => g.key), ['2', '10', null]);
+  assert.deepEqual(groups[0].gender, { male: 1, female: 2, other: 0, unknown: 0 });
+  assert.equal(groups[0].ageBands['60+'], 3);
+  assert.equal(groups[0].mobileShare, 1);
+  assert.deepEqual(groups[1].gender, { male: 3, female: 1, other: 0, unknown: 0 });
+  assert.equal(groups[1].mobileShare, 0.25);
+
+  assert.equal(totals.total, 11);
+  assert.equal(totals.withMobile, 5);
+  assert.equal(totals.gender.unknown, 4);
+  assert.equal(totals.mobileShare, 0.4545);
+});
+
+test('ages written in Devanagari digits are parsed into the search keys', () => {
+  assert.equal(buildSearchFields({ __raw: { वय: '४२' } }, profile).age, 42);
+  assert.equal(buildSearchFields({ age: 35.5 }, profile).age, 35);
+  assert.equal(buildSearchFields({ age: 'n/a' }, profile).age, null);
+});
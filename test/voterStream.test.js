@@ -0,0 +1,141 @@
+// test/voterStream.test.js
+import { EventEmitter } from 'node:events';
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { DEFAULT_FIELD_PROFILE } from '../lib/fieldProfiles.js';
+import { parseCsvColumns, parseStreamFormat, streamVoters } from '../lib/voterStream.js';
+
+// just enough of an Express response; write() reports backpressure every `drainEvery` chunks
+class FakeResponse extends EventEmitter {
+  constructor({ drainEvery = 0 } = {}) {
+    super();
+    this.statusCode = null;
+    this.headers = {};
+    this.chunks = [];
+    this.headersSent = false;
+    this.writableFinished = false;
+    this.drainEvery = drainEvery;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  setHeader(key, value) {
+    this.headers[key] = value;
+  }
+
+  write(chunk) {
+    this.headersSent = true;
+    this.chunks.push(chunk);
+    if (this.drainEvery && this.chunks.length % this.drainEvery === 0) {
+      setImmediate(() => this.emit('drain'));
+      return false;
+    }
+    return true;
+  }
+
+  json(body) {
+    this.body = body;
+    this.headersSent = true;
+  }
+
+  end() {
+    this.writableFinished = true;
+  }
+
+  destroy(err) {
+    this.destroyed = err;
+  }
+
+  get text() {
+    return this.chunks.join('');
+  }
+}
+
+function cursorOf(docs, { failAt = -1 } = {}) {
+  return {
+    closed: false,
+    async close() {
+      this.closed = true;
+    },
+    async *[Symbol.asyncIterator]() {
+      for (let i = 0; i < docs.length; i++) {
+        if (i === failAt) throw new Error('cursor died');
+        yield docs[i];
+      }
+    },
+  };
+}
+
+const profile = { fields: DEFAULT_FIELD_PROFILE };
+
+test('parseStreamFormat and parseCsvColumns read the query string', () => {
+  assert.equal(parseStreamFormat(' CSV '), 'csv');
+  assert.equal(parseStreamFormat('xml'), null);
+  assert.deepEqual(parseCsvColumns({ columns: 'name, epic,name' }), ['name', 'epic']);
+  assert.deepEqual(parseCsvColumns({ fields: '_id' }), ['_id']);
+  assert.equal(parseCsvColumns({})[0], '_id');
+});
+
+test('NDJSON writes one document per line', async () => {
+  const res = new FakeResponse({ drainEvery: 1 });
+  await streamVoters(res, cursorOf([{ _id: 1, name: 'आशा' }, { _id: 2 }]), { format: 'ndjson', filename: 'ward_12' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+  assert.equal(res.headers['Content-Disposition'], 'attachment; filename="ward_12.ndjson"');
+  assert.deepEqual(res.text.trim().split('\n').map((line) => JSON.parse(line)), [{ _id: 1, name: 'आशा' }, { _id: 2 }]);
+  assert.equal(res.writableFinished, true);
+});
+
+test('CSV starts with a BOM and reads logical columns through the profile', async () => {
+  const res = new FakeResponse();
+  const _id = new mongoose.Types.ObjectId();
+  const docs = [{ _id, __raw: { नाव: 'आशा, पाटील' }, EPIC: 'ABC1234567' }];
+  await streamVoters(res, cursorOf(docs), { format: 'csv', columns: ['_id', 'name', 'epic'], profile });
+
+  assert.equal(res.text, `\uFEFF_id,name,epic\r\n${_id.toHexString()},"आशा, पाटील",ABC1234567\r\n`);
+});
+
+test('CSV cells that a spreadsheet would run as formulas are quoted', async () => {
+  const res = new FakeResponse();
+  await streamVoters(res, cursorOf([{ a: '=HYPERLINK("x")', b: -5, c: '@cmd' }]), { format: 'csv', columns: ['a', 'b', 'c'] });
+
+  assert.equal(res.text.split('\r\n')[1], `"'=HYPERLINK(""x"")",-5,'@cmd`);
+});
+
+test('a client that disconnects stops the cursor', async () => {
+  const res = new FakeResponse();
+  const docs = Array.from({ length: 5 }, (_, i) => ({ _id: i }));
+  const cursor = cursorOf(docs);
+  res.write = function write(chunk) {
+    FakeResponse.prototype.write.call(this, chunk);
+    if (this.chunks.length === 2) this.emit('close');
+    return true;
+  };
+  await streamVoters(res, cursor, { format: 'ndjson' });
+
+  assert.equal(cursor.closed, true);
+  assert.equal(res.chunks.length, 2);
+  assert.equal(res.writableFinished, false);
+});
+
+test('a cursor failing before the first document gets a JSON 500', async () => {
+  mock.method(console, 'error', () => {});
+  try {
+    const res = new FakeResponse();
+    await streamVoters(res, cursorOf([{ _id: 1 }], { failAt: 0 }), { format: 'ndjson' });
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { error: 'Server error' });
+
+    const late = new FakeResponse();
+    await streamVoters(late, cursorOf([{ _id: 1 }, { _id: 2 }], { failAt: 1 }), { format: 'ndjson' });
+    assert.equal(late.statusCode, 200);
+    assert.match(late.destroyed.message, /cursor died/);
+  } finally {
+    console.error.mock.restore();
+  }
+});
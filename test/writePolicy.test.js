@@ -0,0 +1,123 @@
+// test/writePolicy.test.js
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import WritePolicy from '../models/WritePolicy.js';
+import { DEFAULT_FIELD_PROFILE } from '../lib/fieldProfiles.js';
+import {
+  checkFieldValue,
+  checkWrite,
+  getWritePolicy,
+  invalidateWritePolicyCache,
+  normalizeDateValue,
+  normalizeFieldValue,
+  normalizeWritePolicy,
+  splitMirroredRaw,
+} from '../lib/writePolicy.js';
+
+const profile = { fields: DEFAULT_FIELD_PROFILE };
+
+// stored policies served in place of the WritePolicy collection
+let stored = [];
+mock.method(WritePolicy, 'find', () => ({ lean: async () => stored }));
+
+beforeEach(() => {
+  stored = [];
+  invalidateWritePolicyCache();
+});
+
+test('the default policy lets team roles edit campaign fields only', async () => {
+  const policy = await getWritePolicy('roll_a', profile);
+  assert.equal(policy.isDefault, true);
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', values: { tags: ['door'] } }), null);
+  assert.deepEqual(checkWrite(policy, 'volunteer', { op: 'update', values: { name: 'X' } }), {
+    reason: 'field_not_writable',
+    field: 'name',
+    message: 'Role "volunteer" may not write "name".',
+  });
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'create', values: {} }).reason, 'forbidden_op');
+  assert.equal(checkWrite(policy, 'admin', { op: 'delete' }), null);
+  assert.equal(checkWrite(policy, 'guest', { op: 'update', values: {} }).reason, 'forbidden');
+});
+
+test('a stored policy keeps the default rules it does not override', async () => {
+  stored = [{
+    databaseId: 'roll_a',
+    roles: { volunteer: { fields: ['notes', 'ward'], create: false, delete: false } },
+    rules: { ward: { type: 'string', pattern: '^W\\d+$' } },
+  }];
+  const policy = await getWritePolicy('roll_a', profile);
+  assert.equal(policy.source, 'roll_a');
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', values: { ward: 'W12' } }), null);
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', values: { ward: 'east' } }).reason, 'invalid_format');
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', values: { notes: 'x'.repeat(2001) } }).reason, 'too_long');
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', values: { tags: [] } }).reason, 'field_not_writable');
+});
+
+test('mirrored raw mobiles need a mobile right and a valid number', async () => {
+  const policy = await getWritePolicy('roll_a', profile);
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', mirroredMobiles: ['9876543210'] }), null);
+  assert.equal(checkWrite(policy, 'volunteer', { op: 'update', mirroredMobiles: ['12'] }).reason, 'invalid_format');
+
+  const notesOnly = { ...policy, roles: { volunteer: { fields: ['notes'], create: false, delete: false } } };
+  assert.equal(checkWrite(notesOnly, 'volunteer', { op: 'update', mirroredMobiles: ['9876543210'] }).field, '__raw');
+});
+
+test('splitMirroredRaw takes a raw row that only changed mobile columns', () => {
+  const column = DEFAULT_FIELD_PROFILE.mobile.find((p) => p.startsWith('__raw.')).slice('__raw.'.length);
+  const current = { __raw: { Name: 'Ram', [column]: '' } };
+
+  const mobileOnly = splitMirroredRaw({ notes: 'n', __raw: { Name: 'Ram', [column]: '9876543210' } }, current, profile);
+  assert.deepEqual(mobileOnly, { values: { notes: 'n' }, mirroredMobiles: ['9876543210'] });
+
+  const values = { __raw: { Name: 'Shyam', [column]: '9876543210' } };
+  assert.deepEqual(splitMirroredRaw(values, current, profile), { values, mirroredMobiles: [] });
+});
+
+test('checkFieldValue applies type, format, enum and range rules', () => {
+  assert.equal(checkFieldValue('age', '40', { type: 'number' }).reason, 'invalid_type');
+  assert.equal(checkFieldValue('age', 140, { type: 'number', max: 120 }).reason, 'out_of_range');
+  assert.equal(checkFieldValue('epic', 'ABC1234567', { type: 'string', format: 'epic' }), null);
+  assert.equal(checkFieldValue('epic', '12', { type: 'string', format: 'epic' }).reason, 'invalid_format');
+  assert.equal(checkFieldValue('side', 'maybe', { enum: ['for', 'against'] }).reason, 'not_allowed_value');
+  assert.equal(checkFieldValue('tags', [1], { type: 'array', items: 'string' }).reason, 'invalid_type');
+  assert.equal(checkFieldValue('notes', null, { required: true }).reason, 'required');
+});
+
+test('normalizeFieldValue trims and normalizes by format', () => {
+  assert.equal(normalizeFieldValue('  ', { type: 'string' }), null);
+  assert.equal(normalizeFieldValue('+91 98765 43210', { format: 'mobile' }), '9876543210');
+  assert.equal(normalizeFieldValue('abc1234567', { format: 'epic' }), 'ABC1234567');
+  assert.equal(normalizeFieldValue('42', { type: 'number' }), 42);
+  assert.deepEqual(normalizeFieldValue([' a ', ''], { type: 'array' }), ['a']);
+  assert.deepEqual(normalizeFieldValue([' 98765 43210 '], { type: 'array', format: 'mobile' }), ['9876543210']);
+  assert.equal(normalizeFieldValue('05/03/1980', { type: 'string', format: 'date' }), '1980-03-05');
+  assert.equal(normalizeFieldValue('soon', { type: 'string', format: 'date' }), 'soon', 'left for checkFieldValue to reject');
+});
+
+test('normalizeDateValue accepts ISO and Indian dates and rejects impossible ones', () => {
+  assert.equal(normalizeDateValue('1980-02-29'), '1980-02-29');
+  assert.equal(normalizeDateValue('29/02/1980'), '1980-02-29');
+  assert.equal(normalizeDateValue('31.04.1980'), null);
+  assert.equal(normalizeDateValue('yesterday'), null);
+});
+
+test('the default policy lets team roles edit voter details by their rules', async () => {
+  const policy = await getWritePolicy('roll_a', profile);
+  for (const field of ['address', 'birthDate', 'caste', 'community', 'remarks']) {
+    assert.equal(checkWrite(policy, 'volunteer', { op: 'update', values: { [field]: null } }), null, field);
+  }
+  assert.equal(checkFieldValue('birthDate', '1980-13-01', policy.rules.birthDate).reason, 'invalid_format');
+  assert.equal(checkFieldValue('birthDate', '29/02/1980', policy.rules.birthDate), null);
+  assert.equal(checkFieldValue('address', 'x'.repeat(501), policy.rules.address).reason, 'too_long');
+});
+
+test('normalizeWritePolicy validates roles and rules', () => {
+  assert.deepEqual(normalizeWritePolicy({ roles: { volunteer: { fields: ['notes'] } } }), {
+    roles: { volunteer: { fields: ['notes'], create: false, delete: false } },
+    rules: {},
+  });
+  assert.match(normalizeWritePolicy({ roles: { root: { fields: '*' } } }).error, /Unknown role/);
+  assert.match(normalizeWritePolicy({ roles: { admin: { fields: ['a.b'] } } }).error, /top-level/);
+  assert.match(normalizeWritePolicy({ rules: { ward: { pattern: '(' } } }).error, /regular expression/);
+  assert.match(normalizeWritePolicy({ rules: { ward: { type: 'uuid' } } }).error, /type for "ward"/);
+});